@@ -1,46 +1,118 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { Pinecone } from '@pinecone-database/pinecone';
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { asTable, tableLabel, tableRecords } from './lib/tables.js';
+import { placementFiltersFromQuestion, describePlacements } from './lib/placements.js';
+import { facultyForQuestion, describeFaculty } from './lib/faculty.js';
+import { noticesForQuestion, describeNotices } from './lib/notices.js';
+import { LANGUAGES, detectLanguage, parseLanguageList, keepForLanguages } from './lib/language.js';
+import { categoriesOf } from './lib/categorizer.js';
+import { urlKey } from './lib/urlUtils.js';
+import { createVectorStore } from './lib/vectorStore.js';
+import { createChatProvider, createEmbeddingProvider } from './lib/providers.js';
 
 dotenv.config();
 
+// Added to the similarity score of matches in the language of the question
+const SAME_LANGUAGE_BOOST = 0.05;
+
+// Vector ids of a page or document start with this, so indexing a URL again
+// replaces its own chunks whatever else the snapshot holds
+function vectorIdPrefix(kind, url) {
+    const hash = crypto.createHash('sha1').update(urlKey(url)).digest('hex').slice(0, 16);
+    return `${kind}-${hash}-`;
+}
+
+// Id prefixes of the pages and documents of the `previous` crawl that `current` no longer has
+function retiredPrefixes(previous, current) {
+    const sections = [
+        ['page', data => data.pages],
+        ['pdf', data => data.documents?.pdfs],
+        ['doc', data => data.documents?.other]
+    ];
+    return sections.flatMap(([kind, recordsOf]) => {
+        const kept = new Set((recordsOf(current) || []).map(record => urlKey(record.url)));
+        return (recordsOf(previous) || [])
+            .filter(record => !kept.has(urlKey(record.url)))
+            .map(record => vectorIdPrefix(kind, record.url));
+    });
+}
+
 class NITJSRRAGSystem {
-    constructor() {
-        this.genAI = null;
-        this.pinecone = null;
-        this.index = null;
-        this.embeddings = null;
-        this.chatModel = null;
+    // options.vectorStore, options.chatProvider and options.embeddingProvider
+    // (see lib/vectorStore.js and lib/providers.js) default to the ones
+    // configured in the environment, created on initialize()
+    constructor(options = {}) {
+        this.vectorStore = options.vectorStore || null;
+        this.chatProvider = options.chatProvider || null;
+        this.embeddingProvider = options.embeddingProvider || null;
         this.textSplitter = null;
         this.isInitialized = false;
         this.linkDatabase = new Map(); // Store links for easy retrieval
+        this.placementDataset = null; // Structured placement records of the indexed snapshot
+        this.facultyDirectory = null; // Faculty records of the indexed snapshot
+        this.noticeFeed = null; // Dated notices of the indexed snapshot
+    }
+
+    setPlacementDataset(dataset) {
+        this.placementDataset = dataset;
+        console.log(`🎓 Placement dataset loaded: ${dataset?.totalRecords || 0} records`);
+    }
+
+    setFacultyDirectory(directory) {
+        this.facultyDirectory = directory;
+        console.log(`👩‍🏫 Faculty directory loaded: ${directory?.totalRecords || 0} people`);
+    }
+
+    // Directory entries for questions about people (who teaches X, email of the HOD), or null
+    lookupFacultyFacts(question) {
+        if (!this.facultyDirectory?.records?.length) return null;
+
+        const people = facultyForQuestion(question, this.facultyDirectory.records);
+        if (!people) return null;
+
+        return { people, text: describeFaculty(this.facultyDirectory, people) };
+    }
+
+    setNoticeFeed(feed) {
+        this.noticeFeed = feed;
+        console.log(`📢 Notice feed loaded: ${feed?.totalRecords || 0} notices`);
+    }
+
+    // Newest notices for "what are the latest notices/tenders/events" questions, or null
+    lookupNoticeFacts(question) {
+        if (!this.noticeFeed?.records?.length) return null;
+
+        const match = noticesForQuestion(question, this.noticeFeed.records);
+        if (!match) return null;
+
+        return { ...match, text: describeNotices(this.noticeFeed, match.notices) };
+    }
+
+    // Aggregates from the placement dataset for numeric placement questions, or null
+    lookupPlacementFacts(question) {
+        if (!this.placementDataset?.records?.length) return null;
+
+        const filters = placementFiltersFromQuestion(question, this.placementDataset.records);
+        if (!filters) return null;
+
+        return describePlacements(this.placementDataset, filters);
     }
 
     async initialize() {
         if (this.isInitialized) return;
 
-        console.log('🚀 Initializing Gemini + Pinecone RAG System...');
-
         try {
-            // Initialize Google Gemini
-            this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-            this.chatModel = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+            this.vectorStore = this.vectorStore || createVectorStore();
+            this.chatProvider = this.chatProvider || createChatProvider();
+            this.embeddingProvider = this.embeddingProvider || createEmbeddingProvider();
 
-            // Initialize Pinecone
-            this.pinecone = new Pinecone({
-                apiKey: process.env.PINECONE_API_KEY.trim(),
-            });
-
-            // Get or create index
-            await this.initializePineconeIndex();
+            const chat = this.chatProvider.describe();
+            const embeddings = this.embeddingProvider.describe();
+            console.log(`🚀 Initializing RAG System: ${chat.provider}/${chat.model} answers, ${embeddings.provider}/${embeddings.model} embeddings, ${this.vectorStore.describe().type} vector store...`);
 
-            // Initialize embeddings using Gemini
-            this.embeddings = new GoogleGenerativeAIEmbeddings({
-                apiKey: process.env.GEMINI_API_KEY,
-                modelName: 'embedding-001',
-            });
+            // Open (or create) the vector index, sized for the embedding model
+            await this.vectorStore.connect({ dimension: await this.embeddingProvider.dimension() });
 
             this.textSplitter = new RecursiveCharacterTextSplitter({
                 chunkSize: 1200, // Increased chunk size for better context
@@ -49,7 +121,7 @@ class NITJSRRAGSystem {
             });
 
             this.isInitialized = true;
-            console.log('✅ Gemini RAG System initialized successfully!');
+            console.log('✅ RAG System initialized successfully!');
 
         } catch (error) {
             console.error('❌ RAG System initialization failed:', error.message);
@@ -57,42 +129,6 @@ class NITJSRRAGSystem {
         }
     }
 
-    async initializePineconeIndex() {
-        const indexName = process.env.PINECONE_INDEX_NAME.trim();
-        
-        try {
-            // Check if index exists
-            const indexList = await this.pinecone.listIndexes();
-            const indexExists = indexList.indexes?.some(index => index.name === indexName);
-
-            if (!indexExists) {
-                console.log(`🔨 Creating new Pinecone index: ${indexName}`);
-                await this.pinecone.createIndex({
-                    name: indexName,
-                    dimension: 768, // Gemini embedding dimension
-                    metric: 'cosine',
-                    spec: {
-                        serverless: {
-                            cloud: 'aws',
-                            region: process.env.PINECONE_ENVIRONMENT.trim()
-                        }
-                    }
-                });
-                
-                // Wait for index to be ready
-                console.log('⏳ Waiting for index to be ready...');
-                await new Promise(resolve => setTimeout(resolve, 60000));
-            }
-
-            this.index = this.pinecone.index(indexName);
-            console.log(`✅ Connected to Pinecone index: ${indexName}`);
-
-        } catch (error) {
-            console.error('❌ Pinecone index initialization failed:', error.message);
-            throw error;
-        }
-    }
-
     buildLinkDatabase(scrapedData) {
         console.log('🔗 Building comprehensive link database...');
         
@@ -141,6 +177,7 @@ class NITJSRRAGSystem {
                 text: page.title,
                 title: page.title,
                 category: page.category,
+                categories: categoriesOf(page),
                 wordCount: page.wordCount
             });
         });
@@ -155,15 +192,71 @@ class NITJSRRAGSystem {
                 title: pdf.title,
                 pages: pdf.pages,
                 category: pdf.category,
+                categories: categoriesOf(pdf),
                 sourceUrl: pdf.sourceUrl,
                 wordCount: pdf.wordCount
             });
         });
 
+        // Store DOCX/XLSX/PPTX attachment info
+        scrapedData.documents?.other?.forEach(attachment => {
+            const key = `${attachment.fileType}_${attachment.title.toLowerCase().replace(/\s+/g, '_')}`;
+            this.linkDatabase.set(key, {
+                type: 'attachment',
+                fileType: attachment.fileType,
+                url: attachment.url,
+                text: attachment.title,
+                title: attachment.title,
+                pages: attachment.pages,
+                category: attachment.category,
+                categories: categoriesOf(attachment),
+                sourceUrl: attachment.sourceUrl,
+                wordCount: attachment.wordCount
+            });
+        });
+
         console.log(`✅ Built link database with ${this.linkDatabase.size} entries`);
     }
 
-    async processAndStoreDocuments(scrapedData) {
+    // Split a table into chunks of whole records, each starting with the page,
+    // the table's caption or heading and its column names
+    chunkTable(page, table) {
+        const normalized = asTable(table);
+        const records = tableRecords(normalized);
+        if (records.length === 0) return [];
+
+        const preamble = [
+            `Title: ${page.title || ''}`,
+            `URL: ${page.url}`,
+            tableLabel(normalized) ? `Table: ${tableLabel(normalized)}` : 'Table',
+            normalized.headers.length > 0 ? `Columns: ${normalized.headers.join(' | ')}` : ''
+        ].filter(Boolean).join('\n');
+
+        const maxLength = this.textSplitter.chunkSize;
+        const chunks = [];
+        let current = [];
+        let length = preamble.length;
+
+        for (const record of records) {
+            if (current.length > 0 && length + record.length + 1 > maxLength) {
+                chunks.push(`${preamble}\n${current.join('\n')}`);
+                current = [];
+                length = preamble.length;
+            }
+            current.push(record);
+            length += record.length + 1;
+        }
+        chunks.push(`${preamble}\n${current.join('\n')}`);
+
+        return chunks;
+    }
+
+    // options.languages: 'en', 'hi' or 'en,hi' (default: INDEX_LANGUAGES, else both).
+    // options.onProgress is called with { batchesEmbedded, batchesTotal } after
+    // each batch, and an aborted options.signal stops before the next batch.
+    // options.previous is the crawl indexed before a complete one: the vectors
+    // of its pages and documents that scrapedData no longer has are deleted.
+    async processAndStoreDocuments(scrapedData, options = {}) {
         console.log('📚 Processing and storing enhanced documents in vector database...');
 
         if (!this.isInitialized) {
@@ -175,26 +268,35 @@ class NITJSRRAGSystem {
             this.buildLinkDatabase(scrapedData);
 
             const documents = [];
-            let docId = 0;
+            const prefixes = []; // One per page or document indexed, to find its superseded chunks
+
+            const languages = parseLanguageList(options.languages || process.env.INDEX_LANGUAGES?.trim() || LANGUAGES.join(','));
+            // Snapshots from before language detection have no language field
+            const withLanguage = records => (records || []).map(record => ({
+                ...record,
+                language: record.language || detectLanguage(record.content || record.text || '')
+            }));
+            const inLanguages = records => withLanguage(records).filter(record => keepForLanguages(record, languages));
 
             // Handle enhanced scraper data format
-            let pagesToProcess = scrapedData.pages || [];
-            let pdfsToProcess = scrapedData.documents?.pdfs || [];
+            let pagesToProcess = inLanguages(scrapedData.pages);
+            let pdfsToProcess = inLanguages(scrapedData.documents?.pdfs);
+            let attachmentsToProcess = inLanguages(scrapedData.documents?.other);
 
-            console.log(`📊 Processing ${pagesToProcess.length} pages and ${pdfsToProcess.length} PDFs`);
+            console.log(`📊 Processing ${pagesToProcess.length} pages, ${pdfsToProcess.length} PDFs and ${attachmentsToProcess.length} attachments (languages: ${languages.join(', ')})`);
 
             // Process main page content with enhanced metadata
             for (const page of pagesToProcess) {
+                const prefix = vectorIdPrefix('page', page.url);
+                prefixes.push(prefix);
+
                 // Combine all text content with better structure
                 const structuredText = [
                     `Title: ${page.title || ''}`,
                     `URL: ${page.url}`,
-                    `Category: ${page.category || 'general'}`,
+                    `Category: ${categoriesOf(page).join(', ')}`,
                     page.headings?.map(h => `Heading ${h.level}: ${h.text}`).join('\n') || '',
                     page.content || '',
-                    page.tables?.map(table => 
-                        table.map(row => row.join(' | ')).join('\n')
-                    ).join('\n\n') || '',
                     page.lists?.map(list => list.map(item => `• ${item}`).join('\n')).join('\n\n') || '',
                     `Description: ${page.metadata?.description || ''}`,
                     `Keywords: ${page.metadata?.keywords || ''}`
@@ -205,7 +307,7 @@ class NITJSRRAGSystem {
                     
                     for (let i = 0; i < chunks.length; i++) {
                         documents.push({
-                            id: `page-${docId}-chunk-${i}`,
+                            id: `${prefix}chunk-${i}`,
                             text: chunks[i],
                             metadata: {
                                 source: 'webpage',
@@ -213,7 +315,9 @@ class NITJSRRAGSystem {
                                 url: page.url,
                                 title: page.title,
                                 timestamp: page.timestamp,
-                                category: page.category || 'general',
+                                category: categoriesOf(page),
+                                primaryCategory: page.category || 'general',
+                                language: page.language,
                                 depth: page.depth || 0,
                                 wordCount: page.wordCount || 0,
                                 chunkIndex: i,
@@ -225,50 +329,150 @@ class NITJSRRAGSystem {
                         });
                     }
                 }
-                docId++;
+
+                // Tables are indexed row by row so every chunk keeps the column names
+                (page.tables || []).forEach((table, tableIndex) => {
+                    this.chunkTable(page, table).forEach((chunk, i, chunks) => {
+                        documents.push({
+                            id: `${prefix}table-${tableIndex}-chunk-${i}`,
+                            text: chunk,
+                            metadata: {
+                                source: 'webpage',
+                                sourceType: 'page',
+                                url: page.url,
+                                title: page.title,
+                                timestamp: page.timestamp,
+                                category: categoriesOf(page),
+                                primaryCategory: page.category || 'general',
+                                language: page.language,
+                                depth: page.depth || 0,
+                                tableIndex: tableIndex,
+                                chunkIndex: i,
+                                totalChunks: chunks.length,
+                                hasTables: true
+                            }
+                        });
+                    });
+                });
             }
 
             // Process PDF documents with enhanced metadata
             for (const pdf of pdfsToProcess) {
+                const prefix = vectorIdPrefix('pdf', pdf.url);
+                prefixes.push(prefix);
                 const pdfContent = pdf.text || pdf.content || '';
                 if (pdfContent && pdfContent.trim().length > 100) {
-                    const structuredPdfText = [
-                        `PDF Title: ${pdf.title}`,
-                        `URL: ${pdf.url}`,
-                        `Category: ${pdf.category || 'general'}`,
-                        `Pages: ${pdf.pages}`,
-                        `Source Page: ${pdf.sourceTitle || 'Unknown'}`,
-                        `Content: ${pdfContent}`
-                    ].filter(Boolean).join('\n\n');
-
-                    const chunks = await this.textSplitter.splitText(structuredPdfText);
-                    
+                    const pdfMetadata = {
+                        source: 'pdf',
+                        sourceType: 'pdf_document',
+                        url: pdf.url,
+                        title: pdf.title,
+                        pages: pdf.pages,
+                        timestamp: pdf.timestamp,
+                        category: categoriesOf(pdf),
+                        primaryCategory: pdf.category || 'general',
+                        language: pdf.language,
+                        sourceUrl: pdf.sourceUrl,
+                        sourceTitle: pdf.sourceTitle,
+                        wordCount: pdf.wordCount
+                    };
+
+                    // Chunk within page boundaries so every chunk can cite its page
+                    const pageTexts = pdf.pageTexts?.length > 0
+                        ? pdf.pageTexts
+                        : [{ pageNumber: null, text: pdfContent }];
+
+                    const pageChunks = [];
+                    for (const page of pageTexts) {
+                        if (!page.text || page.text.trim().length === 0) continue;
+
+                        const structuredPageText = [
+                            `PDF Title: ${pdf.title}`,
+                            `URL: ${pdf.url}`,
+                            `Category: ${categoriesOf(pdf).join(', ')}`,
+                            page.pageNumber ? `Page: ${page.pageNumber} of ${pdf.pages}` : `Pages: ${pdf.pages}`,
+                            `Source Page: ${pdf.sourceTitle || 'Unknown'}`,
+                            `Content: ${page.text}`
+                        ].filter(Boolean).join('\n\n');
+
+                        const chunks = await this.textSplitter.splitText(structuredPageText);
+                        chunks.forEach(chunk => pageChunks.push({ text: chunk, pageNumber: page.pageNumber }));
+                    }
+
+                    for (let i = 0; i < pageChunks.length; i++) {
+                        const metadata = {
+                            ...pdfMetadata,
+                            chunkIndex: i,
+                            totalChunks: pageChunks.length
+                        };
+                        // Pinecone rejects null metadata values
+                        if (pageChunks[i].pageNumber) {
+                            metadata.pageNumber = pageChunks[i].pageNumber;
+                        }
+
+                        documents.push({
+                            id: `${prefix}chunk-${i}`,
+                            text: pageChunks[i].text,
+                            metadata: metadata
+                        });
+                    }
+                }
+            }
+
+            // Process DOCX/XLSX/PPTX attachments
+            for (const attachment of attachmentsToProcess) {
+                const prefix = vectorIdPrefix('doc', attachment.url);
+                prefixes.push(prefix);
+                const attachmentContent = attachment.text || '';
+                if (attachmentContent.trim().length > 100) {
+                    const fileType = (attachment.fileType || 'document').toUpperCase();
+                    const structuredText = [
+                        `${fileType} Title: ${attachment.title}`,
+                        `URL: ${attachment.url}`,
+                        `Category: ${categoriesOf(attachment).join(', ')}`,
+                        `Source Page: ${attachment.sourceTitle || 'Unknown'}`,
+                        `Content: ${attachmentContent}`
+                    ].join('\n\n');
+
+                    const chunks = await this.textSplitter.splitText(structuredText);
+
                     for (let i = 0; i < chunks.length; i++) {
+                        const metadata = {
+                            source: 'attachment',
+                            sourceType: 'attachment_document',
+                            fileType: attachment.fileType,
+                            url: attachment.url,
+                            title: attachment.title,
+                            timestamp: attachment.timestamp,
+                            category: categoriesOf(attachment),
+                            primaryCategory: attachment.category || 'general',
+                            language: attachment.language,
+                            sourceUrl: attachment.sourceUrl,
+                            sourceTitle: attachment.sourceTitle,
+                            wordCount: attachment.wordCount,
+                            chunkIndex: i,
+                            totalChunks: chunks.length
+                        };
+                        // DOCX files have no page count; Pinecone rejects null metadata values
+                        if (attachment.pages) {
+                            metadata.pages = attachment.pages;
+                        }
+
                         documents.push({
-                            id: `pdf-${docId}-chunk-${i}`,
+                            id: `${prefix}chunk-${i}`,
                             text: chunks[i],
-                            metadata: {
-                                source: 'pdf',
-                                sourceType: 'pdf_document',
-                                url: pdf.url,
-                                title: pdf.title,
-                                pages: pdf.pages,
-                                timestamp: pdf.timestamp,
-                                category: pdf.category || 'general',
-                                sourceUrl: pdf.sourceUrl,
-                                sourceTitle: pdf.sourceTitle,
-                                wordCount: pdf.wordCount,
-                                chunkIndex: i,
-                                totalChunks: chunks.length
-                            }
+                            metadata: metadata
                         });
                     }
                 }
-                docId++;
             }
 
+            // The link directory and statistics describe the whole site, so a
+            // crawl of part of it (a profile with include patterns) leaves them be
+            const complete = !scrapedData.metadata?.partial;
+
             // Process link information as searchable content
-            if (scrapedData.links) {
+            if (complete && scrapedData.links) {
                 const linkContent = [
                     `PDF Documents Available:`,
                     scrapedData.links.pdf?.map(link => 
@@ -301,6 +505,7 @@ class NITJSRRAGSystem {
                 `NIT Jamshedpur Website Statistics and Overview:`,
                 `Total Pages Scraped: ${scrapedData.statistics?.totalPages || 0}`,
                 `Total PDF Documents: ${scrapedData.statistics?.totalPDFs || 0}`,
+                `Total Attachments (DOCX/XLSX/PPTX): ${scrapedData.statistics?.totalAttachments || 0}`,
                 `Total Links Found: ${scrapedData.statistics?.totalLinks || 0}`,
                 `Categories Breakdown:`,
                 Object.entries(scrapedData.categories || {}).map(([cat, items]) => 
@@ -312,7 +517,7 @@ class NITJSRRAGSystem {
                 ).join('\n') || 'No PDFs processed'
             ].join('\n');
 
-            if (statsContent.length > 100) {
+            if (complete && statsContent.length > 100) {
                 documents.push({
                     id: 'statistics-enhanced',
                     text: statsContent,
@@ -328,50 +533,76 @@ class NITJSRRAGSystem {
             console.log(`📊 Prepared ${documents.length} enhanced document chunks for embedding`);
 
             // Generate embeddings and store in batches
-            const batchSize = 5; // Conservative batch size for Gemini API limits
+            const batchSize = 5; // Conservative batch size for hosted embedding API limits
             const batches = [];
             
             for (let i = 0; i < documents.length; i += batchSize) {
                 batches.push(documents.slice(i, i + batchSize));
             }
 
-            for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-                const batch = batches[batchIndex];
-                console.log(`🔄 Processing batch ${batchIndex + 1}/${batches.length}...`);
+            options.onProgress?.({ batchesEmbedded: 0, batchesTotal: batches.length });
+            let removedChunks = 0;
+            try {
+                for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+                    options.signal?.throwIfAborted();
+                    const batch = batches[batchIndex];
+                    console.log(`🔄 Processing batch ${batchIndex + 1}/${batches.length}...`);
+
+                    try {
+                        // Generate embeddings for batch
+                        const embeddings = await Promise.all(
+                            batch.map(doc => this.embeddingProvider.embed(doc.text))
+                        );
+
+                        // Prepare vectors for the vector store
+                        const vectors = batch.map((doc, index) => ({
+                            id: doc.id,
+                            values: embeddings[index],
+                            metadata: {
+                                text: doc.text.substring(0, 1000), // Pinecone metadata limit
+                                ...doc.metadata
+                            }
+                        }));
 
-                try {
-                    // Generate embeddings for batch
-                    const embeddings = await Promise.all(
-                        batch.map(doc => this.embeddings.embedQuery(doc.text))
-                    );
+                        await this.vectorStore.upsert(vectors);
+                    
+                        console.log(`✅ Batch ${batchIndex + 1} stored successfully`);
 
-                    // Prepare vectors for Pinecone
-                    const vectors = batch.map((doc, index) => ({
-                        id: doc.id,
-                        values: embeddings[index],
-                        metadata: {
-                            text: doc.text.substring(0, 1000), // Pinecone metadata limit
-                            ...doc.metadata
+                        // Add delay to avoid rate limits
+                        if (batchIndex < batches.length - 1 && this.embeddingProvider.batchDelay) {
+                            await new Promise(resolve => setTimeout(resolve, this.embeddingProvider.batchDelay));
                         }
-                    }));
 
-                    // Upsert to Pinecone
-                    await this.index.upsert(vectors);
-                    
-                    console.log(`✅ Batch ${batchIndex + 1} stored successfully`);
-
-                    // Add delay to avoid rate limits
-                    if (batchIndex < batches.length - 1) {
-                        await new Promise(resolve => setTimeout(resolve, 2000));
+                    } catch (error) {
+                        console.error(`❌ Error processing batch ${batchIndex + 1}:`, error.message);
                     }
+                    options.onProgress?.({ batchesEmbedded: batchIndex + 1, batchesTotal: batches.length });
+                }
 
-                } catch (error) {
-                    console.error(`❌ Error processing batch ${batchIndex + 1}:`, error.message);
+                // Chunks the indexed pages and documents no longer have (shorter text, fewer tables)
+                const ids = new Set(documents.map(doc => doc.id));
+                removedChunks = await this.removeChunks(prefixes, ids);
+                if (removedChunks > 0) {
+                    console.log(`🧹 Removed ${removedChunks} superseded chunks`);
                 }
+
+                // Only a complete crawl shows that a page or document is gone from the site
+                if (complete && options.previous) {
+                    const retired = retiredPrefixes(options.previous, scrapedData);
+                    const retiredChunks = await this.removeChunks(retired, ids);
+                    if (retiredChunks > 0) {
+                        console.log(`🧹 Removed ${retiredChunks} chunks of ${retired.length} pages and documents no longer on the site`);
+                    }
+                    removedChunks += retiredChunks;
+                }
+            } finally {
+                // Stores that buffer upserts (the local one) write them out once per run,
+                // including the batches stored before a cancellation
+                await this.vectorStore.flush();
             }
 
             console.log(`🎉 Successfully stored ${documents.length} enhanced documents in vector database`);
-            return { success: true, totalDocuments: documents.length };
+            return { success: true, totalDocuments: documents.length, removedChunks: removedChunks };
 
         } catch (error) {
             console.error('❌ Error processing enhanced documents:', error.message);
@@ -400,7 +631,7 @@ class NITJSRRAGSystem {
         for (const [key, link] of this.linkDatabase.entries()) {
             if ((link.text.toLowerCase().includes(questionLower) || 
                  questionLower.includes(link.text.toLowerCase()) ||
-                 (link.category && questionLower.includes(link.category))) &&
+                 (link.categories || [link.category]).some(category => category && questionLower.includes(category))) &&
                 relevantLinks.length < 5) {
                 relevantLinks.push(link);
             }
@@ -409,7 +640,8 @@ class NITJSRRAGSystem {
         return relevantLinks;
     }
 
-    async queryDocuments(question, topK = 8) { // Increased topK for better context
+    // options.category limits the search to chunks labelled with that category
+    async queryDocuments(question, topK = 8, options = {}) { // Increased topK for better context
         console.log(`🔍 Searching for: "${question}"`);
 
         if (!this.isInitialized) {
@@ -417,22 +649,29 @@ class NITJSRRAGSystem {
         }
 
         try {
-            // Generate embedding for the question using Gemini
-            const questionEmbedding = await this.embeddings.embedQuery(question);
-
-            // Search Pinecone
-            const searchResults = await this.index.query({
+            // Embed the question with the same model as the documents
+            const questionEmbedding = await this.embeddingProvider.embed(question);
+            const questionLanguage = detectLanguage(question);
+            const preferLanguage = LANGUAGES.includes(questionLanguage);
+
+            // Search the vector store. Fetch extra matches when the question has a
+            // clear language, so versions in that language can move up into the top K.
+            const matches = await this.vectorStore.query({
                 vector: questionEmbedding,
-                topK: topK,
-                includeMetadata: true,
-                includeValues: false
+                topK: preferLanguage ? topK * 2 : topK,
+                // `category` holds every label of the chunk's page, and $in matches any of them
+                ...(options.category && { filter: { category: { $in: [options.category] } } })
             });
 
-            const relevantDocuments = searchResults.matches?.map(match => ({
-                text: match.metadata.text,
-                score: match.score,
-                metadata: match.metadata
-            })) || [];
+            const rank = match => match.score + (preferLanguage && match.metadata.language === questionLanguage ? SAME_LANGUAGE_BOOST : 0);
+            const relevantDocuments = matches
+                .sort((a, b) => rank(b) - rank(a))
+                .slice(0, topK)
+                .map(match => ({
+                    text: match.metadata.text,
+                    score: match.score,
+                    metadata: match.metadata
+                }));
 
             console.log(`📋 Found ${relevantDocuments.length} relevant documents`);
             return relevantDocuments;
@@ -443,8 +682,8 @@ class NITJSRRAGSystem {
         }
     }
 
-    async generateResponse(question, relevantDocuments) {
-        console.log('🤖 Generating response with Gemini...');
+    async generateResponse(question, relevantDocuments, placementFacts = null, facultyFacts = null, noticeFacts = null) {
+        console.log(`🤖 Generating response with ${this.chatProvider.describe().model}...`);
 
         try {
             // Find relevant links
@@ -453,9 +692,13 @@ class NITJSRRAGSystem {
             // Create enhanced context from relevant documents
             const context = relevantDocuments
                 .map((doc, index) => {
-                    const sourceInfo = doc.metadata.sourceType === 'pdf_document' 
-                        ? `[PDF Document ${index + 1}: ${doc.metadata.title} (${doc.metadata.pages} pages)]`
-                        : `[Page ${index + 1}: ${doc.metadata.title}]`;
+                    const pageLabel = doc.metadata.pageNumber ? `, page ${doc.metadata.pageNumber} of ${doc.metadata.pages}` : ` (${doc.metadata.pages} pages)`;
+                    let sourceInfo = `[Page ${index + 1}: ${doc.metadata.title}]`;
+                    if (doc.metadata.sourceType === 'pdf_document') {
+                        sourceInfo = `[PDF Document ${index + 1}: ${doc.metadata.title}${pageLabel}]`;
+                    } else if (doc.metadata.sourceType === 'attachment_document') {
+                        sourceInfo = `[${doc.metadata.fileType?.toUpperCase()} Document ${index + 1}: ${doc.metadata.title}]`;
+                    }
                     return `${sourceInfo} ${doc.text}`;
                 })
                 .join('\n\n');
@@ -467,32 +710,33 @@ class NITJSRRAGSystem {
                   ).join('\n')}`
                 : '';
 
-            // Create enhanced prompt for Gemini
+            // Create enhanced prompt for the chat model
             const prompt = `You are an AI assistant specializing in NIT Jamshedpur information. Use the provided context to answer questions accurately and helpfully.
 
 Context:
-${context || 'No relevant context found.'}${linksContext}
+${context || 'No relevant context found.'}${linksContext}${placementFacts ? `\n\nPlacement Statistics:\n${placementFacts.text}` : ''}${facultyFacts ? `\n\nFaculty Directory:\n${facultyFacts.text}` : ''}${noticeFacts ? `\n\nNotices:\n${noticeFacts.text}` : ''}
 
 Question: ${question}
 
 Instructions:
 - Answer based primarily on the provided context
+- Answer in the language of the question (Hindi or English), even when the context is in the other language; keep names, figures and URLs as they appear in the context
 - If the context doesn't contain enough information, state that clearly
 - Provide specific data points when available (percentages, package amounts, company names)
 - Be comprehensive but well-structured
 - When mentioning statistics, provide the source or timeframe when available
+- For placement numbers (CTC, offers, counts, averages), prefer the Placement Statistics section over the text snippets and mention the year and branch they cover
+- For questions about the latest notices, tenders, recruitments or events, list the items from the Notices section with their dates and links, newest first
+- For questions about faculty members (who teaches a subject, HODs, emails, phone numbers, research areas), use the Faculty Directory section and give the profile link
 - If relevant links are available, mention them in your response
-- For PDF documents, specify the document name and that it's a PDF
+- For PDF documents, specify the document name, that it's a PDF, and the page number when one is given
 - Include direct URLs when they would be helpful to the user
 - Format your response clearly with proper structure
 - If asked about documents or PDFs, provide the actual links when available
 
 Answer:`;
 
-            // Generate response using Gemini
-            const result = await this.chatModel.generateContent(prompt);
-            const response = result.response;
-            const text = response.text();
+            const text = await this.chatProvider.generate(prompt);
 
             console.log('✅ Response generated successfully');
 
@@ -501,11 +745,14 @@ Answer:`;
                 text: doc.text.substring(0, 200) + '...',
                 source: doc.metadata.source,
                 sourceType: doc.metadata.sourceType,
-                url: doc.metadata.url,
+                url: doc.metadata.pageNumber ? `${doc.metadata.url}#page=${doc.metadata.pageNumber}` : doc.metadata.url,
                 title: doc.metadata.title,
                 score: doc.score,
                 pages: doc.metadata.pages,
-                category: doc.metadata.category
+                pageNumber: doc.metadata.pageNumber,
+                // Vectors stored before multi-label categorization have a single category
+                category: doc.metadata.primaryCategory || doc.metadata.category,
+                categories: [].concat(doc.metadata.category || [])
             }));
 
             // Add relevant links as additional sources
@@ -525,6 +772,9 @@ Answer:`;
                 answer: text,
                 sources: enhancedSources,
                 relevantLinks: relevantLinks,
+                placementStats: placementFacts ? { filters: placementFacts.filters, summary: placementFacts.summary } : null,
+                faculty: facultyFacts ? facultyFacts.people : null,
+                notices: noticeFacts ? noticeFacts.notices : null,
                 confidence: relevantDocuments.length > 0 ? relevantDocuments[0].score : 0
             };
 
@@ -534,12 +784,16 @@ Answer:`;
         }
     }
 
-    async chat(question) {
+    // options.category restricts the document search to one category
+    async chat(question, options = {}) {
         try {
             // Search for relevant documents
-            const relevantDocs = await this.queryDocuments(question, 8);
+            const relevantDocs = await this.queryDocuments(question, 8, { category: options.category });
+            const placementFacts = this.lookupPlacementFacts(question);
+            const facultyFacts = this.lookupFacultyFacts(question);
+            const noticeFacts = this.lookupNoticeFacts(question);
 
-            if (relevantDocs.length === 0) {
+            if (relevantDocs.length === 0 && !placementFacts && !facultyFacts && !noticeFacts) {
                 return {
                     answer: "I don't have specific information about that topic in the NIT Jamshedpur data. Could you please rephrase your question or ask about placements, academics, faculty, departments, or other college-related topics?",
                     sources: [],
@@ -549,7 +803,7 @@ Answer:`;
             }
 
             // Generate response
-            const response = await this.generateResponse(question, relevantDocs);
+            const response = await this.generateResponse(question, relevantDocs, placementFacts, facultyFacts, noticeFacts);
             return response;
 
         } catch (error) {
@@ -560,11 +814,11 @@ Answer:`;
 
     async getIndexStats() {
         try {
-            const stats = await this.index.describeIndexStats();
+            if (!this.isInitialized) {
+                throw new Error('Vector store not connected');
+            }
             return {
-                totalVectors: stats.totalVectorCount || 0,
-                dimension: stats.dimension || 768,
-                indexFullness: stats.indexFullness || 0,
+                ...await this.vectorStore.stats(),
                 linkDatabaseSize: this.linkDatabase.size
             };
         } catch (error) {
@@ -573,10 +827,24 @@ Answer:`;
         }
     }
 
+    // Delete the vectors whose ids start with one of `prefixes`, except the ids
+    // in `keep`. Returns the number deleted.
+    async removeChunks(prefixes, keep = new Set()) {
+        let removed = 0;
+        for (const prefix of prefixes) {
+            const ids = (await this.vectorStore.listIds(prefix)).filter(id => !keep.has(id));
+            if (ids.length > 0) {
+                await this.vectorStore.delete(ids);
+                removed += ids.length;
+            }
+        }
+        return removed;
+    }
+
     async clearIndex() {
-        console.log('🗑️ Clearing Pinecone index and link database...');
+        console.log('🗑️ Clearing vector index and link database...');
         try {
-            await this.index.deleteAll();
+            await this.vectorStore.clear();
             this.linkDatabase.clear();
             console.log('✅ Index and link database cleared successfully');
         } catch (error) {
@@ -0,0 +1,314 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { NITJSRScraper } from './scraper.js';
+import { loadCrawlProfile } from './lib/crawlProfiles.js';
+import {
+    listSnapshots, loadSnapshot, loadSnapshotManifest, findSnapshot, parseRetention, pruneSnapshots, migrateSnapshot
+} from './lib/snapshots.js';
+import { brokenLinkReport } from './lib/fetchLog.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  crawl                 Crawl the site and save a snapshot
+  fetch <url>           Fetch one page and print its extracted record
+  pdfs [snapshot]       Re-process the PDFs and attachments linked from a snapshot
+  stats [snapshot]      Show statistics for a snapshot
+  links [snapshot]      List the broken links of a snapshot and the pages linking to them
+  index [snapshot]      Index a snapshot into the RAG system
+  prune                 Delete old snapshots by the retention policy
+  migrate               Convert legacy JSON snapshots to the compressed format
+  (snapshot defaults to the latest one in the data directory)
+
+Options:
+  --json                Print JSON on stdout (progress logs go to stderr)
+  --data-dir <dir>      Snapshot directory (default: scraped_data)
+  --profile <name>      Crawl profile from profiles/ (crawl, fetch, pdfs)
+  --fetch-mode <mode>   auto, browser or static (crawl, fetch)
+  --max-pages <n>       Page budget (crawl)
+  --max-depth <n>       Link depth (crawl)
+  --concurrency <n>     Parallel workers (crawl)
+  --delay <ms>          Minimum gap between requests to a host (crawl, pdfs)
+  --full                Ignore the previous snapshot and fetch everything again (crawl, pdfs)
+  --force               Clear the vector index before indexing (index)
+  --kind <kind>         page, pdf or attachment (links)
+  --redirects           List redirected links as well (links)
+  --languages <list>    en, hi or en,hi: languages to index (index, default: INDEX_LANGUAGES or both)
+  --keep-last <n>       Newest snapshots to keep per profile (prune; default: SNAPSHOT_KEEP_LAST or 10).
+                        crawl and pdfs only prune when a --keep-* option or SNAPSHOT_KEEP_* is set
+  --keep-monthly <n>    Months to keep one snapshot of per profile (prune; default: SNAPSHOT_KEEP_MONTHLY or 12)
+  --dry-run             List what would be deleted without deleting it (prune)
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+    json: { type: 'boolean', default: false },
+    'data-dir': { type: 'string' },
+    profile: { type: 'string' },
+    'fetch-mode': { type: 'string' },
+    'max-pages': { type: 'string' },
+    'max-depth': { type: 'string' },
+    concurrency: { type: 'string' },
+    delay: { type: 'string' },
+    full: { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false },
+    languages: { type: 'string' },
+    kind: { type: 'string' },
+    redirects: { type: 'boolean', default: false },
+    'keep-last': { type: 'string' },
+    'keep-monthly': { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function positiveInteger(values, name, min = 1) {
+    if (values[name] === undefined) return undefined;
+    const number = Number(values[name]);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(`--${name} must be an integer >= ${min}`);
+    }
+    return number;
+}
+
+async function scraperFor(values, overrides = {}) {
+    return new NITJSRScraper({
+        dataDir: values.dataDir,
+        incremental: !values.full,
+        retention: retentionFor(values),
+        ...(values.profile && { profile: await loadCrawlProfile(values.profile) }),
+        ...(values['fetch-mode'] && { fetchMode: values['fetch-mode'] }),
+        ...overrides
+    });
+}
+
+// Retention values from the options or the environment; the scraper only
+// prunes when one is set, `prune` fills in the defaults
+function retentionFor(values) {
+    return {
+        keepLast: values['keep-last'] ?? process.env.SNAPSHOT_KEEP_LAST,
+        keepMonthly: values['keep-monthly'] ?? process.env.SNAPSHOT_KEEP_MONTHLY
+    };
+}
+
+async function resolveSnapshot(dataDir, name) {
+    if (name) return findSnapshot(dataDir, name);
+    const [latest] = await listSnapshots(dataDir);
+    if (!latest) throw new Error(`Snapshot not found: no snapshots in ${dataDir}`);
+    return latest;
+}
+
+const countStatuses = (changes = {}) =>
+    Object.fromEntries(Object.entries(changes).map(([status, urls]) => [status, urls.length]));
+
+// From the snapshot's manifest, so the pages are never loaded
+function snapshotStats(manifest, filename) {
+    return {
+        snapshot: filename,
+        timestamp: manifest.metadata?.timestamp,
+        profile: manifest.metadata?.profile || 'default',
+        fetchMode: manifest.metadata?.fetchMode,
+        baseline: manifest.metadata?.baselineSnapshot || null,
+        statistics: manifest.statistics,
+        categories: manifest.categories || {},
+        changes: {
+            pages: countStatuses(manifest.changes?.pages),
+            pdfs: countStatuses(manifest.changes?.pdfs),
+            attachments: countStatuses(manifest.changes?.attachments)
+        }
+    };
+}
+
+function printSummary(summary) {
+    console.log(`📄 Pages: ${summary.totalPages}`);
+    console.log(`📑 PDFs: ${summary.totalPDFs}`);
+    console.log(`📎 Attachments: ${summary.totalAttachments}`);
+    console.log(`🔗 Links: ${summary.totalLinks}`);
+    console.log(`📂 Saved to: ${summary.filepath}`);
+}
+
+const commands = {
+    async crawl(values) {
+        const scraper = await scraperFor(values, {
+            maxPages: positiveInteger(values, 'max-pages'),
+            maxDepth: positiveInteger(values, 'max-depth'),
+            concurrency: positiveInteger(values, 'concurrency'),
+            delay: positiveInteger(values, 'delay', 0)
+        });
+        const result = await scraper.scrapeComprehensive();
+        return { json: result.summary, print: () => printSummary(result.summary) };
+    },
+
+    async fetch(values, [url]) {
+        if (!url) throw new Error('fetch needs a URL');
+        // A one-off fetch never reuses the previous snapshot's copy of the page
+        const scraper = await scraperFor({ ...values, full: true });
+
+        let record;
+        try {
+            await scraper.initialize();
+            record = await scraper.scrapePage(url, 0);
+        } finally {
+            await scraper.cleanup();
+        }
+        if (!record) throw new Error(`Could not fetch ${url}`);
+
+        return {
+            json: record,
+            print: () => {
+                console.log(`🔍 ${record.title} (${record.url})`);
+                console.log(`📂 Categories: ${record.categories.join(', ')}, language: ${record.language}, ${record.wordCount} words, fetched with ${record.fetchMode}`);
+                console.log(`🔖 Headings: ${record.headings.map(h => h.text).join(' | ') || 'none'}`);
+                console.log(`📊 Tables: ${record.tables.length}, lists: ${record.lists.length}, profile cards: ${record.profileCards?.length || 0}, links: ${record.links.length}`);
+                console.log('\n📝 Content:');
+                console.log(record.content);
+            }
+        };
+    },
+
+    async pdfs(values, [name]) {
+        const dataDir = values.dataDir;
+        const snapshot = await resolveSnapshot(dataDir, name);
+        const scraper = await scraperFor(values, { delay: positiveInteger(values, 'delay', 0) });
+        const result = await scraper.processSnapshotDocuments(snapshot.filename);
+        return { json: result.summary, print: () => printSummary(result.summary) };
+    },
+
+    async stats(values, [name]) {
+        const snapshot = await resolveSnapshot(values.dataDir, name);
+        const stats = snapshotStats(await loadSnapshotManifest(snapshot), snapshot.filename);
+        return {
+            json: stats,
+            print: () => {
+                const s = stats.statistics || {};
+                console.log(`📊 ${stats.snapshot} (${stats.timestamp}, ${stats.profile} profile, ${stats.fetchMode || 'unknown'} fetch mode)`);
+                console.log(`📄 Pages: ${s.totalPages}, 📑 PDFs: ${s.totalPDFs}, 📎 Attachments: ${s.totalAttachments ?? 0}, 🔗 Links: ${s.totalLinks}`);
+                if (s.brokenLinks !== undefined) {
+                    console.log(`💔 Broken links: ${s.brokenLinks}, ↪️ redirected: ${s.redirectedLinks}`);
+                }
+                console.log('\n📚 Categories:');
+                Object.entries(stats.categories).forEach(([category, count]) => console.log(`   ${category}: ${count}`));
+                if (s.languages) {
+                    console.log(`\n🌐 Languages: ${Object.entries(s.languages).map(([language, n]) => `${n} ${language}`).join(', ')} (${s.translatedPages} pages linked to a translation)`);
+                }
+                if (stats.baseline) {
+                    console.log(`\n♻️ Changes since ${stats.baseline}:`);
+                    Object.entries(stats.changes).forEach(([kind, counts]) => {
+                        console.log(`   ${kind}: ${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ')}`);
+                    });
+                }
+            }
+        };
+    },
+
+    async links(values, [name]) {
+        const snapshot = await resolveSnapshot(values.dataDir, name);
+        const report = {
+            snapshot: snapshot.filename,
+            ...brokenLinkReport(await loadSnapshot(snapshot.filepath), { kind: values.kind, redirects: values.redirects })
+        };
+        return {
+            json: report,
+            print: () => {
+                console.log(`💔 ${report.totalBroken} broken of ${report.totalChecked} checked links in ${report.snapshot}`);
+                report.links.forEach(link => {
+                    const outcome = link.ok ? `redirected (${link.status})` : `${link.errorType}${link.status ? ` ${link.status}` : ''}`;
+                    console.log(`\n${link.ok ? '↪️' : '❌'} [${link.kind}] ${link.url} - ${outcome}`);
+                    link.redirects.forEach(hop => console.log(`   ${hop.status} → ${hop.location}`));
+                    link.sources.forEach(source => console.log(`   linked from ${source.url} ("${source.linkText}")`));
+                });
+            }
+        };
+    },
+
+    async index(values, [name]) {
+        const snapshot = await resolveSnapshot(values.dataDir, name);
+        const data = await loadSnapshot(snapshot.filepath);
+
+        // Loaded here so the other commands work without the AI dependencies installed
+        const { NITJSRRAGSystem } = await import('./RagSystem.js');
+        const ragSystem = new NITJSRRAGSystem();
+        await ragSystem.initialize();
+        if (values.force) {
+            await ragSystem.clearIndex();
+        }
+        const result = await ragSystem.processAndStoreDocuments(data, { languages: values.languages });
+
+        const summary = { snapshot: snapshot.filename, cleared: values.force, totalDocuments: result.totalDocuments };
+        return { json: summary, print: () => console.log(`🎉 Indexed ${summary.totalDocuments} chunks from ${summary.snapshot}`) };
+    },
+
+    async prune(values) {
+        const retention = parseRetention(retentionFor(values));
+        const pruned = await pruneSnapshots(values.dataDir, retention, { dryRun: values['dry-run'] });
+        const result = { retention, dryRun: values['dry-run'], pruned: pruned.map(snapshot => snapshot.filename) };
+        return {
+            json: result,
+            print: () => {
+                const verb = result.dryRun ? 'Would delete' : 'Deleted';
+                console.log(`🗑️ ${verb} ${pruned.length} snapshots (keeping the last ${retention.keepLast} and one per month for ${retention.keepMonthly} months of each profile)`);
+                pruned.forEach(snapshot => console.log(`   ${snapshot.filename} (${snapshot.profile})`));
+            }
+        };
+    },
+
+    async migrate(values) {
+        const legacy = (await listSnapshots(values.dataDir)).filter(snapshot => snapshot.format === 'legacy');
+        const migrated = [];
+        for (const snapshot of legacy) {
+            const written = await migrateSnapshot(snapshot);
+            console.error(`📦 ${snapshot.filename} → ${written.filename} (${Math.round(written.manifest.recordsBytes / 1024)} KB of records)`);
+            migrated.push({ from: snapshot.filename, to: written.filename, recordsBytes: written.manifest.recordsBytes });
+        }
+        return {
+            json: { migrated },
+            print: () => console.log(`📦 Migrated ${migrated.length} legacy snapshots`)
+        };
+    }
+};
+
+async function main() {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    const [command, ...args] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (!Object.hasOwn(commands, command)) {
+        console.error(`❌ Unknown command "${command}"\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    values.dataDir = values['data-dir'] ? path.resolve(values['data-dir']) : path.join(__dirname, 'scraped_data');
+
+    // Keep stdout for the JSON result; the scraper's progress logs go to stderr
+    const log = console.log;
+    if (values.json) {
+        console.log = console.error;
+    }
+
+    try {
+        const output = await commands[command](values, args);
+        if (values.json) {
+            log(JSON.stringify(output.json, null, 2));
+        } else {
+            output.print();
+        }
+    } catch (error) {
+        console.error(`❌ ${command} failed:`, error.message);
+        process.exit(1);
+    }
+}
+
+main();
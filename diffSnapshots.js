@@ -0,0 +1,71 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { diffSnapshotFiles } from './lib/snapshotDiff.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Usage: node diffSnapshots.js [from.json] [to.json] [--json] [--lines N] [--data-dir DIR]
+// Without filenames the latest snapshot is compared with the one before it.
+function parseArgs(argv) {
+    const options = { files: [], json: false, maxDiffLines: 20, dataDir: path.join(__dirname, 'scraped_data') };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--json') options.json = true;
+        else if (argv[i] === '--lines') options.maxDiffLines = parseInt(argv[++i], 10) || options.maxDiffLines;
+        else if (argv[i] === '--data-dir') options.dataDir = path.resolve(argv[++i]);
+        else options.files.push(argv[i]);
+    }
+    return options;
+}
+
+function printList(label, items, format) {
+    if (items.length === 0) return;
+    console.log(`\n${label} (${items.length}):`);
+    items.forEach(item => console.log(`   ${format(item)}`));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const [from, to] = options.files;
+
+    try {
+        const diff = await diffSnapshotFiles(options.dataDir, from, to, { maxDiffLines: options.maxDiffLines });
+
+        if (options.json) {
+            console.log(JSON.stringify(diff, null, 2));
+            return;
+        }
+
+        const s = diff.summary;
+        console.log(`🔍 ${diff.from.filename} → ${diff.to.filename}`);
+        console.log(`📄 Pages: +${s.pagesAdded} added, -${s.pagesRemoved} removed, ~${s.pagesModified} modified, ${s.categoryMoves} category moves`);
+        console.log(`📑 PDFs: +${s.pdfsAdded} added, -${s.pdfsRemoved} removed, ~${s.pdfsModified} modified`);
+        console.log(`📎 Attachments: +${s.attachmentsAdded} added, -${s.attachmentsRemoved} removed`);
+
+        printList('➕ Pages added', diff.pages.added, page => `${page.title} (${page.categories.join(', ')}) ${page.url}`);
+        printList('➖ Pages removed', diff.pages.removed, page => `${page.title} (${page.categories.join(', ')}) ${page.url}`);
+        printList('🔀 Category moves', diff.categoryMoves, move => `${move.title}: ${[
+            ...move.added.map(category => `+${category}`),
+            ...move.removed.map(category => `-${category}`)
+        ].join(' ') || `${move.from} → ${move.to}`} ${move.url}`);
+        printList('➕ PDFs added', diff.pdfs.added, pdf => `${pdf.title} ${pdf.url}`);
+        printList('➖ PDFs removed', diff.pdfs.removed, pdf => `${pdf.title} ${pdf.url}`);
+        printList('➕ Attachments added', diff.attachments.added, doc => `${doc.title} ${doc.url}`);
+        printList('➖ Attachments removed', diff.attachments.removed, doc => `${doc.title} ${doc.url}`);
+
+        if (diff.pages.modified.length > 0) {
+            console.log(`\n✏️ Pages modified (${diff.pages.modified.length}):`);
+            diff.pages.modified.forEach(page => {
+                console.log(`\n   ${page.title} ${page.url} (+${page.linesAdded}/-${page.linesRemoved} lines, ${page.wordCountDelta >= 0 ? '+' : ''}${page.wordCountDelta} words)`);
+                page.textDiff.forEach(line => console.log(`      ${line.substring(0, 160)}`));
+                if (page.truncated) console.log('      …');
+            });
+        }
+    } catch (error) {
+        console.error('❌ Diff failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
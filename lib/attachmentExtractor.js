@@ -0,0 +1,182 @@
+import path from 'path';
+import * as cheerio from 'cheerio';
+
+// Office Open XML attachments linked from the site. Legacy binary formats
+// (.doc, .xls, .ppt) are not supported by the parsers below.
+const ATTACHMENT_TYPES = {
+    docx: { label: 'Word document', extensions: ['.docx'] },
+    xlsx: { label: 'Excel spreadsheet', extensions: ['.xlsx'] },
+    pptx: { label: 'PowerPoint presentation', extensions: ['.pptx'] }
+};
+
+// Largest uncompressed zip entry read, so a small download cannot inflate
+// into gigabytes of XML
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+function detectAttachmentType(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+
+    for (const [type, definition] of Object.entries(ATTACHMENT_TYPES)) {
+        if (definition.extensions.some(ext => pathname.endsWith(ext))) {
+            return type;
+        }
+    }
+    return null;
+}
+
+// Opens the zip and checks the uncompressed size every entry declares; JSZip
+// rejects entries whose data turns out longer than declared
+async function loadZip(data) {
+    const { default: JSZip } = await import('jszip');
+    const zip = await JSZip.loadAsync(data);
+    for (const entry of Object.values(zip.files)) {
+        const size = entry._data?.uncompressedSize ?? 0;
+        if (size > MAX_ENTRY_SIZE) {
+            const error = new Error(`Zip entry ${entry.name} is ${size} bytes uncompressed, over the ${MAX_ENTRY_SIZE} byte limit`);
+            error.code = 'ERR_ZIP_ENTRY_TOO_LARGE'; // Reported as `too_large` in the fetch log
+            throw error;
+        }
+    }
+    return zip;
+}
+
+// Zip entry a relationship target points to; targets are relative to the
+// part's folder unless they start with "/"
+function resolveTarget(folder, target) {
+    return target.startsWith('/') ? target.slice(1) : path.posix.normalize(`${folder}/${target}`);
+}
+
+// Numeric order for zip entries like xl/worksheets/sheet10.xml
+function entryNumber(name) {
+    return parseInt(name.match(/(\d+)\.xml$/)?.[1] || '0', 10);
+}
+
+// "AB12" -> 27 (zero-based column index)
+function columnIndex(cellRef) {
+    const letters = (cellRef || '').match(/^[A-Z]+/i)?.[0]?.toUpperCase() || '';
+    return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+async function extractDocx(data) {
+    await loadZip(data); // mammoth unzips on its own; check the entry sizes first
+    const { default: mammoth } = await import('mammoth');
+    const result = await mammoth.extractRawText({ buffer: Buffer.from(data) });
+    const text = result.value.replace(/\n{3,}/g, '\n\n').trim();
+    return { text: text, pages: null };
+}
+
+async function extractXlsx(data) {
+    const zip = await loadZip(data);
+
+    const sharedStrings = [];
+    const sharedXml = await zip.file('xl/sharedStrings.xml')?.async('string');
+    if (sharedXml) {
+        const $ = cheerio.load(sharedXml, { xmlMode: true });
+        $('si').each((i, si) => {
+            sharedStrings.push($(si).find('t').map((j, t) => $(t).text()).get().join(''));
+        });
+    }
+
+    // Sheets in workbook order, each found through its r:id in the workbook's
+    // relationships (sheetN.xml numbers do not follow the tab order)
+    const targets = new Map();
+    const relsXml = await zip.file('xl/_rels/workbook.xml.rels')?.async('string');
+    if (relsXml) {
+        const $ = cheerio.load(relsXml, { xmlMode: true });
+        $('Relationship').each((i, rel) => targets.set($(rel).attr('Id'), resolveTarget('xl', $(rel).attr('Target') || '')));
+    }
+
+    let sheetFiles = [];
+    const workbookXml = await zip.file('xl/workbook.xml')?.async('string');
+    if (workbookXml) {
+        const $ = cheerio.load(workbookXml, { xmlMode: true });
+        sheetFiles = $('sheet').map((i, sheet) => ({ name: $(sheet).attr('name'), file: targets.get($(sheet).attr('r:id')) })).get()
+            .filter(sheet => sheet.file && zip.file(sheet.file));
+    }
+    if (sheetFiles.length === 0) {
+        sheetFiles = Object.keys(zip.files)
+            .filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+            .sort((a, b) => entryNumber(a) - entryNumber(b))
+            .map(file => ({ name: null, file: file }));
+    }
+
+    const sheets = [];
+    for (let i = 0; i < sheetFiles.length; i++) {
+        const $ = cheerio.load(await zip.file(sheetFiles[i].file).async('string'), { xmlMode: true });
+        const rows = [];
+
+        $('sheetData > row').each((j, row) => {
+            const cells = [];
+            $(row).children('c').each((k, cell) => {
+                const type = $(cell).attr('t');
+                let value;
+                if (type === 's') {
+                    value = sharedStrings[parseInt($(cell).children('v').text(), 10)] ?? '';
+                } else if (type === 'inlineStr') {
+                    value = $(cell).find('t').map((m, t) => $(t).text()).get().join('');
+                } else {
+                    value = $(cell).children('v').text();
+                }
+                const index = columnIndex($(cell).attr('r'));
+                cells[index >= 0 ? index : cells.length] = value.trim();
+            });
+
+            const rowData = Array.from(cells, cell => cell ?? '');
+            if (rowData.some(Boolean)) rows.push(rowData);
+        });
+
+        sheets.push({ name: sheetFiles[i].name || `Sheet${i + 1}`, rows: rows });
+    }
+
+    const text = sheets.map(sheet => [
+        `Sheet: ${sheet.name}`,
+        ...sheet.rows.map((row, index) => `Row ${index + 1}: ${row.join(' | ')}`)
+    ].join('\n')).join('\n\n');
+
+    return { text: text, pages: sheets.length, sheets: sheets };
+}
+
+async function extractPptx(data) {
+    const zip = await loadZip(data);
+
+    const slideFiles = Object.keys(zip.files)
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+        .sort((a, b) => entryNumber(a) - entryNumber(b));
+
+    const slides = [];
+    for (const slideFile of slideFiles) {
+        const $ = cheerio.load(await zip.file(slideFile).async('string'), { xmlMode: true });
+        const paragraphs = $('a\\:p').map((i, paragraph) =>
+            $(paragraph).find('a\\:t').map((j, t) => $(t).text()).get().join('')
+        ).get().map(text => text.trim()).filter(Boolean);
+
+        slides.push({ slideNumber: entryNumber(slideFile), text: paragraphs.join('\n') });
+    }
+
+    const text = slides
+        .filter(slide => slide.text)
+        .map(slide => `Slide ${slide.slideNumber}:\n${slide.text}`)
+        .join('\n\n');
+
+    return { text: text, pages: slides.length, slides: slides };
+}
+
+async function extractAttachment(type, data) {
+    switch (type) {
+        case 'docx':
+            return extractDocx(data);
+        case 'xlsx':
+            return extractXlsx(data);
+        case 'pptx':
+            return extractPptx(data);
+        default:
+            throw new Error(`Unsupported attachment type: ${type}`);
+    }
+}
+
+export { ATTACHMENT_TYPES, detectAttachmentType, extractAttachment };
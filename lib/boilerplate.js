@@ -0,0 +1,47 @@
+import { hashContent } from './changeTracker.js';
+
+function blockKey(text) {
+    return hashContent(text.replace(/\s+/g, ' ').trim().toLowerCase());
+}
+
+function listKey(items) {
+    return blockKey(items.join('\n'));
+}
+
+// Every block a page contributes to the count: content blocks, lists and headings
+function pageBlockKeys(page) {
+    return new Set([
+        ...(page.rawContent || []).map(blockKey),
+        ...(page.lists || []).map(listKey),
+        ...(page.headings || []).map(heading => blockKey(heading.text))
+    ]);
+}
+
+// Keys of blocks that appear on at least `threshold` of the pages (and on
+// at least `minPages` pages, so a three-page crawl does not strip itself bare)
+function findBoilerplate(pages, { threshold = 0.4, minPages = 3 } = {}) {
+    const counts = new Map();
+    pages.forEach(page => {
+        pageBlockKeys(page).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+
+    const required = Math.max(minPages, Math.ceil(pages.length * threshold));
+    const boilerplate = new Set();
+    for (const [key, count] of counts.entries()) {
+        if (count >= required) boilerplate.add(key);
+    }
+    return boilerplate;
+}
+
+// Removes boilerplate blocks from the page in place and returns how many were dropped
+function stripPageBoilerplate(page, boilerplateKeys) {
+    const before = (page.rawContent?.length || 0) + (page.lists?.length || 0) + (page.headings?.length || 0);
+
+    page.rawContent = (page.rawContent || []).filter(text => !boilerplateKeys.has(blockKey(text)));
+    page.lists = (page.lists || []).filter(items => !boilerplateKeys.has(listKey(items)));
+    page.headings = (page.headings || []).filter(heading => !boilerplateKeys.has(blockKey(heading.text)));
+
+    return before - (page.rawContent.length + page.lists.length + page.headings.length);
+}
+
+export { findBoilerplate, stripPageBoilerplate, blockKey };
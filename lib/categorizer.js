@@ -0,0 +1,77 @@
+// Score-based, multi-label categorization of pages and documents. Each
+// category rule from the crawl profile is scored by where its keywords occur:
+// `url` keywords in the URL, `content` keywords in the title, headings and body,
+// each field with its own weight. Every category scoring at least `minScore` is
+// a label, best first; the best-scoring category is also the primary one, so a
+// placement page of the CSE department is both `departments` and `placements`.
+
+const DEFAULT_SCORING = {
+    // Points for a keyword match in each field
+    weights: {
+        url: 3,
+        title: 2,
+        headings: 1.5,
+        content: 1
+    },
+    // Body mentions needed for the full content weight, so one passing mention scores little
+    contentHits: 3,
+    // Score a category needs to be a label of its own
+    minScore: 2
+};
+
+const GENERAL = 'general';
+
+function occurrences(text, keyword) {
+    let count = 0;
+    for (let index = text.indexOf(keyword); index !== -1; index = text.indexOf(keyword, index + keyword.length)) {
+        count++;
+    }
+    return count;
+}
+
+// page: { url, title, headings: [{ text }] or [string], content }.
+// Returns { category, categories, scores }: the primary category, the labels
+// (best first, `general` when none reaches minScore) and every non-zero score.
+function categorize(page, rules, scoring = DEFAULT_SCORING) {
+    const { weights, contentHits, minScore } = scoring;
+    const url = (page.url || '').toLowerCase();
+    const title = (page.title || '').toLowerCase();
+    const headings = (page.headings || []).map(h => (typeof h === 'string' ? h : h.text) || '').join(' ').toLowerCase();
+    const content = (page.content || '').toLowerCase();
+
+    const scores = {};
+    rules.forEach(rule => {
+        let score = 0;
+        if (rule.url.some(keyword => url.includes(keyword))) score += weights.url;
+        if (rule.content.some(keyword => title.includes(keyword))) score += weights.title;
+        if (rule.content.some(keyword => headings.includes(keyword))) score += weights.headings;
+
+        const hits = rule.content.reduce((sum, keyword) => sum + occurrences(content, keyword), 0);
+        score += weights.content * Math.min(hits, contentHits) / contentHits;
+
+        if (score > 0) {
+            scores[rule.category] = Math.round(score * 100) / 100;
+        }
+    });
+
+    // Ties keep rule order
+    const ranked = rules.map(rule => rule.category).filter(category => scores[category])
+        .sort((a, b) => scores[b] - scores[a]);
+    const labels = ranked.filter(category => scores[category] >= minScore);
+
+    // Weak evidence alone never labels a page: without a label it is `general`
+    const categories = labels.length > 0 ? labels : [GENERAL];
+
+    return { category: categories[0], categories, scores };
+}
+
+// Labels of a page or document, for records saved before multi-label categorization too
+function categoriesOf(record) {
+    return record.categories || [record.category || GENERAL];
+}
+
+function hasCategory(record, category) {
+    return categoriesOf(record).includes(category);
+}
+
+export { DEFAULT_SCORING, GENERAL, categorize, categoriesOf, hasCategory };
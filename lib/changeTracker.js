@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import { urlKey } from './urlUtils.js';
+
+const CHANGE_STATUSES = ['new', 'changed', 'unchanged', 'removed'];
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content || '').digest('hex');
+}
+
+const KINDS = ['page', 'pdf', 'attachment'];
+
+// Remembers the validators (ETag, Last-Modified, content hashes) of every page,
+// PDF and attachment in the previous snapshot so the scraper can skip unchanged
+// resources and label each one as new, changed, unchanged or removed.
+// Resources are matched by canonical URL (urlKey) and reported by the URL fetched.
+class ChangeTracker {
+    constructor() {
+        this.baseline = null;
+        this.previous = Object.fromEntries(KINDS.map(kind => [kind, new Map()])); // key -> record
+        this.status = Object.fromEntries(KINDS.map(kind => [kind, new Map()])); // key -> { url, status }
+    }
+
+    loadBaseline(snapshotData, filename = null) {
+        KINDS.forEach(kind => {
+            this.previous[kind].clear();
+            this.status[kind].clear();
+        });
+
+        const remember = (kind, record) => this.previous[kind].set(urlKey(record.url), record);
+        snapshotData.pages?.forEach(page => remember('page', page));
+        snapshotData.documents?.pdfs?.forEach(pdf => remember('pdf', pdf));
+        snapshotData.documents?.other?.forEach(doc => remember('attachment', doc));
+
+        this.baseline = {
+            filename: filename,
+            timestamp: snapshotData.metadata?.timestamp || null,
+            pages: this.previous.page.size,
+            pdfs: this.previous.pdf.size,
+            attachments: this.previous.attachment.size
+        };
+    }
+
+    getPrevious(kind, url) {
+        return this.previous[kind].get(urlKey(url)) || null;
+    }
+
+    conditionalHeaders(kind, url) {
+        const validators = this.getPrevious(kind, url)?.validators;
+        const headers = {};
+        if (validators?.etag) headers['If-None-Match'] = validators.etag;
+        if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+        return headers;
+    }
+
+    // Classify a freshly fetched resource by comparing its content hash with the baseline
+    classify(kind, url, contentHash) {
+        const previous = this.getPrevious(kind, url);
+        let status = 'new';
+        if (previous) {
+            status = previous.validators?.contentHash === contentHash ? 'unchanged' : 'changed';
+        }
+        this.status[kind].set(urlKey(url), { url, status });
+        return status;
+    }
+
+    markUnchanged(kind, url) {
+        this.status[kind].set(urlKey(url), { url, status: 'unchanged' });
+        return 'unchanged';
+    }
+
+    // [url, status] pairs of each kind, for checkpoints
+    exportStatus() {
+        return Object.fromEntries(KINDS.map(kind => [kind, Array.from(this.status[kind].values(), ({ url, status }) => [url, status])]));
+    }
+
+    restoreStatus(status = {}) {
+        KINDS.forEach(kind => {
+            this.status[kind] = new Map((status[kind] || []).map(([url, value]) => [urlKey(url), { url, status: value }]));
+        });
+    }
+
+    summarize(kind) {
+        const result = Object.fromEntries(CHANGE_STATUSES.map(status => [status, []]));
+        for (const { url, status } of this.status[kind].values()) {
+            result[status].push(url);
+        }
+        for (const [key, record] of this.previous[kind]) {
+            if (!this.status[kind].has(key)) {
+                result.removed.push(record.url);
+            }
+        }
+        return result;
+    }
+
+    summary() {
+        return {
+            baseline: this.baseline,
+            pages: this.summarize('page'),
+            pdfs: this.summarize('pdf'),
+            attachments: this.summarize('attachment')
+        };
+    }
+}
+
+export { ChangeTracker, hashContent, CHANGE_STATUSES };
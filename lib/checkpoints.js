@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Frontier checkpoints for in-progress crawls, one JSON file per crawl id.
+// Files are written to a temp name and renamed so a crash mid-write never
+// leaves a truncated checkpoint behind.
+async function saveCheckpoint(checkpointDir, checkpoint) {
+    await fs.mkdir(checkpointDir, { recursive: true });
+    const filepath = path.join(checkpointDir, `${checkpoint.crawlId}.json`);
+    const tmpPath = `${filepath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(checkpoint), 'utf8');
+    await fs.rename(tmpPath, filepath);
+    return filepath;
+}
+
+async function loadCheckpoint(checkpointDir, crawlId) {
+    if (!/^[\w-]+$/.test(crawlId)) {
+        throw new Error(`Invalid crawl id "${crawlId}"`);
+    }
+    try {
+        return JSON.parse(await fs.readFile(path.join(checkpointDir, `${crawlId}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function deleteCheckpoint(checkpointDir, crawlId) {
+    await fs.rm(path.join(checkpointDir, `${crawlId}.json`), { force: true });
+}
+
+// Summaries of every crawl that has a checkpoint, i.e. every crawl that has not completed
+async function listCheckpoints(checkpointDir) {
+    const files = await fs.readdir(checkpointDir).catch(() => []);
+    const crawls = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        try {
+            const checkpoint = JSON.parse(await fs.readFile(path.join(checkpointDir, file), 'utf8'));
+            crawls.push({
+                crawlId: checkpoint.crawlId,
+                status: checkpoint.status,
+                phase: checkpoint.phase,
+                startedAt: checkpoint.scrapedData?.metadata?.timestamp,
+                updatedAt: checkpoint.updatedAt,
+                error: checkpoint.error || null,
+                pagesScraped: checkpoint.scrapedData?.pages?.length || 0,
+                pdfsProcessed: checkpoint.scrapedData?.documents?.pdfs?.length || 0,
+                queued: checkpoint.toVisit?.length || 0,
+                pdfsFound: checkpoint.pdfUrls?.length || 0,
+                attachmentsFound: checkpoint.attachmentUrls?.length || 0,
+                maxPages: checkpoint.scrapedData?.metadata?.maxPages
+            });
+        } catch (error) {
+            console.error(`Error reading checkpoint ${file}:`, error.message);
+        }
+    }
+
+    return crawls.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+export { saveCheckpoint, loadCheckpoint, deleteCheckpoint, listCheckpoints };
@@ -0,0 +1,117 @@
+import { tryCanonicalizeUrl, resolveUrl } from './urlUtils.js';
+
+// Higher priority is crawled first. Matched against the decoded URL path and query.
+const DEFAULT_PRIORITY_RULES = [
+    { pattern: /placement|training|career|recruiter|internship|tnp/i, priority: 3 },
+    { pattern: /admission|apply|jee|ccmt|eligibility|fee/i, priority: 2 },
+    { pattern: /notice|announcement|news|circular/i, priority: 1 }
+];
+
+// Priority queue of URLs to crawl. URLs are deduplicated by their canonical
+// form against everything ever queued, then ordered by priority (highest
+// first), depth (shallowest first) and insertion order. Entries keep the URL
+// as first linked, which is the one to fetch.
+class CrawlFrontier {
+    constructor({ priorityRules = DEFAULT_PRIORITY_RULES } = {}) {
+        this.priorityRules = priorityRules;
+        this.heap = [];
+        this.seen = new Set();
+        this.sequence = 0;
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    priorityOf(url) {
+        let target = url;
+        try {
+            const urlObj = new URL(url);
+            target = decodeURIComponent(urlObj.pathname + urlObj.search);
+        } catch (error) {
+            // Keep the raw URL
+        }
+
+        return this.priorityRules.reduce((best, rule) =>
+            rule.pattern.test(target) ? Math.max(best, rule.priority) : best, 0);
+    }
+
+    // Returns false when the URL is invalid or has already been queued
+    add(url, depth = 0) {
+        const canonical = tryCanonicalizeUrl(url);
+        if (!canonical || this.seen.has(canonical)) {
+            return false;
+        }
+
+        this.seen.add(canonical);
+        this.push({
+            url: resolveUrl(url),
+            key: canonical,
+            depth: depth,
+            priority: this.priorityOf(canonical),
+            sequence: this.sequence++
+        });
+        return true;
+    }
+
+    has(url) {
+        const canonical = tryCanonicalizeUrl(url);
+        return canonical ? this.seen.has(canonical) : false;
+    }
+
+    // Record URLs that were handled outside the frontier so they are never queued
+    markSeen(url) {
+        const canonical = tryCanonicalizeUrl(url);
+        if (canonical) this.seen.add(canonical);
+    }
+
+    next() {
+        if (this.heap.length === 0) return null;
+
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return { url: top.url, key: top.key, depth: top.depth, priority: top.priority };
+    }
+
+    // Queued entries in crawl order, for checkpoints
+    toJSON() {
+        return [...this.heap]
+            .sort((a, b) => this.compare(a, b))
+            .map(({ url, depth }) => ({ url, depth }));
+    }
+
+    compare(a, b) {
+        return (b.priority - a.priority) || (a.depth - b.depth) || (a.sequence - b.sequence);
+    }
+
+    push(entry) {
+        this.heap.push(entry);
+        let index = this.heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(this.heap[index], this.heap[parent]) >= 0) break;
+            [this.heap[index], this.heap[parent]] = [this.heap[parent], this.heap[index]];
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const length = this.heap.length;
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            if (left < length && this.compare(this.heap[left], this.heap[smallest]) < 0) smallest = left;
+            if (right < length && this.compare(this.heap[right], this.heap[smallest]) < 0) smallest = right;
+            if (smallest === index) break;
+            [this.heap[index], this.heap[smallest]] = [this.heap[smallest], this.heap[index]];
+            index = smallest;
+        }
+    }
+}
+
+export { CrawlFrontier, DEFAULT_PRIORITY_RULES };
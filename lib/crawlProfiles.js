@@ -0,0 +1,344 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_PRIORITY_RULES } from './crawlFrontier.js';
+import { DEFAULT_SCORING } from './categorizer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Crawl profiles are JSON or YAML files in profiles/ named after the profile.
+// A profile only lists what differs from DEFAULT_PROFILE: `limits`, `delays`
+// and `categoryScoring` are merged key by key, every other field replaces the default.
+const PROFILE_DIR = path.join(__dirname, '..', 'profiles');
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const DEFAULT_PROFILE = {
+    name: 'default',
+    description: 'Full crawl of nitjsr.ac.in',
+    baseUrl: 'https://nitjsr.ac.in',
+    allowedHosts: ['nitjsr.ac.in'],
+    // Used only when no sitemap is available (or useSitemaps is false)
+    seeds: [
+        '/',
+        '/Students/Placements',
+        '/Students/Training-Placements',
+        '/Admissions',
+        '/Academics',
+        '/Faculty',
+        '/Research',
+        '/Students',
+        '/Administration',
+        '/Departments/CSE',
+        '/Departments/ECE',
+        '/Departments/EEE',
+        '/Departments/ME',
+        '/Departments/CE',
+        '/Departments/CHE',
+        '/Departments/MME',
+        '/Departments/Physics',
+        '/Departments/Chemistry',
+        '/Departments/Mathematics',
+        '/Departments/HSS',
+        '/About',
+        '/Infrastructure',
+        '/News',
+        '/Events',
+        '/Tenders',
+        '/Recruitments',
+        '/People/Faculty'
+    ],
+    useSitemaps: true,
+    respectRobots: true,
+    // Case-insensitive regular expressions matched against the full URL. When
+    // `include` is non-empty a URL must match one of them to be crawled.
+    include: [],
+    exclude: [
+        '^mailto:', '^tel:', '^javascript:', '#',
+        'facebook\\.com', 'twitter\\.com', 'linkedin\\.com', 'youtube\\.com',
+        'google\\.com', 'maps\\.google', 'instagram\\.com'
+    ],
+    skipExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.css', '.js', '.ico', '.svg', '.woff', '.woff2', '.ttf'],
+    limits: {
+        maxPages: 250,
+        maxDepth: 4,
+        concurrency: 4,
+        maxPerHost: 2
+    },
+    // Milliseconds: minimum gap between request starts on a host, extra wait after page load
+    delays: {
+        request: 1000,
+        render: 0
+    },
+    priorityRules: DEFAULT_PRIORITY_RULES.map(rule => ({ pattern: rule.pattern.source, priority: rule.priority })),
+    // Scored by lib/categorizer.js: `url` keywords are matched against the
+    // lowercased URL, `content` keywords against the title, headings and body.
+    // Pages matching none are `general`.
+    categoryRules: [
+        { category: 'placements', url: ['placement', 'career', 'training'], content: ['placement', 'career', 'corporate'] },
+        { category: 'admissions', url: ['admission', 'apply', 'entrance', 'jee'], content: ['admission', 'eligibility'] },
+        { category: 'academics', url: ['academic', 'syllabus', 'curriculum', 'course', 'program'], content: ['academic'] },
+        { category: 'faculty', url: ['faculty', 'staff', 'teacher', 'hod'], content: ['professor', 'faculty'] },
+        { category: 'students', url: ['student', 'hostel', 'activity', 'club', 'society'], content: ['student life'] },
+        { category: 'research', url: ['research', 'publication', 'phd', 'project', 'innovation'], content: ['research'] },
+        {
+            category: 'departments',
+            url: ['department', 'dept', '/cse', '/ece', '/mech', '/eee', '/civil', '/che', '/mme', '/phy', '/chem', '/math', '/hss'],
+            content: []
+        },
+        { category: 'news', url: ['news', 'announcement', 'notice', 'tender', 'recruitment'], content: ['news'] },
+        { category: 'events', url: ['event', 'seminar', 'workshop', 'conference', 'symposium'], content: ['event'] },
+        { category: 'administration', url: ['admin', 'office', 'registrar', 'director', 'dean'], content: ['administration'] }
+    ],
+    // Field weights and thresholds for categoryRules
+    categoryScoring: DEFAULT_SCORING
+};
+
+const PROFILE_FIELDS = Object.keys(DEFAULT_PROFILE);
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+const CATEGORY_NAME = /^[a-z][a-z0-9_-]*$/;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+function checkPattern(pattern, field, errors) {
+    try {
+        new RegExp(pattern, 'i');
+    } catch (error) {
+        errors.push(`${field}: invalid regular expression "${pattern}"`);
+    }
+}
+
+function checkNumbers(section, values, { min }, errors) {
+    if (!isPlainObject(values)) {
+        errors.push(`${section} must be an object`);
+        return;
+    }
+    for (const [key, value] of Object.entries(values)) {
+        if (!(key in DEFAULT_PROFILE[section])) {
+            errors.push(`${section}.${key} is not a known setting (expected ${Object.keys(DEFAULT_PROFILE[section]).join(', ')})`);
+        } else if (!Number.isInteger(value) || value < min) {
+            errors.push(`${section}.${key} must be an integer >= ${min}`);
+        }
+    }
+}
+
+function mergeScoring(scoring) {
+    const overrides = isPlainObject(scoring) ? scoring : {};
+    return {
+        ...DEFAULT_SCORING,
+        ...overrides,
+        weights: { ...DEFAULT_SCORING.weights, ...(isPlainObject(overrides.weights) ? overrides.weights : {}) }
+    };
+}
+
+function checkScoring(scoring, errors) {
+    if (!isPlainObject(scoring)) {
+        errors.push('categoryScoring must be an object');
+        return;
+    }
+    for (const [key, value] of Object.entries(scoring)) {
+        if (key === 'weights') {
+            if (!isPlainObject(value)) {
+                errors.push('categoryScoring.weights must be an object');
+                continue;
+            }
+            for (const [field, weight] of Object.entries(value)) {
+                if (!(field in DEFAULT_SCORING.weights)) {
+                    errors.push(`categoryScoring.weights.${field} is not a known field (expected ${Object.keys(DEFAULT_SCORING.weights).join(', ')})`);
+                } else if (typeof weight !== 'number' || weight < 0) {
+                    errors.push(`categoryScoring.weights.${field} must be a number >= 0`);
+                }
+            }
+        } else if (!(key in DEFAULT_SCORING)) {
+            errors.push(`categoryScoring.${key} is not a known setting (expected ${Object.keys(DEFAULT_SCORING).join(', ')})`);
+        } else if (key === 'contentHits' ? !Number.isInteger(value) || value < 1 : typeof value !== 'number' || value < 0) {
+            errors.push(`categoryScoring.${key} must be ${key === 'contentHits' ? 'an integer >= 1' : 'a number >= 0'}`);
+        }
+    }
+}
+
+// Fill in defaults and check every field, collecting all problems into one
+// error so a broken profile can be fixed in a single pass. Returns the
+// complete profile with seeds resolved to absolute URLs.
+function validateCrawlProfile(definition, source = 'profile') {
+    const errors = [];
+
+    if (!isPlainObject(definition)) {
+        throw new Error(`Invalid crawl profile (${source}): expected an object`);
+    }
+
+    for (const field of Object.keys(definition)) {
+        if (!PROFILE_FIELDS.includes(field)) {
+            errors.push(`unknown field "${field}"`);
+        }
+    }
+
+    const profile = {
+        ...DEFAULT_PROFILE,
+        ...definition,
+        limits: { ...DEFAULT_PROFILE.limits, ...(isPlainObject(definition.limits) ? definition.limits : {}) },
+        delays: { ...DEFAULT_PROFILE.delays, ...(isPlainObject(definition.delays) ? definition.delays : {}) },
+        categoryScoring: mergeScoring(definition.categoryScoring)
+    };
+
+    if (typeof profile.name !== 'string' || !PROFILE_NAME.test(profile.name)) {
+        errors.push('name must contain only letters, digits, "-" and "_"');
+    }
+    if (typeof profile.description !== 'string') {
+        errors.push('description must be a string');
+    }
+
+    let baseUrl = null;
+    try {
+        baseUrl = new URL(profile.baseUrl);
+        if (!['http:', 'https:'].includes(baseUrl.protocol)) throw new Error('not http(s)');
+    } catch (error) {
+        errors.push(`baseUrl must be an absolute http(s) URL, got "${profile.baseUrl}"`);
+        baseUrl = null;
+    }
+
+    if (!isStringList(profile.allowedHosts) || profile.allowedHosts.length === 0) {
+        errors.push('allowedHosts must be a non-empty list of hostnames');
+    } else {
+        profile.allowedHosts = profile.allowedHosts.map(host => host.trim().toLowerCase().replace(/^www\./, ''));
+        if (baseUrl && !hostAllowed(profile.allowedHosts, baseUrl.hostname)) {
+            errors.push(`baseUrl host "${baseUrl.hostname}" is not in allowedHosts`);
+        }
+    }
+
+    if (!isStringList(profile.seeds)) {
+        errors.push('seeds must be a list of URLs');
+    } else if (baseUrl) {
+        profile.seeds = profile.seeds.map(seed => {
+            try {
+                const url = new URL(seed, baseUrl);
+                if (Array.isArray(profile.allowedHosts) && !hostAllowed(profile.allowedHosts, url.hostname)) {
+                    errors.push(`seed "${seed}" is not on an allowed host`);
+                }
+                return url.href;
+            } catch (error) {
+                errors.push(`seed "${seed}" is not a valid URL`);
+                return seed;
+            }
+        });
+    }
+
+    for (const flag of ['useSitemaps', 'respectRobots']) {
+        if (typeof profile[flag] !== 'boolean') errors.push(`${flag} must be true or false`);
+    }
+
+    for (const field of ['include', 'exclude']) {
+        if (!Array.isArray(profile[field]) || !profile[field].every(pattern => typeof pattern === 'string')) {
+            errors.push(`${field} must be a list of regular expressions`);
+        } else {
+            profile[field].forEach((pattern, i) => checkPattern(pattern, `${field}[${i}]`, errors));
+        }
+    }
+
+    if (!isStringList(profile.skipExtensions) || !profile.skipExtensions.every(ext => ext.startsWith('.'))) {
+        errors.push('skipExtensions must be a list of extensions starting with "."');
+    }
+
+    checkNumbers('limits', definition.limits ?? {}, { min: 1 }, errors);
+    checkNumbers('delays', definition.delays ?? {}, { min: 0 }, errors);
+    checkScoring(definition.categoryScoring ?? {}, errors);
+
+    if (!Array.isArray(profile.priorityRules)) {
+        errors.push('priorityRules must be a list of { pattern, priority }');
+    } else {
+        profile.priorityRules.forEach((rule, i) => {
+            if (!isPlainObject(rule) || typeof rule.pattern !== 'string' || typeof rule.priority !== 'number') {
+                errors.push(`priorityRules[${i}] must be { pattern: string, priority: number }`);
+            } else {
+                checkPattern(rule.pattern, `priorityRules[${i}].pattern`, errors);
+            }
+        });
+    }
+
+    if (!Array.isArray(profile.categoryRules)) {
+        errors.push('categoryRules must be a list of { category, url, content }');
+    } else {
+        profile.categoryRules = profile.categoryRules.map((rule, i) => {
+            if (!isPlainObject(rule) || typeof rule.category !== 'string' || !CATEGORY_NAME.test(rule.category)) {
+                errors.push(`categoryRules[${i}].category must be a lowercase name`);
+                return rule;
+            }
+            const normalized = { category: rule.category, url: rule.url ?? [], content: rule.content ?? [] };
+            if (!Array.isArray(normalized.url) || !Array.isArray(normalized.content) ||
+                ![...normalized.url, ...normalized.content].every(keyword => typeof keyword === 'string')) {
+                errors.push(`categoryRules[${i}] (${rule.category}): url and content must be lists of keywords`);
+            } else if (normalized.url.length + normalized.content.length === 0) {
+                errors.push(`categoryRules[${i}] (${rule.category}) has no url or content keywords`);
+            } else {
+                normalized.url = normalized.url.map(keyword => keyword.toLowerCase());
+                normalized.content = normalized.content.map(keyword => keyword.toLowerCase());
+            }
+            return normalized;
+        });
+    }
+
+    if (errors.length > 0) {
+        const label = typeof definition.name === 'string' ? ` "${definition.name}"` : '';
+        throw new Error(`Invalid crawl profile${label} (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return profile;
+}
+
+// Hostnames match themselves and their subdomains
+function hostAllowed(allowedHosts, hostname) {
+    const host = hostname.toLowerCase().replace(/^www\./, '');
+    return allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+async function parseProfileFile(filepath) {
+    const text = await fs.readFile(filepath, 'utf8');
+    try {
+        if (filepath.endsWith('.json')) {
+            return JSON.parse(text);
+        }
+        const YAML = await import('yaml').catch(() => null);
+        if (!YAML) {
+            throw new Error('the "yaml" package is required for YAML profiles');
+        }
+        return YAML.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid crawl profile file ${path.basename(filepath)}: ${error.message}`);
+    }
+}
+
+async function listCrawlProfiles(profileDir = PROFILE_DIR) {
+    const files = await fs.readdir(profileDir).catch(() => []);
+    const names = files
+        .filter(f => PROFILE_EXTENSIONS.includes(path.extname(f)))
+        .map(f => path.basename(f, path.extname(f)));
+    return Array.from(new Set(['default', ...names])).sort();
+}
+
+// Load and validate profiles/<name>.json|yaml|yml. "default" is built in and
+// only needs a file to override it.
+async function loadCrawlProfile(name = 'default', profileDir = PROFILE_DIR) {
+    if (typeof name !== 'string' || !PROFILE_NAME.test(name)) {
+        throw new Error(`Invalid crawl profile name "${name}"`);
+    }
+
+    for (const extension of PROFILE_EXTENSIONS) {
+        const filepath = path.join(profileDir, `${name}${extension}`);
+        const exists = await fs.access(filepath).then(() => true, () => false);
+        if (exists) {
+            const definition = await parseProfileFile(filepath);
+            // The filename is the profile's name
+            const named = isPlainObject(definition) ? { ...definition, name: name } : definition;
+            return validateCrawlProfile(named, path.basename(filepath));
+        }
+    }
+
+    if (name === 'default') {
+        return validateCrawlProfile(DEFAULT_PROFILE, 'built-in');
+    }
+
+    const available = await listCrawlProfiles(profileDir);
+    throw new Error(`Crawl profile not found: ${name} (available: ${available.join(', ')})`);
+}
+
+export { DEFAULT_PROFILE, validateCrawlProfile, loadCrawlProfile, listCrawlProfiles, hostAllowed };
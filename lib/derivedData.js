@@ -0,0 +1,24 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { snapshotName } from './snapshots.js';
+
+// Datasets derived from a snapshot (placement statistics, faculty directory)
+// are saved next to it in one subdirectory per kind, so they are never
+// mistaken for a snapshot: scraped_data/<kind>/<snapshot name>.json
+async function saveDerivedData(dataDir, kind, dataset) {
+    const filepath = path.join(dataDir, kind, `${snapshotName(dataset.snapshot)}.json`);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, JSON.stringify(dataset, null, 2), 'utf8');
+    return filepath;
+}
+
+async function loadDerivedData(dataDir, kind, snapshot) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(dataDir, kind, `${snapshotName(snapshot)}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+export { saveDerivedData, loadDerivedData };
@@ -0,0 +1,306 @@
+import { asTable } from './tables.js';
+import { saveDerivedData, loadDerivedData } from './derivedData.js';
+import { hasCategory } from './categorizer.js';
+
+// Faculty directory built from the person cards and staff tables of
+// department and people pages. Each record is one person:
+// { name, designation, department, departmentCode, email, phone,
+//   researchAreas, profileUrl, sources }.
+
+const FACULTY_DIRNAME = 'faculty';
+
+// `code` is matched case-sensitively, and `path` against page URLs
+const DEPARTMENTS = [
+    { code: 'ECM', name: 'Engineering and Computational Mechanics', pattern: /computational mechanics/i, path: /\/ecm\b/ },
+    { code: 'ECE', name: 'Electronics and Communication Engineering', pattern: /electronics\s*(and|&)?\s*communication/i, path: /\/ece\b/ },
+    { code: 'EE', name: 'Electrical Engineering', pattern: /electrical/i, path: /\/(ee|eee)\b/ },
+    { code: 'CSE', name: 'Computer Science and Engineering', pattern: /computer science/i, path: /\/(cse|cs)\b/ },
+    { code: 'CA', name: 'Computer Applications', pattern: /computer applications/i, path: /\/(ca|mca)\b/ },
+    { code: 'ME', name: 'Mechanical Engineering', pattern: /mechanical/i, path: /\/(me|mech)\b/ },
+    { code: 'CE', name: 'Civil Engineering', pattern: /civil/i, path: /\/(ce|civil)\b/ },
+    { code: 'MME', name: 'Metallurgical and Materials Engineering', pattern: /metallurg/i, path: /\/(mme|mm)\b/ },
+    { code: 'PIE', name: 'Production and Industrial Engineering', pattern: /production|industrial engineering/i, path: /\/pie\b/ },
+    { code: 'PHY', name: 'Physics', pattern: /physics/i, path: /\/phy/ },
+    { code: 'CHEM', name: 'Chemistry', pattern: /chemistry/i, path: /\/chem/ },
+    { code: 'MATH', name: 'Mathematics', pattern: /mathematics/i, path: /\/math/ },
+    { code: 'HSS', name: 'Humanities, Social Sciences and Management', pattern: /humanities|social sciences/i, path: /\/hss\b/ }
+];
+
+const DESIGNATION = /\b((assistant|associate|adjunct|visiting|emeritus)\s+)?professor\b|\blecturer\b|\bhead of (the )?department\b|\bhod\b|\bdean\b|\bdirector\b|\bregistrar\b|\bscientist\b/i;
+const HEAD_DESIGNATION = /\bhead\b|\bhod\b/i;
+const NAME_PREFIX = /^(dr|prof|mr|mrs|ms|shri|smt)\.?\s+/i;
+const RESEARCH_LABEL = /^(research\s+)?(areas?\s+of\s+)?(interests?|speciali[sz]ation|expertise|research areas?)\s*[:\-–]\s*/i;
+const EMAIL = /[\w.+-]+\s*(@|\[at\]|\(at\))\s*[\w-]+(\s*(\.|\[dot\]|\(dot\))\s*[\w-]+)+/i;
+const PHONE = /(\+91[\s-]?)?(\(?0?\d{3,4}\)?[\s-]?\d{6,8}|[6-9]\d{9})/;
+
+function findDepartment(text, { strict = false } = {}) {
+    if (!text) return null;
+    return DEPARTMENTS.find(({ code, pattern }) =>
+        pattern.test(text) || new RegExp(`\\b${code}\\b`).test(strict ? text : text.toUpperCase())
+    ) || null;
+}
+
+function departmentFromUrl(url) {
+    try {
+        const pathname = new URL(url).pathname.toLowerCase();
+        return DEPARTMENTS.find(({ path }) => path.test(pathname)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function normalizeEmail(text) {
+    const match = (text || '').match(EMAIL);
+    if (!match) return null;
+    return match[0]
+        .replace(/\s*(\[at\]|\(at\))\s*/gi, '@')
+        .replace(/\s*(\[dot\]|\(dot\))\s*/gi, '.')
+        .replace(/\s+/g, '')
+        .toLowerCase();
+}
+
+function normalizePhone(text) {
+    const match = (text || '').match(PHONE);
+    return match ? match[0].replace(/[^\d+]/g, '') : null;
+}
+
+// "Dr. Ram Kumar Singh" -> "ram kumar singh", used to match people across pages
+function nameKey(name) {
+    return (name || '').replace(NAME_PREFIX, '').replace(/[^a-z\s]/gi, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function looksLikeName(line) {
+    if (line.length > 60 || /\d|@|:/.test(line) || DESIGNATION.test(line)) return false;
+    if (NAME_PREFIX.test(line)) return true;
+    const words = line.split(/\s+/);
+    return words.length >= 2 && words.length <= 5 && words.every(word => /^[A-Z][a-zA-Z.'-]*$/.test(word));
+}
+
+function splitAreas(text) {
+    return text.split(/[,;•|]/).map(area => area.trim().replace(/\.$/, '')).filter(area => area.length > 1 && area.length < 80);
+}
+
+// Department for a person: an explicit "Department of ..." line, else the page
+function departmentFor(lines, page) {
+    const explicit = lines.find(line => /department|dept\.?\s+of/i.test(line) && findDepartment(line));
+    return findDepartment(explicit) ||
+        departmentFromUrl(page.url) ||
+        findDepartment(page.title) ||
+        findDepartment(page.headings?.find(h => h.level <= 2)?.text);
+}
+
+function parseProfileCard(card, page) {
+    const lines = card.lines || [];
+    const name = lines.find(looksLikeName);
+    const designationLine = lines.find(line => line.length < 120 && DESIGNATION.test(line));
+    if (!name || !designationLine) return null;
+
+    const researchAreas = [];
+    lines.forEach((line, i) => {
+        if (RESEARCH_LABEL.test(line)) {
+            const rest = line.replace(RESEARCH_LABEL, '');
+            researchAreas.push(...splitAreas(rest || lines[i + 1] || ''));
+        }
+    });
+
+    const profileLink = (card.links || []).find(link =>
+        nameKey(link.text) === nameKey(name) || /profile|view|more|details/i.test(link.text)
+    );
+    const department = departmentFor(lines, page);
+
+    return {
+        name: name.replace(/\s+/g, ' ').trim(),
+        designation: designationLine.replace(/^designation\s*[:\-–]\s*/i, '').trim(),
+        department: department?.name || null,
+        departmentCode: department?.code || null,
+        email: normalizeEmail(card.emails?.[0]) || normalizeEmail(lines.join(' ')),
+        phone: normalizePhone(card.phones?.[0]) || normalizePhone(lines.filter(line => !EMAIL.test(line)).join(' ')),
+        researchAreas: researchAreas,
+        profileUrl: profileLink ? new URL(profileLink.href, page.url).href : null
+    };
+}
+
+const TABLE_COLUMNS = {
+    name: /\bname\b/i,
+    designation: /designation|position|\bpost\b|rank/i,
+    department: /department|\bdept|discipline/i,
+    email: /e-?mail/i,
+    phone: /phone|mobile|contact|tel/i,
+    researchAreas: /research|interest|speciali[sz]ation|expertise|area/i
+};
+
+function recordsFromTable(table, page) {
+    const normalized = asTable(table);
+    const column = field => normalized.headers.findIndex(header => TABLE_COLUMNS[field].test(header));
+    const columns = Object.fromEntries(Object.keys(TABLE_COLUMNS).map(field => [field, column(field)]));
+    if (columns.name < 0 || (columns.designation < 0 && columns.email < 0)) return [];
+
+    return normalized.rows.map(row => {
+        const cell = field => (columns[field] >= 0 ? row[columns[field]] || '' : '');
+        if (!cell('name')) return null;
+
+        const department = findDepartment(cell('department')) || departmentFor([], page);
+        return {
+            name: cell('name'),
+            designation: cell('designation') || null,
+            department: department?.name || cell('department') || null,
+            departmentCode: department?.code || null,
+            email: normalizeEmail(cell('email')),
+            phone: normalizePhone(cell('phone')),
+            researchAreas: cell('researchAreas') ? splitAreas(cell('researchAreas')) : [],
+            profileUrl: null
+        };
+    }).filter(Boolean);
+}
+
+function isPeoplePage(page) {
+    return hasCategory(page, 'faculty') || hasCategory(page, 'departments') ||
+        /faculty|people|staff|department|dept|hod/i.test(page.url);
+}
+
+// Combine the records of one person seen on several pages (department list,
+// profile page, HOD page). Email identifies a person; otherwise name + department.
+function mergeRecords(records) {
+    const people = [];
+    const samePerson = (person, record) =>
+        (record.email && person.email === record.email) ||
+        (nameKey(person.name) === nameKey(record.name) &&
+            (!person.departmentCode || !record.departmentCode || person.departmentCode === record.departmentCode));
+
+    for (const { source, ...record } of records) {
+        const existing = people.find(person => samePerson(person, record));
+        if (!existing) {
+            people.push({ ...record, researchAreas: [...record.researchAreas], sources: [source] });
+            continue;
+        }
+
+        for (const field of ['department', 'departmentCode', 'email', 'phone', 'profileUrl']) {
+            if (!existing[field] && record[field]) existing[field] = record[field];
+        }
+        // The longest designation is usually the most specific ("Professor & HOD")
+        if (record.designation && record.designation.length > (existing.designation || '').length) {
+            existing.designation = record.designation;
+        }
+        const areas = new Set(existing.researchAreas.map(area => area.toLowerCase()));
+        record.researchAreas.forEach(area => {
+            if (!areas.has(area.toLowerCase())) existing.researchAreas.push(area);
+        });
+        if (!existing.sources.includes(source)) existing.sources.push(source);
+    }
+
+    return people;
+}
+
+function extractFacultyRecords(scrapedData) {
+    const records = [];
+
+    for (const page of (scrapedData.pages || []).filter(isPeoplePage)) {
+        for (const card of page.profileCards || []) {
+            const record = parseProfileCard(card, page);
+            if (record) records.push({ ...record, source: page.url });
+        }
+        for (const table of page.tables || []) {
+            recordsFromTable(table, page).forEach(record => records.push({ ...record, source: page.url }));
+        }
+    }
+
+    return mergeRecords(records).sort((a, b) =>
+        (a.departmentCode || '~').localeCompare(b.departmentCode || '~') || nameKey(a.name).localeCompare(nameKey(b.name))
+    );
+}
+
+function buildFacultyDirectory(scrapedData, snapshot) {
+    const records = extractFacultyRecords(scrapedData);
+    return {
+        snapshot: snapshot,
+        generatedAt: new Date().toISOString(),
+        crawledAt: scrapedData.metadata?.timestamp,
+        totalRecords: records.length,
+        departments: [...new Set(records.map(r => r.department).filter(Boolean))].sort(),
+        records: records
+    };
+}
+
+async function saveFacultyDirectory(dataDir, directory) {
+    return saveDerivedData(dataDir, FACULTY_DIRNAME, directory);
+}
+
+async function loadFacultyDirectory(dataDir, snapshot) {
+    return loadDerivedData(dataDir, FACULTY_DIRNAME, snapshot);
+}
+
+const includesText = (value, query) => (value || '').toLowerCase().includes(query.toLowerCase());
+
+// filters: { q, name, department, area }; `q` matches any field
+function searchFaculty(records, filters = {}) {
+    const department = filters.department ? findDepartment(filters.department) : null;
+
+    return records.filter(record =>
+        (!filters.name || includesText(record.name, filters.name)) &&
+        (!filters.department || (department
+            ? record.departmentCode === department.code
+            : includesText(record.department, filters.department))) &&
+        (!filters.area || record.researchAreas.some(area => includesText(area, filters.area))) &&
+        (!filters.q || [record.name, record.designation, record.department, record.departmentCode, ...record.researchAreas]
+            .some(value => includesText(value, filters.q)))
+    );
+}
+
+const PEOPLE_QUESTION = /\b(who|whom|faculty|professor|teacher|teaches|teaching|hod|head of|email|e-mail|mail id|contact|phone|mobile|research|supervisor|guide|dr\.?|prof\.?)\b/i;
+const STOPWORDS = new Set(['who', 'the', 'and', 'for', 'what', 'which', 'teaches', 'teach', 'teaching', 'email', 'mail',
+    'contact', 'phone', 'number', 'head', 'hod', 'department', 'dept', 'faculty', 'professor', 'research', 'area',
+    'areas', 'works', 'work', 'does', 'with', 'about', 'engineering', 'nit', 'jamshedpur', 'tell', 'give', 'find', 'details']);
+
+// People relevant to a chat question, best match first, or null when the
+// question is not about people
+function facultyForQuestion(question, records, limit = 8) {
+    if (!PEOPLE_QUESTION.test(question) || records.length === 0) return null;
+
+    const department = findDepartment(question, { strict: true });
+    const wantsHead = /\b(hod|head of)\b/i.test(question);
+    const questionLower = question.toLowerCase();
+    const tokens = new Set((questionLower.match(/[a-z]{3,}/g) || []).filter(token => !STOPWORDS.has(token)));
+
+    const scored = records
+        .filter(record => !department || record.departmentCode === department.code)
+        .map(record => {
+            let score = 0;
+            const nameTokens = nameKey(record.name).split(' ').filter(token => token.length >= 3);
+            if (nameTokens.some(token => tokens.has(token))) score += 3;
+            if (record.researchAreas.some(area => (area.toLowerCase().match(/[a-z]{3,}/g) || []).some(token => tokens.has(token)))) score += 2;
+            if (wantsHead && HEAD_DESIGNATION.test(record.designation || '')) score += 3;
+            return { record, score };
+        })
+        .filter(({ score }) => score > 0 || (department && !wantsHead && tokens.size === 0))
+        .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) return null;
+    return scored.slice(0, limit).map(({ record }) => record);
+}
+
+// Plain-text facts for the chat prompt
+function describeFaculty(directory, records) {
+    return [
+        `Faculty directory (snapshot ${directory.snapshot}):`,
+        ...records.map(record => `• ${[
+            record.name,
+            record.designation,
+            record.department,
+            record.email ? `email: ${record.email}` : '',
+            record.phone ? `phone: ${record.phone}` : '',
+            record.researchAreas.length > 0 ? `research: ${record.researchAreas.join(', ')}` : '',
+            `profile: ${record.profileUrl || record.sources[0]}`
+        ].filter(Boolean).join(' | ')}`)
+    ].join('\n');
+}
+
+export {
+    FACULTY_DIRNAME,
+    extractFacultyRecords,
+    buildFacultyDirectory,
+    saveFacultyDirectory,
+    loadFacultyDirectory,
+    searchFaculty,
+    facultyForQuestion,
+    describeFaculty
+};
@@ -0,0 +1,193 @@
+import { listSnapshots, loadSnapshot, findSnapshot } from './snapshots.js';
+import { urlKey } from './urlUtils.js';
+
+// Outcome of every page, PDF and attachment request of a crawl: HTTP status,
+// redirect chain and, for failures, what went wrong. Saved in the snapshot as
+// `fetchLog` and joined with the link lists to report broken links. Entries
+// keep the URL fetched and are matched with links by canonical URL (urlKey).
+
+const ERROR_TYPES = ['http', 'timeout', 'dns', 'connection', 'tls', 'redirect_loop', 'too_large', 'parse', 'other'];
+
+// Failures that make a link broken: an HTTP error status or no usable
+// response. Files that downloaded but were too large or failed to parse are not.
+const LINK_ERROR_TYPES = ['http', 'timeout', 'dns', 'connection', 'tls', 'redirect_loop'];
+
+const ERROR_CODES = {
+    ECONNABORTED: 'timeout',
+    ETIMEDOUT: 'timeout',
+    ESOCKETTIMEDOUT: 'timeout',
+    ENOTFOUND: 'dns',
+    EAI_AGAIN: 'dns',
+    ECONNREFUSED: 'connection',
+    ECONNRESET: 'connection',
+    EHOSTUNREACH: 'connection',
+    ENETUNREACH: 'connection',
+    EPIPE: 'connection',
+    ERR_FR_TOO_MANY_REDIRECTS: 'redirect_loop',
+    ERR_FR_MAX_BODY_LENGTH_EXCEEDED: 'too_large',
+    ERR_ZIP_ENTRY_TOO_LARGE: 'too_large'
+};
+
+// Error thrown for HTTP error statuses that the HTTP client does not reject
+// itself (Puppeteer resolves page.goto() for a 404)
+class HttpStatusError extends Error {
+    constructor(status, url) {
+        super(`Request failed with status code ${status}`);
+        this.name = 'HttpStatusError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+// { errorType, status } for an error thrown by axios, Puppeteer or an extractor
+function classifyFetchError(error) {
+    const status = error.response?.status || error.status || null;
+    if (status) return { errorType: 'http', status };
+
+    const message = error.message || '';
+    if (ERROR_CODES[error.code]) return { errorType: ERROR_CODES[error.code], status: null };
+    if (error.name === 'TimeoutError' || /timeout/i.test(message)) return { errorType: 'timeout', status: null };
+    if (/maxContentLength/i.test(message)) return { errorType: 'too_large', status: null };
+    if (/^(CERT_|ERR_TLS_|UNABLE_TO_|DEPTH_ZERO_|SELF_SIGNED_)/.test(error.code || '') || /net::ERR_CERT_|SSL/i.test(message)) {
+        return { errorType: 'tls', status: null };
+    }
+    if (/net::ERR_NAME_NOT_RESOLVED/.test(message)) return { errorType: 'dns', status: null };
+    if (/net::ERR_(CONNECTION|ADDRESS|NETWORK)/.test(message)) return { errorType: 'connection', status: null };
+    if (/net::ERR_TOO_MANY_REDIRECTS/.test(message)) return { errorType: 'redirect_loop', status: null };
+    return { errorType: 'other', status: null };
+}
+
+function isBrokenLink(entry) {
+    if (entry.ok || !LINK_ERROR_TYPES.includes(entry.errorType)) return false;
+    return entry.errorType !== 'http' || entry.status >= 400;
+}
+
+// axios `beforeRedirect` hook that appends each hop to `redirects` as { status, location }
+function recordRedirects(redirects) {
+    return (options, response) => {
+        redirects.push({ status: response.statusCode, location: options.href });
+    };
+}
+
+class FetchLog {
+    constructor(entries = []) {
+        this.entries = new Map(entries.map(entry => [urlKey(entry.url), entry]));
+    }
+
+    // status is the final HTTP status (304 for a not-modified revalidation)
+    recordSuccess(kind, url, { status = null, redirects = [] } = {}) {
+        this.entries.set(urlKey(url), {
+            url: url,
+            kind: kind,
+            ok: true,
+            status: status,
+            redirects: redirects,
+            finalUrl: redirects.length > 0 ? redirects[redirects.length - 1].location : url,
+            checkedAt: new Date().toISOString()
+        });
+    }
+
+    // `status` is given when the response arrived but could not be parsed
+    recordFailure(kind, url, error, { status = null, redirects = [] } = {}) {
+        const classified = status ? { errorType: 'parse', status } : classifyFetchError(error);
+        this.entries.set(urlKey(url), {
+            url: url,
+            kind: kind,
+            ok: false,
+            status: classified.status,
+            redirects: redirects,
+            finalUrl: redirects.length > 0 ? redirects[redirects.length - 1].location : url,
+            errorType: classified.errorType,
+            error: error.message,
+            checkedAt: new Date().toISOString()
+        });
+    }
+
+    // Drop the entries of one kind, before its documents are fetched again
+    clear(kind) {
+        for (const [key, entry] of this.entries) {
+            if (entry.kind === kind) this.entries.delete(key);
+        }
+    }
+
+    summary() {
+        const entries = Array.from(this.entries.values());
+        const count = (list, key) => list.reduce((counts, entry) => {
+            const value = entry[key] ?? 'none';
+            counts[value] = (counts[value] || 0) + 1;
+            return counts;
+        }, {});
+        const failed = entries.filter(entry => !entry.ok);
+
+        return {
+            fetched: entries.length,
+            failed: failed.length,
+            broken: entries.filter(isBrokenLink).length,
+            redirected: entries.filter(entry => entry.redirects.length > 0).length,
+            byStatus: count(entries, 'status'),
+            byErrorType: count(failed, 'errorType')
+        };
+    }
+
+    toJSON() {
+        return Array.from(this.entries.values());
+    }
+}
+
+// Broken links (isBrokenLink) of a snapshot with the pages that link to them, most-linked
+// first. filters: kind (page, pdf, attachment), errorType, status, source
+// (part of a linking page's URL) and redirects (true to list redirected links too).
+function brokenLinkReport(snapshot, filters = {}) {
+    if (!Array.isArray(snapshot.fetchLog)) {
+        throw new Error('Snapshot has no fetch log (it predates broken link tracking); crawl again to record one');
+    }
+    if (filters.kind && !['page', 'pdf', 'attachment'].includes(filters.kind)) {
+        throw new Error(`Invalid kind "${filters.kind}" (expected page, pdf or attachment)`);
+    }
+    if (filters.errorType && !LINK_ERROR_TYPES.includes(filters.errorType)) {
+        throw new Error(`Invalid errorType "${filters.errorType}" (expected one of: ${LINK_ERROR_TYPES.join(', ')})`);
+    }
+
+    const links = snapshot.links || {};
+    const sources = new Map();
+    for (const link of [...links.internal || [], ...links.pdf || [], ...links.attachment || []]) {
+        const key = urlKey(link.url);
+        if (!sources.has(key)) sources.set(key, new Map());
+        // One entry per linking page, keeping the first link text seen there
+        if (!sources.get(key).has(urlKey(link.sourceUrl))) {
+            sources.get(key).set(urlKey(link.sourceUrl), { url: link.sourceUrl, title: link.sourceTitle, linkText: link.text });
+        }
+    }
+
+    const matches = entry => (isBrokenLink(entry) || (filters.redirects && entry.redirects.length > 0)) &&
+        (!filters.kind || entry.kind === filters.kind) &&
+        (!filters.errorType || entry.errorType === filters.errorType) &&
+        (!filters.status || String(entry.status) === String(filters.status));
+
+    const entries = snapshot.fetchLog
+        .filter(matches)
+        .map(entry => ({ ...entry, sources: Array.from(sources.get(urlKey(entry.url))?.values() || []) }))
+        .filter(entry => !filters.source || entry.sources.some(source => source.url?.includes(filters.source)))
+        .sort((a, b) => b.sources.length - a.sources.length || a.url.localeCompare(b.url));
+
+    const broken = entries.filter(isBrokenLink);
+    return {
+        crawledAt: snapshot.metadata?.timestamp || null,
+        totalChecked: snapshot.fetchLog.length,
+        totalBroken: broken.length,
+        byErrorType: broken.reduce((counts, entry) => {
+            counts[entry.errorType] = (counts[entry.errorType] || 0) + 1;
+            return counts;
+        }, {}),
+        links: entries
+    };
+}
+
+// brokenLinkReport() of a snapshot file in dataDir, the latest one when no name is given
+async function brokenLinkReportFile(dataDir, name, filters = {}) {
+    const snapshot = name ? await findSnapshot(dataDir, name) : (await listSnapshots(dataDir))[0];
+    if (!snapshot) throw new Error(`Snapshot not found: no snapshots in ${dataDir}`);
+    return { snapshot: snapshot.filename, ...brokenLinkReport(await loadSnapshot(snapshot.filepath), filters) };
+}
+
+export { ERROR_TYPES, LINK_ERROR_TYPES, HttpStatusError, FetchLog, classifyFetchError, isBrokenLink, recordRedirects, brokenLinkReport, brokenLinkReportFile };
@@ -0,0 +1,43 @@
+// Per-host politeness for concurrent crawling: caps how many requests may be
+// in flight against one host and spaces out request starts by `minDelay` ms.
+class HostLimiter {
+    constructor({ maxPerHost = 2, minDelay = 1000 } = {}) {
+        this.maxPerHost = maxPerHost;
+        this.minDelay = minDelay;
+        this.hosts = new Map();
+    }
+
+    getState(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { active: 0, nextStart: 0, waiters: [] });
+        }
+        return this.hosts.get(host);
+    }
+
+    // Resolves with a release function once a slot for the URL's host is free
+    async acquire(url) {
+        const state = this.getState(new URL(url).host);
+
+        while (state.active >= this.maxPerHost || Date.now() < state.nextStart) {
+            if (state.active >= this.maxPerHost) {
+                await new Promise(resolve => state.waiters.push(resolve));
+            } else {
+                await new Promise(resolve => setTimeout(resolve, state.nextStart - Date.now()));
+            }
+        }
+
+        state.active++;
+        state.nextStart = Date.now() + this.minDelay;
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            state.active--;
+            const next = state.waiters.shift();
+            if (next) next();
+        };
+    }
+}
+
+export { HostLimiter };
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// Background jobs for long crawls. One job runs at a time; each reports a
+// phase and progress counters, emits `update` events for progress streams and
+// can be cancelled through the AbortSignal passed to its run function.
+class JobManager extends EventEmitter {
+    constructor({ maxJobs = 20 } = {}) {
+        super();
+        this.setMaxListeners(0); // One listener per open progress stream
+        this.maxJobs = maxJobs; // Finished jobs kept for GET /scrape/:id
+        this.jobs = new Map();
+        this.controllers = new Map(); // id -> AbortController of a running job
+    }
+
+    get running() {
+        return Array.from(this.jobs.values()).find(job => !FINISHED.includes(job.status)) || null;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.jobs.values()).reverse();
+    }
+
+    // Resolves with the job once it has completed, failed or been cancelled
+    wait(id) {
+        const job = this.get(id);
+        if (!job) return Promise.reject(new Error(`Scrape job not found: ${id}`));
+        if (job.finishedAt) return Promise.resolve(job);
+
+        return new Promise(resolve => {
+            const onUpdate = updated => {
+                if (updated.id !== id || !updated.finishedAt) return;
+                this.off('update', onUpdate);
+                resolve(updated);
+            };
+            this.on('update', onUpdate);
+        });
+    }
+
+    // Start `run(job, { signal, update })` in the background and return the job.
+    // Throws when another job is still running.
+    start(kind, options, run) {
+        const running = this.running;
+        if (running) {
+            throw new Error(`A ${running.kind} job is already running: ${running.id}`);
+        }
+
+        const job = {
+            id: `job_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+            kind: kind,
+            status: 'running',
+            phase: 'starting',
+            options: options,
+            progress: {},
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        const controller = new AbortController();
+        this.jobs.set(job.id, job);
+        this.controllers.set(job.id, controller);
+        this.prune();
+
+        const update = ({ phase, ...progress }) => {
+            if (FINISHED.includes(job.status)) return;
+            if (phase) job.phase = phase;
+            Object.assign(job.progress, progress);
+            this.emit('update', job);
+        };
+
+        new Promise(resolve => resolve(run(job, { signal: controller.signal, update })))
+            .then(result => {
+                job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+                job.phase = 'done';
+                job.result = result ?? null;
+            })
+            .catch(error => {
+                job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+                job.error = error.message;
+                console.error(`❌ ${job.kind} job ${job.id} ${job.status}: ${error.message}`);
+            })
+            .finally(() => {
+                job.finishedAt = new Date().toISOString();
+                this.controllers.delete(job.id);
+                this.emit('update', job);
+            });
+
+        return job;
+    }
+
+    // Ask a running job to stop; it finishes as `cancelled` once its current
+    // page, document or embedding batch is done. Returns false for finished jobs
+    // and jobs already being cancelled.
+    cancel(id) {
+        const controller = this.controllers.get(id);
+        if (!controller || controller.signal.aborted) return false;
+
+        controller.abort(new Error('Scrape job cancelled'));
+        this.jobs.get(id).phase = 'cancelling';
+        this.emit('update', this.jobs.get(id));
+        return true;
+    }
+
+    prune() {
+        const finished = Array.from(this.jobs.values()).filter(job => FINISHED.includes(job.status));
+        finished.slice(0, Math.max(0, this.jobs.size - this.maxJobs)).forEach(job => this.jobs.delete(job.id));
+    }
+}
+
+export { JobManager, FINISHED as FINISHED_JOB_STATUSES };
@@ -0,0 +1,154 @@
+import { tryCanonicalizeUrl } from './urlUtils.js';
+
+// Language of scraped text. nitjsr.ac.in publishes in English and Hindi, so
+// detection only has to tell Devanagari from Latin script.
+const LANGUAGES = ['en', 'hi'];
+
+// Share of Devanagari letters above which text is Hindi, and below which it is English
+const HINDI_SHARE = 0.6;
+const ENGLISH_SHARE = 0.15;
+
+const DEVANAGARI = /[\u0900-\u097F]/gu;
+const LATIN = /[A-Za-z\u00C0-\u024F]/gu;
+// Letters with their combining marks (Devanagari matras and viramas) and digits.
+// Dandas, pipes and other separators are not words.
+const WORD = /[\p{L}\p{N}][\p{L}\p{M}\p{N}]*/gu;
+
+function countWords(text = '') {
+    return (text.match(WORD) || []).length;
+}
+
+// 'hi', 'en', 'mixed' for bilingual text, or 'unknown' when there are no letters.
+// `declared` (an html lang attribute) is used only when the text has no letters.
+function detectLanguage(text = '', declared = null) {
+    const devanagari = (text.match(DEVANAGARI) || []).length;
+    const latin = (text.match(LATIN) || []).length;
+    if (devanagari + latin === 0) return normalizeLanguageTag(declared) || 'unknown';
+
+    const share = devanagari / (devanagari + latin);
+    if (share >= HINDI_SHARE) return 'hi';
+    if (share <= ENGLISH_SHARE) return 'en';
+    return 'mixed';
+}
+
+const LANGUAGE_NAMES = { hin: 'hi', hindi: 'hi', eng: 'en', english: 'en' };
+
+// Primary subtag of an html lang / hreflang value ('hi-IN' -> 'hi'), if it is one we handle
+function normalizeLanguageTag(tag = '') {
+    const primary = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+    const language = LANGUAGE_NAMES[primary] || primary;
+    return LANGUAGES.includes(language) ? language : null;
+}
+
+// Language markers in URLs of translated pages: /hi/..., /hindi/..., ?lang=hi,
+// notice_hindi.pdf, about-hi. The same URL without the marker is the other version.
+const PATH_MARKER = /^\/(hi|hin|hindi|en|eng|english)(?=\/|$)/i;
+const SUFFIX_MARKER = /[-_](hi|hin|hindi|en|eng|english)(?=(\.[a-z0-9]+)?$)/i;
+const QUERY_KEYS = ['lang', 'language', 'locale'];
+
+// { key, language } where key is the URL with its language marker removed.
+// language is null when the URL carries no marker.
+function languageFromUrl(url) {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch (error) {
+        return { key: url, language: null };
+    }
+
+    let language = null;
+    for (const param of QUERY_KEYS) {
+        const value = urlObj.searchParams.get(param);
+        if (value && normalizeLanguageTag(value)) {
+            language = normalizeLanguageTag(value);
+            urlObj.searchParams.delete(param);
+        }
+    }
+
+    const pathMatch = urlObj.pathname.match(PATH_MARKER);
+    if (pathMatch) {
+        language = normalizeLanguageTag(pathMatch[1]);
+        urlObj.pathname = urlObj.pathname.replace(PATH_MARKER, '') || '/';
+    } else {
+        const suffixMatch = urlObj.pathname.match(SUFFIX_MARKER);
+        if (suffixMatch) {
+            language = normalizeLanguageTag(suffixMatch[1]);
+            urlObj.pathname = urlObj.pathname.replace(SUFFIX_MARKER, '');
+        }
+    }
+
+    return { key: tryCanonicalizeUrl(urlObj.href) || urlObj.href, language };
+}
+
+// Link the language versions of the same page (or document) to each other.
+// Pairs come from hreflang alternates in the page metadata, or from URLs that
+// differ only by a language marker. Sets `translations` ({ hi: url, en: url },
+// other languages only) on each record that has a counterpart, and returns the
+// number of records linked.
+function linkTranslations(records) {
+    const byUrl = new Map(records.map(record => [tryCanonicalizeUrl(record.url) || record.url, record]));
+    const pairs = [];
+    // Carried-forward records still hold last crawl's links
+    records.forEach(record => delete record.translations);
+
+    for (const record of records) {
+        for (const alternate of record.metadata?.alternates || []) {
+            const language = normalizeLanguageTag(alternate.hreflang);
+            const target = byUrl.get(tryCanonicalizeUrl(alternate.href, record.url));
+            if (language && target && target !== record) {
+                pairs.push([record, target, language], [target, record, null]);
+            }
+        }
+    }
+
+    const groups = new Map();
+    for (const record of records) {
+        const { key } = languageFromUrl(tryCanonicalizeUrl(record.url) || record.url);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    }
+    for (const group of groups.values()) {
+        for (const record of group) {
+            for (const other of group) {
+                if (other !== record) pairs.push([record, other, null]);
+            }
+        }
+    }
+
+    const linked = new Set();
+    for (const [record, other, declared] of pairs) {
+        const language = declared || other.language;
+        if (!LANGUAGES.includes(language) || language === record.language) continue;
+
+        record.translations = { ...record.translations, [language]: other.url };
+        linked.add(record);
+    }
+
+    return linked.size;
+}
+
+// 'en,hi' -> ['en', 'hi']. Used for the INDEX_LANGUAGES setting.
+function parseLanguageList(value) {
+    const languages = String(value).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const language = normalizeLanguageTag(item);
+        if (!language) {
+            throw new Error(`Invalid language "${item}" (expected one of: ${LANGUAGES.join(', ')})`);
+        }
+        return language;
+    });
+    if (languages.length === 0) {
+        throw new Error(`Invalid language list "${value}" (expected one of: ${LANGUAGES.join(', ')})`);
+    }
+    return [...new Set(languages)];
+}
+
+// Whether a record belongs in an index limited to `languages`. A page in
+// another language is left out only when it has a version in one of them,
+// so content published in just one language is never lost. Mixed and
+// unknown text is always kept.
+function keepForLanguages(record, languages) {
+    if (!LANGUAGES.includes(record.language) || languages.includes(record.language)) return true;
+    return !languages.some(language => record.translations?.[language]);
+}
+
+export { LANGUAGES, countWords, detectLanguage, normalizeLanguageTag, languageFromUrl, linkTranslations, parseLanguageList, keepForLanguages };
@@ -0,0 +1,284 @@
+import { urlKey, resolveUrl } from './urlUtils.js';
+import { detectAttachmentType } from './attachmentExtractor.js';
+import { saveDerivedData, loadDerivedData } from './derivedData.js';
+import { hasCategory } from './categorizer.js';
+
+// Dated notices pulled out of the notice, news, tender, recruitment and event
+// listings of a snapshot. Each entry is one linked item of a listing:
+// { id, title, date, type, category, url, attachment, sourceUrl, sourceTitle }.
+
+const NOTICES_DIRNAME = 'notices';
+const NOTICE_TYPES = ['notice', 'tender', 'recruitment', 'event'];
+
+const LISTING_PAGE = /notice|announcement|news|circular|tender|recruit|vacanc|career|event|advertisement|latest|updates?/i;
+
+// Checked in order; anything else on a listing page is a plain notice
+const TYPE_PATTERNS = [
+    ['tender', /tender|quotation|\bbids?\b|e-?procurement|\brfq\b|\brfp\b|\beoi\b|expression of interest|\bgem\b/i],
+    ['recruitment', /recruit|vacanc|advertisement for|walk.?in|\bjobs?\b|faculty positions?|project (fellow|assistant|associate)|\bjrf\b|\bsrf\b/i],
+    ['event', /\bevents?\b|seminar|workshop|conference|webinar|symposium|\bfest\b|lecture series|expert lecture|hackathon|convocation/i]
+];
+
+const PLACEMENT_TOPIC = /placement|training (and|&) placement|\bt\s*(&|and)\s*p\b|internship|campus (drive|recruitment)|pre-placement|\bppo\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+
+const DATE_FORMATS = [
+    // 2024-03-12
+    { pattern: /\b(20\d{2})-(\d{1,2})-(\d{1,2})\b/, parts: m => [m[1], m[2], m[3]] },
+    // 12/03/2024, 12-03-2024, 12.03.2024 (day first, as on Indian sites)
+    { pattern: /\b(\d{1,2})[/.-](\d{1,2})[/.-](20\d{2})\b/, parts: m => [m[3], m[2], m[1]] },
+    // 12 March 2024, 12th Mar, 2024
+    { pattern: new RegExp(`\\b(\\d{1,2})(st|nd|rd|th)?\\s+${MONTH_NAME},?\\s+(20\\d{2})\\b`, 'i'), parts: m => [m[4], m[3], m[1]] },
+    // March 12, 2024
+    { pattern: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(st|nd|rd|th)?,?\\s+(20\\d{2})\\b`, 'i'), parts: m => [m[4], m[1], m[2]] }
+];
+
+// First date in the text as YYYY-MM-DD, or null
+function parseNoticeDate(text) {
+    for (const { pattern, parts } of DATE_FORMATS) {
+        const match = (text || '').match(pattern);
+        if (!match) continue;
+
+        const [year, monthPart, day] = parts(match);
+        const month = /^\d+$/.test(monthPart)
+            ? parseInt(monthPart, 10)
+            : MONTHS.indexOf(monthPart.slice(0, 3).toLowerCase()) + 1;
+        const date = new Date(Date.UTC(parseInt(year, 10), month - 1, parseInt(day, 10)));
+
+        if (month >= 1 && month <= 12 && date.getUTCDate() === parseInt(day, 10)) {
+            return date.toISOString().slice(0, 10);
+        }
+    }
+    return null;
+}
+
+function detectNoticeType(text) {
+    return TYPE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || 'notice';
+}
+
+function isListingPage(page) {
+    return hasCategory(page, 'news') || hasCategory(page, 'events') || LISTING_PAGE.test(`${page.url} ${page.title}`);
+}
+
+// Link text is often just "Download" or "Click here"; the list item has the real title
+function noticeTitle(link, date) {
+    const text = (link.text || '').replace(/\s+/g, ' ').trim();
+    if (text.length >= 12 && !/^(download|click here|view|read more|new)$/i.test(text)) return text;
+
+    let itemText = (link.itemText || link.parentText || '').replace(/\s+/g, ' ').trim();
+    if (date) {
+        // The date may have come from the link text, leaving none in the item text
+        const format = DATE_FORMATS.find(({ pattern }) => pattern.test(itemText));
+        if (format) itemText = itemText.replace(format.pattern, '');
+        itemText = itemText
+            .replace(/\b(dated?|posted on|published on)\s*[:-]?\s*/i, '')
+            .replace(/\(\s*\)|\[\s*\]/g, '')
+            .replace(/^[\s\-–:|,()]+|[\s\-–:|,()]+$/g, '');
+    }
+    return itemText.replace(/\b(download|click here|new)\b/gi, '').replace(/\s+/g, ' ').trim() || text;
+}
+
+function noticesFromPage(page) {
+    const notices = [];
+    const listing = isListingPage(page);
+    const pageType = detectNoticeType(`${page.url} ${page.title}`);
+
+    for (const link of page.links || []) {
+        // Items keep the URL as linked; the canonical one identifies a notice linked from several pages
+        const url = resolveUrl(link.href, page.url);
+        if (!url || urlKey(url) === urlKey(page.url)) continue;
+
+        const itemText = link.itemText || link.parentText || '';
+        const date = parseNoticeDate(itemText) || parseNoticeDate(link.text);
+        const attachment = /\.pdf(\?|$)/i.test(url) || detectAttachmentType(url) ? url : null;
+
+        // Undated links are navigation unless a listing page points them at a document.
+        // Elsewhere (home page tickers, department news boxes) only dated links count.
+        if (!date && !(listing && attachment)) continue;
+
+        const title = noticeTitle(link, date);
+        if (!title) continue;
+
+        const typeText = `${title} ${itemText}`;
+        const itemType = detectNoticeType(typeText);
+        notices.push({
+            id: urlKey(url),
+            title: title,
+            date: date,
+            type: itemType !== 'notice' ? itemType : pageType,
+            category: PLACEMENT_TOPIC.test(`${typeText} ${url}`) ? 'placements' : page.category || 'news',
+            url: url,
+            attachment: attachment,
+            sourceUrl: page.url,
+            sourceTitle: page.title
+        });
+    }
+
+    return notices;
+}
+
+// Newest first; undated items last
+const byDateDesc = (a, b) => (b.date || '').localeCompare(a.date || '') || a.title.localeCompare(b.title);
+
+function extractNotices(scrapedData) {
+    const byId = new Map();
+
+    for (const page of scrapedData.pages || []) {
+        for (const notice of noticesFromPage(page)) {
+            const existing = byId.get(notice.id);
+            // The same notice is usually linked from the home page ticker and its section page
+            if (!existing) {
+                byId.set(notice.id, notice);
+            } else {
+                if (!existing.date && notice.date) existing.date = notice.date;
+                if (existing.type === 'notice' && notice.type !== 'notice') existing.type = notice.type;
+                if (notice.category === 'placements') existing.category = 'placements';
+            }
+        }
+    }
+
+    return [...byId.values()].sort(byDateDesc);
+}
+
+function buildNoticeFeed(scrapedData, snapshot) {
+    const notices = extractNotices(scrapedData);
+    return {
+        snapshot: snapshot,
+        generatedAt: new Date().toISOString(),
+        crawledAt: scrapedData.metadata?.timestamp,
+        totalRecords: notices.length,
+        types: Object.fromEntries(NOTICE_TYPES.map(type => [type, notices.filter(n => n.type === type).length])),
+        records: notices
+    };
+}
+
+async function saveNoticeFeed(dataDir, feed) {
+    return saveDerivedData(dataDir, NOTICES_DIRNAME, feed);
+}
+
+async function loadNoticeFeed(dataDir, snapshot) {
+    return loadDerivedData(dataDir, NOTICES_DIRNAME, snapshot);
+}
+
+// filters: { type, category, from, to, q }; dates are YYYY-MM-DD and inclusive.
+// A date range leaves out undated notices.
+function filterNotices(notices, filters = {}) {
+    const types = filters.type ? String(filters.type).split(',').map(type => type.trim()) : null;
+    const invalid = types?.find(type => !NOTICE_TYPES.includes(type));
+    if (invalid) {
+        throw new Error(`Invalid notice type "${invalid}". Expected one of: ${NOTICE_TYPES.join(', ')}`);
+    }
+    for (const bound of ['from', 'to']) {
+        if (filters[bound] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[bound])) {
+            throw new Error(`Invalid ${bound} date "${filters[bound]}". Expected YYYY-MM-DD`);
+        }
+    }
+
+    const query = filters.q?.toLowerCase();
+    return notices.filter(notice =>
+        (!types || types.includes(notice.type)) &&
+        (!filters.category || notice.category === filters.category) &&
+        (!filters.from || (notice.date && notice.date >= filters.from)) &&
+        (!filters.to || (notice.date && notice.date <= filters.to)) &&
+        (!query || notice.title.toLowerCase().includes(query))
+    );
+}
+
+const escapeXml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Undated notices get the crawl time so feed readers still order them
+const noticeTime = (notice, fallback) => (notice.date ? new Date(`${notice.date}T00:00:00Z`) : new Date(fallback || Date.now()));
+
+// options: { title, description, siteUrl, feedUrl, updated }
+function toRss(notices, options) {
+    const items = notices.map(notice => `    <item>
+      <title>${escapeXml(notice.title)}</title>
+      <link>${escapeXml(notice.attachment || notice.url)}</link>
+      <guid isPermaLink="false">${escapeXml(notice.id)}</guid>
+      <pubDate>${noticeTime(notice, options.updated).toUTCString()}</pubDate>
+      <category>${escapeXml(notice.type)}</category>
+      <description>${escapeXml(`${notice.type} from ${notice.sourceTitle || notice.sourceUrl}`)}</description>
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(options.title)}</title>
+    <link>${escapeXml(options.siteUrl)}</link>
+    <description>${escapeXml(options.description)}</description>
+    <atom:link href="${escapeXml(options.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(options.updated || Date.now()).toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+function toAtom(notices, options) {
+    const entries = notices.map(notice => `  <entry>
+    <title>${escapeXml(notice.title)}</title>
+    <link href="${escapeXml(notice.attachment || notice.url)}"/>
+    <id>${escapeXml(notice.id)}</id>
+    <updated>${noticeTime(notice, options.updated).toISOString()}</updated>
+    <category term="${escapeXml(notice.type)}"/>
+    <summary>${escapeXml(`${notice.type} from ${notice.sourceTitle || notice.sourceUrl}`)}</summary>
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(options.title)}</title>
+  <subtitle>${escapeXml(options.description)}</subtitle>
+  <link href="${escapeXml(options.siteUrl)}"/>
+  <link href="${escapeXml(options.feedUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(options.feedUrl)}</id>
+  <updated>${new Date(options.updated || Date.now()).toISOString()}</updated>
+  <author><name>NIT Jamshedpur</name></author>
+${entries}
+</feed>
+`;
+}
+
+const LATEST_QUESTION = /\b(latest|recent|new|newest|upcoming|last|current)\b[\w\s]{0,30}\b(notices?|announcements?|circulars?|tenders?|recruitments?|vacanc\w*|events?|news)\b/i;
+
+// Newest matching notices for "what are the latest notices"-style questions, or null
+function noticesForQuestion(question, notices, limit = 10) {
+    const match = question.match(LATEST_QUESTION);
+    if (!match) return null;
+
+    const requested = detectNoticeType(match[2]);
+    const filters = {
+        type: requested !== 'notice' ? requested : undefined,
+        category: PLACEMENT_TOPIC.test(question) ? 'placements' : undefined
+    };
+    const results = filterNotices(notices, filters).filter(notice => notice.date).slice(0, limit);
+    return results.length > 0 ? { filters, notices: results } : null;
+}
+
+function describeNotices(feed, notices) {
+    return [
+        `Latest notices (snapshot ${feed.snapshot}, newest first):`,
+        ...notices.map(notice => `• ${notice.date} [${notice.type}] ${notice.title} - ${notice.attachment || notice.url}`)
+    ].join('\n');
+}
+
+export {
+    NOTICES_DIRNAME,
+    NOTICE_TYPES,
+    parseNoticeDate,
+    extractNotices,
+    buildNoticeFeed,
+    saveNoticeFeed,
+    loadNoticeFeed,
+    filterNotices,
+    toRss,
+    toAtom,
+    noticesForQuestion,
+    describeNotices
+};
@@ -0,0 +1,53 @@
+// The package entry point runs a debug parse of ./test/data/05-versions-space.pdf
+// when it has no parent module, which is always the case when imported from ESM
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { countWords } from './language.js';
+
+// Same line-joining as pdf-parse's default renderer, but keeps each page's
+// text separately so chunks can cite the page they came from.
+function renderPageText(textContent) {
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+        if (lastY == item.transform[5] || !lastY) {
+            text += item.str;
+        } else {
+            text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+    }
+    return text;
+}
+
+async function extractPdfPages(data) {
+    const pageTexts = [];
+
+    // pdf.js reads the Buffer's underlying ArrayBuffer, which for small pooled
+    // Buffers starts at a non-zero offset; a copy gives it one of its own
+    const bytes = new Uint8Array(data);
+
+    const result = await pdfParse(bytes, {
+        pagerender: pageData => pageData
+            .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+            .then(textContent => {
+                const text = renderPageText(textContent);
+                pageTexts.push({
+                    pageNumber: pageData.pageIndex + 1,
+                    text: text,
+                    wordCount: countWords(text)
+                });
+                return text;
+            })
+    });
+
+    pageTexts.sort((a, b) => a.pageNumber - b.pageNumber);
+
+    return {
+        text: result.text,
+        numpages: result.numpages,
+        info: result.info,
+        pageTexts: pageTexts
+    };
+}
+
+export { extractPdfPages };
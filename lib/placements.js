@@ -0,0 +1,377 @@
+import { asTable } from './tables.js';
+import { saveDerivedData, loadDerivedData } from './derivedData.js';
+import { hasCategory } from './categorizer.js';
+
+// Structured placement statistics pulled out of the tables, spreadsheets and
+// PDFs of a snapshot's `placements` category. Each record is one row of a
+// source table: { year, branch, company, offers, ctcLpa, highestCtcLpa?,
+// stipendPerMonth, type: 'full-time' | 'internship', source }.
+
+const PLACEMENTS_DIRNAME = 'placements';
+
+// Checked in order, so the more specific names come first. `code` is matched
+// case-sensitively so that "me" or "ce" in running text is not read as a branch.
+const BRANCHES = [
+    { branch: 'ECM', name: /computational mechanics/i, code: /\bECM\b/ },
+    { branch: 'ECE', name: /electronics\s*(and|&)?\s*communication/i, code: /\bECE\b/ },
+    { branch: 'EE', name: /electrical/i, code: /\b(EE|EEE)\b/ },
+    { branch: 'CSE', name: /computer science|computer engineering/i, code: /\b(CSE|CS)\b/ },
+    { branch: 'ME', name: /mechanical/i, code: /\b(ME|MECH)\b/ },
+    { branch: 'CE', name: /civil/i, code: /\bCE\b/ },
+    { branch: 'MME', name: /metallurg|materials/i, code: /\b(MME|MM)\b/ },
+    { branch: 'PIE', name: /production|industrial/i, code: /\bPIE\b/ },
+    { branch: 'MCA', name: /computer applications/i, code: /\bMCA\b/ },
+    { branch: 'MBA', name: /business administration|management studies/i, code: /\bMBA\b/ }
+];
+
+const COLUMN_PATTERNS = {
+    year: /\b(year|batch|session)\b/i,
+    branch: /branch|department|\bdept|discipline|programme|program|course|stream/i,
+    company: /compan|organi[sz]ation|recruiter|employer|\bfirm\b/i,
+    offers: /offer|selected|selection|placed|hired|no\.? of students|students/i,
+    ctc: /ctc|package|salary|lpa|stipend|compensation|pay\b/i,
+    type: /\btype\b|nature|internship|full.?time|category/i
+};
+
+// Headers are matched in this order so "Students Placed" is offers, not branch
+const COLUMN_ORDER = ['ctc', 'offers', 'year', 'company', 'branch', 'type'];
+
+function normalizeBranch(value, { strict = false } = {}) {
+    if (!value) return null;
+    for (const { branch, name, code } of BRANCHES) {
+        if (name.test(value) || code.test(strict ? value : value.toUpperCase())) return branch;
+    }
+    return strict ? null : value.replace(/\s+/g, ' ').trim().toUpperCase() || null;
+}
+
+function parseYear(value) {
+    const match = String(value || '').match(/\b(20\d{2})(?:\s*[-–/]\s*(\d{2,4}))?\b/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function parseNumber(value) {
+    const match = String(value || '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+// "52 LPA", "12.5 Lakhs", "1.2 Cr", "₹ 12,00,000" -> lakhs per annum. Monthly
+// figures are internship stipends and are returned separately.
+function parseCompensation(value, headerText = '') {
+    const text = String(value || '');
+    const amount = parseNumber(text);
+    if (amount === null) return { ctcLpa: null, stipendPerMonth: null };
+
+    const context = `${text} ${headerText}`.toLowerCase();
+    if (/month|stipend|\bpm\b|p\.m\./.test(context)) {
+        return { ctcLpa: null, stipendPerMonth: amount < 1000 ? amount * 1000 : amount };
+    }
+    if (/\bcr(ore)?s?\b/.test(context)) return { ctcLpa: amount * 100, stipendPerMonth: null };
+    if (amount >= 10000) return { ctcLpa: Math.round(amount / 1000) / 100, stipendPerMonth: null };
+    return { ctcLpa: amount, stipendPerMonth: null };
+}
+
+function detectType(text) {
+    return /intern/i.test(text || '') ? 'internship' : 'full-time';
+}
+
+function mapColumns(headers) {
+    const columns = {};
+    const used = new Set();
+
+    // Branch-wise summary tables often have both "Highest CTC" and "Average CTC"
+    const ctcColumns = headers.map((header, i) => (COLUMN_PATTERNS.ctc.test(header) ? i : -1)).filter(i => i >= 0);
+    if (ctcColumns.length > 1) {
+        const highest = ctcColumns.find(i => /highest|max/i.test(headers[i]));
+        const average = ctcColumns.find(i => /average|avg|mean|median/i.test(headers[i]));
+        if (highest !== undefined) {
+            columns.highestCtc = highest;
+            used.add(highest);
+        }
+        if (average !== undefined) {
+            columns.ctc = average;
+            used.add(average);
+        }
+    }
+
+    for (const field of COLUMN_ORDER) {
+        if (columns[field] !== undefined) continue;
+        const index = headers.findIndex((header, i) => !used.has(i) && COLUMN_PATTERNS[field].test(header));
+        if (index >= 0) {
+            columns[field] = index;
+            used.add(index);
+        }
+    }
+    return columns;
+}
+
+// Records from one table-like source. Tables without a CTC or offers column
+// (or without headers at all) carry no statistics and are skipped.
+function recordsFromTable(table, source) {
+    const normalized = asTable(table);
+    if (normalized.headers.length === 0) return [];
+
+    const columns = mapColumns(normalized.headers);
+    if (columns.ctc === undefined && columns.highestCtc === undefined && columns.offers === undefined) return [];
+    if (columns.branch === undefined && columns.company === undefined) return [];
+
+    const label = [normalized.caption, normalized.heading, source.title].filter(Boolean).join(' ');
+    const records = [];
+
+    for (const row of normalized.rows) {
+        const cell = field => (columns[field] === undefined ? '' : row[columns[field]] || '');
+        // Total/summary rows would double-count
+        if (/^(grand\s+)?total|^overall/i.test(row.find(Boolean) || '')) continue;
+
+        const compensation = parseCompensation(cell('ctc'), normalized.headers[columns.ctc] || '');
+        const highestCtcLpa = parseCompensation(cell('highestCtc'), normalized.headers[columns.highestCtc] || '').ctcLpa;
+        const offers = parseNumber(cell('offers'));
+        if (compensation.ctcLpa === null && compensation.stipendPerMonth === null && highestCtcLpa === null && offers === null) continue;
+
+        const company = cell('company').replace(/\s+/g, ' ').trim() || null;
+        const branch = normalizeBranch(cell('branch'));
+        if (!company && !branch) continue;
+
+        const typeText = [cell('type'), normalized.headers[columns.ctc], label].join(' ');
+        records.push({
+            year: parseYear(cell('year')) ?? parseYear(label),
+            branch: branch,
+            company: company,
+            offers: offers,
+            ctcLpa: compensation.ctcLpa,
+            ...(highestCtcLpa !== null ? { highestCtcLpa: highestCtcLpa } : {}),
+            stipendPerMonth: compensation.stipendPerMonth,
+            type: compensation.stipendPerMonth !== null ? 'internship' : detectType(typeText),
+            source: {
+                url: source.url,
+                title: source.title,
+                kind: source.kind,
+                ...(source.pageNumber ? { pageNumber: source.pageNumber } : {})
+            }
+        });
+    }
+
+    return records;
+}
+
+// pdf-parse output has no table structure; columns separated by runs of
+// spaces, tabs or pipes are the best that can be recovered from it
+function tablesFromPdfText(text) {
+    const tables = [];
+    let current = null;
+
+    for (const line of (text || '').split('\n')) {
+        const cells = line.split(/\t|\s{2,}|\s\|\s/).map(cell => cell.trim()).filter(Boolean);
+        const isHeader = cells.length >= 2 &&
+            Object.values(COLUMN_PATTERNS).filter(pattern => cells.some(cell => pattern.test(cell))).length >= 2 &&
+            !cells.some(cell => /\d/.test(cell) && !/20\d{2}/.test(cell));
+
+        if (isHeader) {
+            current = [cells];
+            tables.push(current);
+        } else if (current && cells.length === current[0].length) {
+            current.push(cells);
+        } else if (current && cells.length > 0) {
+            current = null;
+        }
+    }
+
+    // Header row first, so asTable() promotes it
+    return tables.filter(rows => rows.length > 1);
+}
+
+function extractPlacementRecords(scrapedData) {
+    const records = [];
+    const inScope = item => hasCategory(item, 'placements');
+
+    for (const page of (scrapedData.pages || []).filter(inScope)) {
+        for (const table of page.tables || []) {
+            records.push(...recordsFromTable(table, { url: page.url, title: page.title, kind: 'page' }));
+        }
+    }
+
+    for (const pdf of (scrapedData.documents?.pdfs || []).filter(inScope)) {
+        const pages = pdf.pageTexts?.length > 0 ? pdf.pageTexts : [{ pageNumber: null, text: pdf.text }];
+        for (const page of pages) {
+            for (const rows of tablesFromPdfText(page.text)) {
+                records.push(...recordsFromTable(rows, { url: pdf.url, title: pdf.title, kind: 'pdf', pageNumber: page.pageNumber }));
+            }
+        }
+    }
+
+    for (const attachment of (scrapedData.documents?.other || []).filter(inScope)) {
+        for (const sheet of attachment.sheets || []) {
+            const table = { ...asTable(sheet.rows), heading: sheet.name };
+            records.push(...recordsFromTable(table, { url: attachment.url, title: attachment.title, kind: 'attachment' }));
+        }
+    }
+
+    // The same table is often published as a page and as a PDF
+    const seen = new Set();
+    return records.filter(record => {
+        const key = [record.year, record.branch, record.company, record.type, record.offers, record.ctcLpa, record.highestCtcLpa, record.stipendPerMonth].join('|');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function buildPlacementDataset(scrapedData, snapshot) {
+    const records = extractPlacementRecords(scrapedData);
+    return {
+        snapshot: snapshot,
+        generatedAt: new Date().toISOString(),
+        crawledAt: scrapedData.metadata?.timestamp,
+        totalRecords: records.length,
+        years: [...new Set(records.map(r => r.year).filter(Boolean))].sort(),
+        branches: [...new Set(records.map(r => r.branch).filter(Boolean))].sort(),
+        records: records
+    };
+}
+
+async function savePlacementDataset(dataDir, dataset) {
+    return saveDerivedData(dataDir, PLACEMENTS_DIRNAME, dataset);
+}
+
+async function loadPlacementDataset(dataDir, snapshot) {
+    return loadDerivedData(dataDir, PLACEMENTS_DIRNAME, snapshot);
+}
+
+// filters: { year, branch, company, type, minCtc, maxCtc }
+function filterPlacements(records, filters = {}) {
+    const year = filters.year ? parseInt(filters.year, 10) : null;
+    const branch = filters.branch ? normalizeBranch(filters.branch) : null;
+    const company = filters.company ? filters.company.toLowerCase() : null;
+    const minCtc = filters.minCtc !== undefined && filters.minCtc !== '' ? parseFloat(filters.minCtc) : null;
+    const maxCtc = filters.maxCtc !== undefined && filters.maxCtc !== '' ? parseFloat(filters.maxCtc) : null;
+
+    return records.filter(record =>
+        (!year || record.year === year) &&
+        (!branch || record.branch === branch) &&
+        (!company || record.company?.toLowerCase().includes(company)) &&
+        (!filters.type || record.type === filters.type) &&
+        (minCtc === null || (record.ctcLpa !== null && record.ctcLpa >= minCtc)) &&
+        (maxCtc === null || (record.ctcLpa !== null && record.ctcLpa <= maxCtc))
+    );
+}
+
+const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+// Averages are weighted by offers where a row has them, as placement reports do.
+// Rows from branch-wise summaries also carry the branch's highest CTC.
+function summarizePlacements(records) {
+    const withCtc = records.filter(record => record.ctcLpa !== null);
+    const weight = record => record.offers || 1;
+    const totalWeight = withCtc.reduce((sum, record) => sum + weight(record), 0);
+    const sorted = withCtc.map(record => record.ctcLpa).sort((a, b) => a - b);
+    const topCtc = record => Math.max(record.ctcLpa ?? 0, record.highestCtcLpa ?? 0);
+    const highest = records
+        .filter(record => topCtc(record) > 0)
+        .reduce((best, record) => (!best || topCtc(record) > topCtc(best) ? record : best), null);
+
+    return {
+        records: records.length,
+        offers: records.reduce((sum, record) => sum + (record.offers || 0), 0),
+        companies: new Set(records.map(record => record.company).filter(Boolean)).size,
+        averageCtcLpa: totalWeight > 0 ? round(withCtc.reduce((sum, record) => sum + record.ctcLpa * weight(record), 0) / totalWeight) : null,
+        medianCtcLpa: sorted.length > 0
+            ? round(sorted.length % 2 ? sorted[(sorted.length - 1) / 2] : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2)
+            : null,
+        highestCtcLpa: highest ? topCtc(highest) : null,
+        highestCtcBy: highest ? { company: highest.company, branch: highest.branch, year: highest.year } : null,
+        lowestCtcLpa: sorted.length > 0 ? sorted[0] : null
+    };
+}
+
+const GROUP_FIELDS = ['year', 'branch', 'company', 'type'];
+
+function aggregatePlacements(records, groupBy) {
+    if (!GROUP_FIELDS.includes(groupBy)) {
+        throw new Error(`Invalid groupBy "${groupBy}". Expected one of: ${GROUP_FIELDS.join(', ')}`);
+    }
+
+    const groups = new Map();
+    for (const record of records) {
+        const key = record[groupBy] ?? 'unknown';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    }
+
+    return Array.from(groups.entries())
+        .map(([key, groupRecords]) => ({ [groupBy]: key, ...summarizePlacements(groupRecords) }))
+        .sort((a, b) => String(a[groupBy]).localeCompare(String(b[groupBy])));
+}
+
+const NUMERIC_QUESTION = /\b(average|avg|mean|median|highest|maximum|max|lowest|minimum|min|how many|number of|total|count|ctc|package|lpa|salary|stipend|offers?)\b/i;
+
+// Filters implied by a chat question, or null when the question is not a
+// numeric placement question
+function placementFiltersFromQuestion(question, records) {
+    if (!NUMERIC_QUESTION.test(question)) return null;
+
+    const filters = {};
+    const year = parseYear(question);
+    if (year) filters.year = year;
+
+    const branch = normalizeBranch(question, { strict: true });
+    if (branch) filters.branch = branch;
+
+    const questionLower = question.toLowerCase();
+    const company = [...new Set(records.map(record => record.company).filter(Boolean))]
+        .filter(name => name.length >= 3 && questionLower.includes(name.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+    if (company) filters.company = company;
+
+    if (/intern/i.test(question)) filters.type = 'internship';
+
+    return filters;
+}
+
+// Plain-text facts for the chat prompt
+function describePlacements(dataset, filters) {
+    const records = filterPlacements(dataset.records, filters);
+    if (records.length === 0) return null;
+
+    const filterText = Object.entries(filters).map(([key, value]) => `${key}=${value}`).join(', ') || 'none';
+    const summary = summarizePlacements(records);
+    const lines = [
+        `Structured placement dataset (snapshot ${dataset.snapshot}, filters: ${filterText})`,
+        `Rows: ${summary.records}, total offers: ${summary.offers}, companies: ${summary.companies}`,
+        `Average CTC: ${summary.averageCtcLpa ?? 'n/a'} LPA, median: ${summary.medianCtcLpa ?? 'n/a'} LPA, highest: ${summary.highestCtcLpa ?? 'n/a'} LPA, lowest: ${summary.lowestCtcLpa ?? 'n/a'} LPA`
+    ];
+
+    if (!filters.year) {
+        aggregatePlacements(records, 'year').forEach(group => {
+            lines.push(`Year ${group.year}: ${group.offers} offers, average ${group.averageCtcLpa ?? 'n/a'} LPA, highest ${group.highestCtcLpa ?? 'n/a'} LPA`);
+        });
+    }
+
+    lines.push('Rows:');
+    records.slice(0, 20).forEach(record => {
+        lines.push(`• ${[
+            record.year,
+            record.branch,
+            record.company,
+            record.type,
+            record.offers !== null ? `${record.offers} offers` : '',
+            record.ctcLpa !== null ? `${record.ctcLpa} LPA` : '',
+            record.highestCtcLpa ? `highest ${record.highestCtcLpa} LPA` : '',
+            record.stipendPerMonth !== null ? `₹${record.stipendPerMonth}/month stipend` : '',
+            `source: ${record.source.url}${record.source.pageNumber ? `#page=${record.source.pageNumber}` : ''}`
+        ].filter(Boolean).join(', ')}`);
+    });
+
+    return { filters, summary, text: lines.join('\n') };
+}
+
+export {
+    PLACEMENTS_DIRNAME,
+    extractPlacementRecords,
+    buildPlacementDataset,
+    savePlacementDataset,
+    loadPlacementDataset,
+    filterPlacements,
+    summarizePlacements,
+    aggregatePlacements,
+    placementFiltersFromQuestion,
+    describePlacements
+};
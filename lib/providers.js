@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+// Language model providers used by the RAG system.
+// Chat providers implement
+//   generate(prompt)     the model's answer as text
+//   describe()           { provider, model }, for /health and /stats
+// Embedding providers implement
+//   embed(text)          the text's embedding as an array of numbers
+//   dimension()          length of those embeddings (sizes a new Pinecone index)
+//   describe()           { provider, model }
+//   batchDelay           ms to wait between embedding batches (rate limits)
+// The Gemini client libraries are imported on first use, so they only need to
+// be installed when Gemini is configured; OpenAI-compatible servers are called
+// with axios, like every other HTTP request in the repo.
+
+const PROVIDERS = ['gemini', 'openai', 'stub'];
+
+const DEFAULT_MODELS = {
+    gemini: { chat: 'gemini-1.5-flash', embeddings: 'embedding-001' },
+    openai: { chat: null, embeddings: null }, // Depends on the server, so LLM_MODEL / EMBEDDING_MODEL are required
+    stub: { chat: 'stub-chat', embeddings: 'stub-embeddings' }
+};
+
+const GEMINI_EMBEDDING_DIMENSION = 768;
+const STUB_EMBEDDING_DIMENSION = 768;
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+class GeminiChatProvider {
+    constructor({ apiKey, model = DEFAULT_MODELS.gemini.chat }) {
+        this.apiKey = apiKey;
+        this.model = model;
+        this.client = null;
+    }
+
+    async generate(prompt) {
+        if (!this.client) {
+            const { GoogleGenerativeAI } = await import('@google/generative-ai');
+            this.client = new GoogleGenerativeAI(this.apiKey).getGenerativeModel({ model: this.model });
+        }
+        const result = await this.client.generateContent(prompt);
+        return result.response.text();
+    }
+
+    describe() {
+        return { provider: 'gemini', model: this.model };
+    }
+}
+
+class GeminiEmbeddingProvider {
+    constructor({ apiKey, model = DEFAULT_MODELS.gemini.embeddings }) {
+        this.apiKey = apiKey;
+        this.model = model;
+        this.client = null;
+        this.batchDelay = 2000; // Stay under the Gemini API limits
+    }
+
+    async embed(text) {
+        if (!this.client) {
+            const { GoogleGenerativeAIEmbeddings } = await import('@langchain/google-genai');
+            this.client = new GoogleGenerativeAIEmbeddings({ apiKey: this.apiKey, modelName: this.model });
+        }
+        return this.client.embedQuery(text);
+    }
+
+    async dimension() {
+        return GEMINI_EMBEDDING_DIMENSION;
+    }
+
+    describe() {
+        return { provider: 'gemini', model: this.model };
+    }
+}
+
+// POST to an OpenAI-compatible API (OpenAI, llama.cpp's server, Ollama, vLLM, …)
+async function openaiRequest({ baseUrl, apiKey, timeout }, endpoint, body) {
+    try {
+        const response = await axios.post(`${baseUrl.replace(/\/+$/, '')}${endpoint}`, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+            },
+            timeout: timeout
+        });
+        return response.data;
+    } catch (error) {
+        if (!error.response) throw error;
+        const { status, data } = error.response;
+        const detail = typeof data === 'string' ? data : JSON.stringify(data ?? '');
+        throw new Error(`${endpoint} returned HTTP ${status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    }
+}
+
+class OpenAIChatProvider {
+    constructor({ baseUrl = DEFAULT_OPENAI_BASE_URL, apiKey, model, timeout = 120000 }) {
+        this.baseUrl = baseUrl;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeout = timeout; // Local models can take a while to answer on a CPU
+    }
+
+    async generate(prompt) {
+        const result = await openaiRequest(this, '/chat/completions', {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }]
+        });
+        const text = result.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error(`/chat/completions returned no message for model ${this.model}`);
+        }
+        return text;
+    }
+
+    describe() {
+        return { provider: 'openai', model: this.model, baseUrl: this.baseUrl };
+    }
+}
+
+class OpenAIEmbeddingProvider {
+    constructor({ baseUrl = DEFAULT_OPENAI_BASE_URL, apiKey, model, timeout = 60000 }) {
+        this.baseUrl = baseUrl;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeout = timeout;
+        this.batchDelay = 0;
+        this.size = null; // Learnt from the first embedding
+    }
+
+    async embed(text) {
+        const result = await openaiRequest(this, '/embeddings', { model: this.model, input: text });
+        const embedding = result.data?.[0]?.embedding;
+        if (!Array.isArray(embedding)) {
+            throw new Error(`/embeddings returned no embedding for model ${this.model}`);
+        }
+        this.size = embedding.length;
+        return embedding;
+    }
+
+    async dimension() {
+        if (this.size === null) await this.embed('NIT Jamshedpur');
+        return this.size;
+    }
+
+    describe() {
+        return { provider: 'openai', model: this.model, baseUrl: this.baseUrl };
+    }
+}
+
+const hashOf = text => crypto.createHash('sha1').update(text).digest();
+
+// Deterministic, offline answers for tests and demos: echoes the question and
+// how much context the prompt carried
+class StubChatProvider {
+    constructor({ model = DEFAULT_MODELS.stub.chat } = {}) {
+        this.model = model;
+    }
+
+    async generate(prompt) {
+        const question = prompt.match(/^Question: (.*)$/m)?.[1] ?? prompt.trim().split('\n')[0];
+        const context = prompt.match(/^\[(Page|PDF Document|\w+ Document) \d+:/gm)?.length || 0;
+        return `Stub answer to "${question}" from ${context} context chunks (${hashOf(prompt).toString('hex').slice(0, 8)})`;
+    }
+
+    describe() {
+        return { provider: 'stub', model: this.model };
+    }
+}
+
+// Deterministic bag-of-words embeddings: every word adds ±1 at a position
+// picked by its hash, so texts sharing words are similar. Needs no network.
+class StubEmbeddingProvider {
+    constructor({ model = DEFAULT_MODELS.stub.embeddings, dimension = STUB_EMBEDDING_DIMENSION } = {}) {
+        this.model = model;
+        this.size = dimension;
+        this.batchDelay = 0;
+    }
+
+    async embed(text) {
+        const values = new Array(this.size).fill(0);
+        for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+            const hash = hashOf(word);
+            values[hash.readUInt32BE(0) % this.size] += hash[4] & 1 ? 1 : -1;
+        }
+        const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+        return norm ? values.map(value => value / norm) : values;
+    }
+
+    async dimension() {
+        return this.size;
+    }
+
+    describe() {
+        return { provider: 'stub', model: this.model };
+    }
+}
+
+function providerSettings(kind, env) {
+    const prefix = kind === 'chat' ? 'LLM' : 'EMBEDDING';
+    const fallback = kind === 'chat' ? 'gemini' : env.LLM_PROVIDER?.trim().toLowerCase() || 'gemini';
+    const provider = env[`${prefix}_PROVIDER`]?.trim().toLowerCase() || fallback;
+    if (!PROVIDERS.includes(provider)) {
+        throw new Error(`Invalid ${prefix}_PROVIDER "${provider}": expected ${PROVIDERS.join(', ')}`);
+    }
+
+    const settings = { provider, model: env[`${prefix}_MODEL`]?.trim() || DEFAULT_MODELS[provider][kind] };
+    if (provider === 'gemini') {
+        settings.apiKey = env.GEMINI_API_KEY?.trim();
+    } else if (provider === 'openai') {
+        settings.baseUrl = env.OPENAI_BASE_URL?.trim() || DEFAULT_OPENAI_BASE_URL;
+        settings.apiKey = env.OPENAI_API_KEY?.trim();
+    }
+    return settings;
+}
+
+// Provider settings from the environment: LLM_PROVIDER / LLM_MODEL for chat,
+// EMBEDDING_PROVIDER / EMBEDDING_MODEL for embeddings (the provider defaults
+// to LLM_PROVIDER), plus GEMINI_API_KEY or OPENAI_BASE_URL / OPENAI_API_KEY
+function providerConfig(env = process.env) {
+    return { chat: providerSettings('chat', env), embeddings: providerSettings('embeddings', env) };
+}
+
+// Environment variables the configured providers cannot run without
+function providerEnvironment(config) {
+    const required = [];
+    for (const [kind, { provider }] of Object.entries(config)) {
+        if (provider === 'gemini') required.push('GEMINI_API_KEY');
+        if (provider === 'openai') required.push(kind === 'chat' ? 'LLM_MODEL' : 'EMBEDDING_MODEL');
+    }
+    return Array.from(new Set(required));
+}
+
+function createChatProvider(settings = providerConfig().chat) {
+    switch (settings.provider) {
+        case 'gemini': return new GeminiChatProvider(settings);
+        case 'openai': return new OpenAIChatProvider(settings);
+        case 'stub': return new StubChatProvider(settings);
+        default: throw new Error(`Invalid chat provider "${settings.provider}": expected ${PROVIDERS.join(', ')}`);
+    }
+}
+
+function createEmbeddingProvider(settings = providerConfig().embeddings) {
+    switch (settings.provider) {
+        case 'gemini': return new GeminiEmbeddingProvider(settings);
+        case 'openai': return new OpenAIEmbeddingProvider(settings);
+        case 'stub': return new StubEmbeddingProvider(settings);
+        default: throw new Error(`Invalid embedding provider "${settings.provider}": expected ${PROVIDERS.join(', ')}`);
+    }
+}
+
+export {
+    PROVIDERS,
+    DEFAULT_MODELS,
+    GeminiChatProvider,
+    GeminiEmbeddingProvider,
+    OpenAIChatProvider,
+    OpenAIEmbeddingProvider,
+    StubChatProvider,
+    StubEmbeddingProvider,
+    providerConfig,
+    providerEnvironment,
+    createChatProvider,
+    createEmbeddingProvider
+};
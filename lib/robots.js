@@ -0,0 +1,124 @@
+import axios from 'axios';
+
+const ROBOTS_USER_AGENT = 'nitjsr-rag-chatbot';
+
+function patternToRegex(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Parsed robots.txt for a single host: allow/disallow rules for our user agent
+// (falling back to the `*` group), crawl-delay and any listed sitemaps.
+class RobotsPolicy {
+    constructor({ rules = [], crawlDelay = null, sitemaps = [], source = null } = {}) {
+        this.rules = rules.map(rule => ({ ...rule, regex: patternToRegex(rule.pattern) }));
+        this.crawlDelay = crawlDelay;
+        this.sitemaps = sitemaps;
+        this.source = source;
+    }
+
+    static parse(text, userAgent = ROBOTS_USER_AGENT, source = null) {
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+
+            const key = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (key === 'sitemap') {
+                if (value) sitemaps.push(value);
+                continue;
+            }
+
+            if (key === 'user-agent') {
+                if (!current || !lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                continue;
+            }
+
+            lastWasAgent = false;
+            if (!current) continue;
+
+            if ((key === 'allow' || key === 'disallow') && value) {
+                current.rules.push({ type: key, pattern: value });
+            } else if (key === 'crawl-delay') {
+                const delay = parseFloat(value);
+                if (!Number.isNaN(delay)) current.crawlDelay = delay;
+            }
+        }
+
+        const agent = userAgent.toLowerCase();
+        const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a))) ||
+            groups.find(g => g.agents.includes('*'));
+
+        return new RobotsPolicy({
+            rules: group?.rules || [],
+            crawlDelay: group?.crawlDelay ?? null,
+            sitemaps: sitemaps,
+            source: source
+        });
+    }
+
+    static async fetch(baseUrl, userAgent = ROBOTS_USER_AGENT) {
+        const robotsUrl = new URL('/robots.txt', baseUrl).href;
+        try {
+            const response = await axios.get(robotsUrl, {
+                responseType: 'text',
+                timeout: 15000,
+                headers: { 'User-Agent': userAgent }
+            });
+            return RobotsPolicy.parse(String(response.data), userAgent, robotsUrl);
+        } catch (error) {
+            // Missing or unreachable robots.txt means everything is allowed
+            console.warn(`⚠️ Could not load ${robotsUrl}: ${error.message}`);
+            return new RobotsPolicy({ source: null });
+        }
+    }
+
+    // Longest matching rule wins; on a tie, Allow beats Disallow
+    isAllowed(url) {
+        let target;
+        try {
+            const urlObj = new URL(url);
+            target = urlObj.pathname + urlObj.search;
+        } catch (error) {
+            return false;
+        }
+
+        let best = null;
+        for (const rule of this.rules) {
+            if (!rule.regex.test(target)) continue;
+            if (!best || rule.pattern.length > best.pattern.length ||
+                (rule.pattern.length === best.pattern.length && rule.type === 'allow')) {
+                best = rule;
+            }
+        }
+
+        return !best || best.type === 'allow';
+    }
+
+    toJSON() {
+        return {
+            source: this.source,
+            crawlDelay: this.crawlDelay,
+            sitemaps: this.sitemaps,
+            rules: this.rules.map(({ type, pattern }) => ({ type, pattern }))
+        };
+    }
+}
+
+export { RobotsPolicy, ROBOTS_USER_AGENT };
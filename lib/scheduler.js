@@ -0,0 +1,363 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCrawlProfile } from './crawlProfiles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Recurring crawls from schedules.json. Each schedule names a crawl profile
+// and a cron expression (minute hour day-of-month month day-of-week, in the
+// server's local time); when it is due the server starts the same scrape job
+// as POST /scrape, and the outcome of each run is kept in a history file.
+const SCHEDULES_FILE = path.join(__dirname, '..', 'schedules.json');
+const SCHEDULE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+const SCHEDULE_FIELDS = ['name', 'description', 'cron', 'profile', 'fetchMode', 'force', 'enabled'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    // 0 and 7 are both Sunday
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// setTimeout() cannot wait longer than this; longer waits are re-planned
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function parseCronValue(text, field) {
+    const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = index !== -1 ? index + (field.name === 'month' ? 1 : 0) : Number(text);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`${field.name} value "${text}" is out of range ${field.min}-${field.max}`);
+    }
+    return value;
+}
+
+function parseCronField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i);
+        if (!match) {
+            throw new Error(`cannot parse ${field.name} "${part}"`);
+        }
+        const [, range, stepText] = match;
+        const step = stepText ? Number(stepText) : 1;
+        if (step < 1) {
+            throw new Error(`${field.name} step must be at least 1`);
+        }
+
+        let [start, end] = range === '*'
+            ? [field.min, field.max]
+            : range.split('-').map(value => parseCronValue(value, field));
+        // "5/15" runs from 5 to the end of the range
+        if (end === undefined) end = stepText ? field.max : start;
+        if (start > end) {
+            throw new Error(`${field.name} range "${range}" runs backwards`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+        }
+    }
+    return values;
+}
+
+// Parse a five-field cron expression or a macro such as @daily
+function parseCron(expression) {
+    const text = typeof expression === 'string' ? expression.trim() : '';
+    const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    try {
+        const cron = { expression: text };
+        CRON_FIELDS.forEach((field, i) => {
+            cron[field.name] = parseCronField(fields[i], field);
+        });
+        // As in cron, when both day fields are restricted a day matching either one runs
+        cron.anyDay = !fields[2].startsWith('*') && !fields[4].startsWith('*');
+        cron.dayOfMonthAll = fields[2].startsWith('*');
+        return cron;
+    } catch (error) {
+        throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+}
+
+function dayMatches(cron, date) {
+    const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+    const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+    if (cron.anyDay) return dayOfMonth || dayOfWeek;
+    return cron.dayOfMonthAll ? dayOfWeek : dayOfMonth;
+}
+
+// The first minute after `from` that the expression matches, or null when it
+// never matches within five years (e.g. "0 0 30 2 *")
+function nextCronRun(expression, from = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!cron.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+// Check every schedule, collecting all problems into one error like crawl
+// profiles do. Profiles are loaded so a typo is caught at startup.
+async function validateSchedules(definition, source = 'schedules') {
+    const errors = [];
+    const list = Array.isArray(definition) ? definition : definition?.schedules;
+    if (!Array.isArray(list)) {
+        throw new Error(`Invalid schedules (${source}): expected { "schedules": [...] }`);
+    }
+
+    const names = new Set();
+    const schedules = [];
+    for (const [i, entry] of list.entries()) {
+        const label = `schedules[${i}]${typeof entry?.name === 'string' ? ` (${entry.name})` : ''}`;
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${label} must be an object`);
+            continue;
+        }
+
+        for (const field of Object.keys(entry)) {
+            if (!SCHEDULE_FIELDS.includes(field)) errors.push(`${label}: unknown field "${field}"`);
+        }
+        if (typeof entry.name !== 'string' || !SCHEDULE_NAME.test(entry.name)) {
+            errors.push(`${label}: name must contain only letters, digits, "-" and "_"`);
+        } else if (names.has(entry.name)) {
+            errors.push(`${label}: duplicate name`);
+        }
+        names.add(entry.name);
+
+        try {
+            if (!nextCronRun(parseCron(entry.cron))) errors.push(`${label}: cron expression "${entry.cron}" never matches`);
+        } catch (error) {
+            errors.push(`${label}: ${error.message}`);
+        }
+
+        const profile = entry.profile ?? 'default';
+        await loadCrawlProfile(profile).catch(error => errors.push(`${label}: ${error.message.split('\n')[0]}`));
+
+        for (const flag of ['force', 'enabled']) {
+            if (flag in entry && typeof entry[flag] !== 'boolean') errors.push(`${label}: ${flag} must be true or false`);
+        }
+        if ('fetchMode' in entry && !['auto', 'browser', 'static'].includes(entry.fetchMode)) {
+            errors.push(`${label}: fetchMode must be auto, browser or static`);
+        }
+
+        schedules.push({
+            name: entry.name,
+            description: entry.description || '',
+            cron: typeof entry.cron === 'string' ? entry.cron.trim() : entry.cron,
+            profile: profile,
+            fetchMode: entry.fetchMode || null,
+            force: entry.force === true,
+            enabled: entry.enabled !== false
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid schedules (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    return schedules;
+}
+
+// Schedules from a JSON file; a missing file means no schedules
+async function loadSchedules(filepath = SCHEDULES_FILE) {
+    let text;
+    try {
+        text = await fs.readFile(filepath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    let definition;
+    try {
+        definition = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid schedules file ${path.basename(filepath)}: ${error.message}`);
+    }
+    return validateSchedules(definition, path.basename(filepath));
+}
+
+// Runs schedules on their cron expressions through `startJob(schedule)`,
+// which starts a job in `jobs` (a JobManager) and may be async. A due run is
+// skipped, not queued, when another job is still running.
+class Scheduler {
+    constructor({ schedules, jobs, startJob, historyFile = null, historySize = 20, enabled = true }) {
+        this.jobs = jobs;
+        this.startJob = startJob;
+        this.historyFile = historyFile;
+        this.historySize = historySize; // Runs kept per schedule
+        this.enabled = enabled; // false: only manual runs
+        this.entries = new Map(schedules.map(schedule => [schedule.name, {
+            schedule: schedule,
+            cron: parseCron(schedule.cron),
+            nextRun: null,
+            timer: null,
+            history: []
+        }]));
+    }
+
+    async start() {
+        await this.loadHistory();
+        if (!this.enabled) return;
+        for (const entry of this.entries.values()) {
+            if (entry.schedule.enabled) this.plan(entry);
+        }
+    }
+
+    stop() {
+        for (const entry of this.entries.values()) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            entry.nextRun = null;
+        }
+    }
+
+    plan(entry, from = new Date()) {
+        entry.nextRun = nextCronRun(entry.cron, from);
+        if (!entry.nextRun) return;
+
+        const due = entry.nextRun;
+        const delay = due.getTime() - Date.now();
+        entry.timer = setTimeout(() => {
+            if (Date.now() < due.getTime()) {
+                // A wait longer than setTimeout allows
+                this.plan(entry, new Date(due.getTime() - 60 * 1000));
+                return;
+            }
+            this.fire(entry);
+            this.plan(entry, due);
+        }, Math.min(Math.max(delay, 0), MAX_TIMEOUT));
+        entry.timer.unref?.();
+    }
+
+    async fire(entry) {
+        try {
+            await this.run(entry.schedule.name, 'schedule');
+        } catch (error) {
+            const now = new Date().toISOString();
+            console.log(`⏭️ Skipped scheduled run of ${entry.schedule.name}: ${error.message}`);
+            this.record(entry, {
+                jobId: null,
+                trigger: 'schedule',
+                status: 'skipped',
+                startedAt: now,
+                finishedAt: now,
+                durationMs: 0,
+                error: error.message
+            });
+        }
+    }
+
+    // Start a run now and record its outcome once the job finishes. Returns the
+    // job; throws when the schedule is unknown or another job is running.
+    async run(name, trigger = 'manual') {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Schedule not found: ${name} (available: ${Array.from(this.entries.keys()).join(', ') || 'none'})`);
+        }
+
+        const job = await this.startJob(entry.schedule);
+        const run = {
+            jobId: job.id,
+            trigger: trigger,
+            status: 'running',
+            startedAt: job.createdAt,
+            finishedAt: null,
+            durationMs: null,
+            error: null
+        };
+        this.record(entry, run);
+
+        this.jobs.wait(job.id).then(finished => {
+            Object.assign(run, {
+                status: finished.status,
+                finishedAt: finished.finishedAt,
+                durationMs: new Date(finished.finishedAt) - new Date(run.startedAt),
+                error: finished.error,
+                snapshot: finished.result?.snapshot ?? null,
+                summary: finished.result?.summary ?? null
+            });
+            console.log(`⏰ Schedule ${name} ${run.status} in ${Math.round(run.durationMs / 1000)}s`);
+            return this.saveHistory();
+        });
+        return job;
+    }
+
+    record(entry, run) {
+        entry.history.unshift(run);
+        entry.history.length = Math.min(entry.history.length, this.historySize);
+        this.saveHistory();
+    }
+
+    describe(entry) {
+        return {
+            ...entry.schedule,
+            nextRun: entry.nextRun ? entry.nextRun.toISOString() : null,
+            lastRun: entry.history[0] || null
+        };
+    }
+
+    list() {
+        return Array.from(this.entries.values()).map(entry => this.describe(entry));
+    }
+
+    get(name) {
+        const entry = this.entries.get(name);
+        return entry ? { ...this.describe(entry), history: entry.history } : null;
+    }
+
+    async loadHistory() {
+        if (!this.historyFile) return;
+        const saved = await fs.readFile(this.historyFile, 'utf8').then(JSON.parse, () => ({}));
+        for (const [name, runs] of Object.entries(saved)) {
+            const entry = this.entries.get(name);
+            if (!entry || !Array.isArray(runs)) continue;
+            // Runs that were in progress when the server stopped
+            entry.history = runs.map(run => (run.status === 'running' ? { ...run, status: 'interrupted' } : run));
+        }
+    }
+
+    saveHistory() {
+        if (!this.historyFile) return Promise.resolve();
+        const history = Object.fromEntries(Array.from(this.entries, ([name, entry]) => [name, entry.history]));
+        const previousWrite = this.historyWrite || Promise.resolve();
+        this.historyWrite = previousWrite
+            .then(() => fs.mkdir(path.dirname(this.historyFile), { recursive: true }))
+            .then(() => fs.writeFile(this.historyFile, JSON.stringify(history, null, 2)))
+            .catch(error => console.error('⚠️ Failed to save schedule history:', error.message));
+        return this.historyWrite;
+    }
+}
+
+export { SCHEDULES_FILE, parseCron, nextCronRun, validateSchedules, loadSchedules, Scheduler };
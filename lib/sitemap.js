@@ -0,0 +1,70 @@
+import axios from 'axios';
+import zlib from 'zlib';
+import * as cheerio from 'cheerio';
+
+async function fetchSitemapXml(url) {
+    const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
+    });
+
+    let body = Buffer.from(response.data);
+    if (url.toLowerCase().endsWith('.gz') || (body[0] === 0x1f && body[1] === 0x8b)) {
+        body = zlib.gunzipSync(body);
+    }
+    return body.toString('utf8');
+}
+
+function parseSitemap(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    const sitemaps = $('sitemapindex > sitemap').map((i, el) => ({
+        loc: $(el).children('loc').text().trim(),
+        lastmod: $(el).children('lastmod').text().trim() || null
+    })).get().filter(entry => entry.loc);
+
+    const urls = $('urlset > url').map((i, el) => ({
+        loc: $(el).children('loc').text().trim(),
+        lastmod: $(el).children('lastmod').text().trim() || null,
+        changefreq: $(el).children('changefreq').text().trim() || null,
+        priority: parseFloat($(el).children('priority').text()) || null
+    })).get().filter(entry => entry.loc);
+
+    return { sitemaps, urls };
+}
+
+// Walk sitemaps and sitemap indexes breadth-first, returning every page URL
+// with its lastmod. Unreachable or malformed sitemaps are skipped.
+async function discoverSitemapUrls(sitemapUrls, { maxSitemaps = 25, maxUrls = 5000 } = {}) {
+    const queue = [...sitemapUrls];
+    const seenSitemaps = new Set();
+    const entries = new Map();
+
+    while (queue.length > 0 && seenSitemaps.size < maxSitemaps && entries.size < maxUrls) {
+        const sitemapUrl = queue.shift();
+        if (seenSitemaps.has(sitemapUrl)) continue;
+        seenSitemaps.add(sitemapUrl);
+
+        try {
+            const { sitemaps, urls } = parseSitemap(await fetchSitemapXml(sitemapUrl));
+            sitemaps.forEach(entry => queue.push(entry.loc));
+            for (const entry of urls) {
+                if (entries.size >= maxUrls) break;
+                if (!entries.has(entry.loc)) {
+                    entries.set(entry.loc, { ...entry, sitemap: sitemapUrl });
+                }
+            }
+            console.log(`🗺️ Sitemap ${sitemapUrl}: ${urls.length} URLs, ${sitemaps.length} nested sitemaps`);
+        } catch (error) {
+            console.warn(`⚠️ Could not read sitemap ${sitemapUrl}: ${error.message}`);
+        }
+    }
+
+    return {
+        sitemaps: Array.from(seenSitemaps),
+        urls: Array.from(entries.values())
+    };
+}
+
+export { discoverSitemapUrls, parseSitemap };
@@ -0,0 +1,209 @@
+import { listSnapshots, loadSnapshot, loadSnapshotManifest, findSnapshot, snapshotProfile } from './snapshots.js';
+import { tryCanonicalizeUrl } from './urlUtils.js';
+import { tableToText } from './tables.js';
+import { categoriesOf } from './categorizer.js';
+
+// Differences between two snapshots, matched by canonical URL: pages added,
+// removed and modified (with a block-level text diff), category moves (the
+// labels added and removed), and PDFs/attachments added or removed.
+
+const MAX_DIFF_LINES = 50;
+// Above this many line pairs the LCS table gets too big; fall back to set difference
+const MAX_LCS_CELLS = 4_000_000;
+
+function keyed(items = []) {
+    const map = new Map();
+    for (const item of items) {
+        const url = tryCanonicalizeUrl(item.url) || item.url;
+        if (url && !map.has(url)) map.set(url, item);
+    }
+    return map;
+}
+
+// The text blocks of a page in reading order, one diff line each
+function pageLines(page) {
+    return [
+        page.title,
+        ...(page.headings || []).map(h => `${'#'.repeat(h.level || 1)} ${h.text}`),
+        ...(page.rawContent || (page.content ? [page.content] : [])),
+        ...(page.lists || []).flat().map(item => `• ${item}`),
+        ...(page.tables || []).flatMap(table => tableToText(table).split('\n'))
+    ].map(line => (line || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+// Changed lines in document order, "+ " for added and "- " for removed
+function diffLines(before, after) {
+    if (before.length * after.length > MAX_LCS_CELLS) {
+        const beforeSet = new Set(before);
+        const afterSet = new Set(after);
+        return [
+            ...before.filter(line => !afterSet.has(line)).map(line => `- ${line}`),
+            ...after.filter(line => !beforeSet.has(line)).map(line => `+ ${line}`)
+        ];
+    }
+
+    // Longest common subsequence, filled from the end so the walk below goes forwards
+    const lcs = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lcs[i][j] = before[i] === after[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+        if (before[i] === after[j]) {
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            changes.push(`- ${before[i++]}`);
+        } else {
+            changes.push(`+ ${after[j++]}`);
+        }
+    }
+    while (i < before.length) changes.push(`- ${before[i++]}`);
+    while (j < after.length) changes.push(`+ ${after[j++]}`);
+    return changes;
+}
+
+const pageSummary = (url, page) => ({ url: url, title: page.title, category: page.category, categories: categoriesOf(page), wordCount: page.wordCount });
+const documentSummary = (url, doc) => ({ url: url, title: doc.title, category: doc.category, categories: categoriesOf(doc), pages: doc.pages ?? null });
+
+// Labels gained and lost between two records; null when neither the labels
+// nor the primary category changed
+function categoryMove(previous, current) {
+    const before = categoriesOf(previous);
+    const after = categoriesOf(current);
+    const added = after.filter(category => !before.includes(category));
+    const removed = before.filter(category => !after.includes(category));
+    if (added.length === 0 && removed.length === 0 && before[0] === after[0]) return null;
+    return { from: before[0], to: after[0], added: added, removed: removed };
+}
+
+function diffDocuments(fromDocs, toDocs) {
+    const before = keyed(fromDocs);
+    const after = keyed(toDocs);
+    return {
+        added: [...after].filter(([url]) => !before.has(url)).map(([url, doc]) => documentSummary(url, doc)),
+        removed: [...before].filter(([url]) => !after.has(url)).map(([url, doc]) => documentSummary(url, doc)),
+        modified: [...after]
+            .filter(([url, doc]) => before.has(url) &&
+                doc.validators?.contentHash && before.get(url).validators?.contentHash &&
+                doc.validators.contentHash !== before.get(url).validators.contentHash)
+            .map(([url, doc]) => documentSummary(url, doc))
+    };
+}
+
+// options: { maxDiffLines } caps the text diff kept per modified page
+function diffSnapshots(fromData, toData, { maxDiffLines = MAX_DIFF_LINES } = {}) {
+    const before = keyed(fromData.pages);
+    const after = keyed(toData.pages);
+
+    const pages = { added: [], removed: [], modified: [] };
+    const categoryMoves = [];
+
+    for (const [url, page] of after) {
+        if (!before.has(url)) {
+            pages.added.push(pageSummary(url, page));
+            continue;
+        }
+
+        const previous = before.get(url);
+        const move = categoryMove(previous, page);
+        if (move) categoryMoves.push({ url: url, title: page.title, ...move });
+
+        const sameHash = previous.validators?.contentHash && previous.validators.contentHash === page.validators?.contentHash;
+        if (sameHash) continue;
+
+        const changes = diffLines(pageLines(previous), pageLines(page));
+        if (changes.length === 0 && previous.content === page.content) continue;
+
+        pages.modified.push({
+            ...pageSummary(url, page),
+            previousTitle: previous.title !== page.title ? previous.title : undefined,
+            wordCountDelta: (page.wordCount || 0) - (previous.wordCount || 0),
+            linesAdded: changes.filter(line => line.startsWith('+')).length,
+            linesRemoved: changes.filter(line => line.startsWith('-')).length,
+            textDiff: changes.slice(0, maxDiffLines),
+            truncated: changes.length > maxDiffLines
+        });
+    }
+
+    for (const [url, page] of before) {
+        if (!after.has(url)) pages.removed.push(pageSummary(url, page));
+    }
+
+    const pdfs = diffDocuments(fromData.documents?.pdfs, toData.documents?.pdfs);
+    const attachments = diffDocuments(fromData.documents?.other, toData.documents?.other);
+
+    return {
+        from: { timestamp: fromData.metadata?.timestamp, pages: before.size, pdfs: fromData.documents?.pdfs?.length || 0 },
+        to: { timestamp: toData.metadata?.timestamp, pages: after.size, pdfs: toData.documents?.pdfs?.length || 0 },
+        summary: {
+            pagesAdded: pages.added.length,
+            pagesRemoved: pages.removed.length,
+            pagesModified: pages.modified.length,
+            categoryMoves: categoryMoves.length,
+            pdfsAdded: pdfs.added.length,
+            pdfsRemoved: pdfs.removed.length,
+            pdfsModified: pdfs.modified.length,
+            attachmentsAdded: attachments.added.length,
+            attachmentsRemoved: attachments.removed.length
+        },
+        pages: pages,
+        categoryMoves: categoryMoves,
+        pdfs: pdfs,
+        attachments: attachments
+    };
+}
+
+// Resolve snapshot filenames in dataDir. `to` defaults to the latest complete
+// crawl and `from` to the snapshot before `to` crawled with the same profile,
+// so a partial crawl (such as the nightly notices) is never compared with a full one.
+async function resolveSnapshotPair(dataDir, from, to) {
+    const snapshots = await listSnapshots(dataDir);
+
+    let toSnapshot = to ? await findSnapshot(dataDir, to) : null;
+    if (!to) {
+        for (const snapshot of snapshots) {
+            const manifest = await loadSnapshotManifest(snapshot).catch(() => null);
+            if (manifest && !manifest.metadata?.partial) {
+                toSnapshot = snapshot;
+                break;
+            }
+        }
+        if (!toSnapshot) throw new Error(`Snapshot not found: no complete crawl in ${dataDir}`);
+    }
+
+    let fromSnapshot = from ? await findSnapshot(dataDir, from) : null;
+    if (!from) {
+        const profile = await snapshotProfile(toSnapshot);
+        const older = snapshots.slice(snapshots.findIndex(s => s.filename === toSnapshot.filename) + 1);
+        for (const snapshot of older) {
+            if (await snapshotProfile(snapshot).catch(() => null) === profile) {
+                fromSnapshot = snapshot;
+                break;
+            }
+        }
+        if (!fromSnapshot) throw new Error(`Snapshot not found: no ${profile} snapshot older than ${toSnapshot.filename}`);
+    }
+
+    return { from: fromSnapshot, to: toSnapshot };
+}
+
+async function diffSnapshotFiles(dataDir, from, to, options = {}) {
+    const pair = await resolveSnapshotPair(dataDir, from, to);
+    const [fromData, toData] = await Promise.all([loadSnapshot(pair.from.filepath), loadSnapshot(pair.to.filepath)]);
+    const diff = diffSnapshots(fromData, toData, options);
+    return {
+        ...diff,
+        from: { filename: pair.from.filename, ...diff.from },
+        to: { filename: pair.to.filename, ...diff.to }
+    };
+}
+
+export { diffSnapshots, diffSnapshotFiles, resolveSnapshotPair };
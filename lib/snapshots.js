@@ -0,0 +1,368 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip, createGunzip } from 'zlib';
+import { categoriesOf } from './categorizer.js';
+import { DEFAULT_PROFILE } from './crawlProfiles.js';
+
+// Snapshots written by NITJSRScraper.saveData() are two files named after the
+// crawl's timestamp, so a reverse name sort is newest first:
+//   <name>.manifest.json  metadata, statistics, change summary and record counts
+//   <name>.ndjson.gz      one { section, record } line per page, document, link and fetch log entry
+// Pages are stored once; `categories` is rebuilt from each page's labels on
+// load. Legacy snapshots (<name>.json, the whole crawl in one JSON document)
+// are still listed and loaded.
+
+const SNAPSHOT_PREFIX = 'nitjsr_';
+const MANIFEST_SUFFIX = '.manifest.json';
+const RECORDS_SUFFIX = '.ndjson.gz';
+const FORMAT = 'nitjsr-snapshot';
+const FORMAT_VERSION = 2;
+
+// Arrays streamed as records; everything else in a crawl goes into the manifest
+const RECORD_SECTIONS = [
+    'pages',
+    'documents.pdfs', 'documents.images', 'documents.other',
+    'links.internal', 'links.external', 'links.pdf', 'links.attachment', 'links.image',
+    'fetchLog'
+];
+
+const DEFAULT_RETENTION = {
+    keepLast: 10, // Newest snapshots always kept
+    keepMonthly: 12 // Plus the newest snapshot of each of this many months
+};
+
+const getSection = (data, section) => section.split('.').reduce((value, key) => value?.[key], data);
+
+// Snapshot name without extension: the key of its files and derived datasets
+function snapshotName(filename) {
+    const base = path.basename(filename);
+    for (const suffix of [MANIFEST_SUFFIX, RECORDS_SUFFIX, '.json']) {
+        if (base.endsWith(suffix)) return base.slice(0, -suffix.length);
+    }
+    return base;
+}
+
+// Crawl time encoded in a snapshot name, or null
+function snapshotDate(name) {
+    const match = name.match(/(\d{4})-(\d{2})-(\d{2})T(\d{2})_(\d{2})_(\d{2})_(\d{3})Z/);
+    if (!match) return null;
+    const [year, month, day, hour, minute, second, ms] = match.slice(1).map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second, ms));
+}
+
+// Manifest of a crawl: everything but the record sections and `categories`,
+// which is reduced to page counts
+function buildManifest(data, name) {
+    const { pages, documents, links, fetchLog, categories, ...rest } = data;
+    const counts = {};
+    for (const section of RECORD_SECTIONS) {
+        const records = getSection(data, section);
+        if (Array.isArray(records)) counts[section] = records.length;
+    }
+
+    return {
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        name: name,
+        records: `${name}${RECORDS_SUFFIX}`,
+        ...rest,
+        categories: Object.fromEntries(Object.entries(categories || {}).map(([category, list]) => [category, list.length])),
+        counts: counts
+    };
+}
+
+async function* recordLines(data) {
+    for (const section of RECORD_SECTIONS) {
+        for (const record of getSection(data, section) || []) {
+            yield `${JSON.stringify({ section, record })}\n`;
+        }
+    }
+}
+
+// Write a crawl as <name>.ndjson.gz and <name>.manifest.json. The manifest is
+// written last, so a snapshot is only listed once both files are complete.
+async function writeSnapshot(dataDir, name, data) {
+    await fs.mkdir(dataDir, { recursive: true });
+    const recordsPath = path.join(dataDir, `${name}${RECORDS_SUFFIX}`);
+    const filepath = path.join(dataDir, `${name}${MANIFEST_SUFFIX}`);
+
+    await pipeline(Readable.from(recordLines(data)), createGzip(), createWriteStream(`${recordsPath}.tmp`));
+    await fs.rename(`${recordsPath}.tmp`, recordsPath);
+
+    const manifest = {
+        ...buildManifest(data, name),
+        recordsBytes: (await fs.stat(recordsPath)).size
+    };
+    await fs.writeFile(`${filepath}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+    await fs.rename(`${filepath}.tmp`, filepath);
+
+    return { name, filename: path.basename(filepath), filepath, manifest };
+}
+
+async function readManifest(filepath) {
+    const manifest = JSON.parse(await fs.readFile(filepath, 'utf8'));
+    if (manifest.format !== FORMAT) {
+        throw new Error(`${path.basename(filepath)} is not a snapshot manifest`);
+    }
+    if (manifest.version > FORMAT_VERSION) {
+        throw new Error(`${path.basename(filepath)} uses snapshot format version ${manifest.version}; this version reads up to ${FORMAT_VERSION}`);
+    }
+    return manifest;
+}
+
+// Stream the { section, record } entries of a snapshot without loading it all
+async function* readSnapshotRecords(filepath) {
+    if (!filepath.endsWith(MANIFEST_SUFFIX)) {
+        const data = await loadSnapshot(filepath);
+        for (const section of RECORD_SECTIONS) {
+            for (const record of getSection(data, section) || []) yield { section, record };
+        }
+        return;
+    }
+
+    const manifest = await readManifest(filepath);
+    // pipeline() passes a missing file or a corrupt archive on as an error of the read
+    const input = createGunzip();
+    const reading = pipeline(createReadStream(path.join(path.dirname(filepath), manifest.records)), input);
+    reading.catch(() => {}); // Rethrown below, or caused by stopping early
+    try {
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (line.trim()) yield JSON.parse(line);
+        }
+        await reading;
+    } finally {
+        input.destroy();
+    }
+}
+
+// The whole crawl, as saveData() had it in memory, from either format
+async function loadSnapshot(filepath) {
+    if (!filepath.endsWith(MANIFEST_SUFFIX)) {
+        return JSON.parse(await fs.readFile(filepath, 'utf8'));
+    }
+
+    const { format, version, name, records, counts, recordsBytes, categories, ...data } = await readManifest(filepath);
+    for (const section of Object.keys(counts)) {
+        const [key, sub] = section.split('.');
+        if (sub) {
+            data[key] = data[key] || {};
+            data[key][sub] = [];
+        } else {
+            data[key] = [];
+        }
+    }
+    for await (const { section, record } of readSnapshotRecords(filepath)) {
+        getSection(data, section).push(record);
+    }
+
+    data.categories = Object.fromEntries(Object.keys(categories || {}).map(category => [category, []]));
+    for (const page of data.pages || []) {
+        for (const category of categoriesOf(page)) {
+            (data.categories[category] = data.categories[category] || []).push(page);
+        }
+    }
+    return data;
+}
+
+// Manifests built for legacy snapshots, which have none on disk: filepath ->
+// { mtimeMs, manifest }, so each file is only parsed again once it changes
+const legacyManifests = new Map();
+
+// Manifest of a snapshot of either format. Legacy snapshots are parsed in full
+// to build one (unless their crawl is passed in as `data`) and it is cached.
+async function loadSnapshotManifest(snapshot, data = null) {
+    if (snapshot.format !== 'legacy') {
+        return readManifest(snapshot.filepath);
+    }
+    const { mtimeMs } = await fs.stat(snapshot.filepath);
+    const cached = legacyManifests.get(snapshot.filepath);
+    if (cached?.mtimeMs === mtimeMs) return cached.manifest;
+
+    const manifest = {
+        ...buildManifest(data || await loadSnapshot(snapshot.filepath), snapshot.name),
+        version: 1,
+        records: snapshot.filename
+    };
+    legacyManifests.set(snapshot.filepath, { mtimeMs, manifest });
+    return manifest;
+}
+
+
+// Snapshots in dataDir, newest first, as { name, filename, filepath, format }.
+// Other JSON files and the derived dataset subdirectories are ignored.
+async function listSnapshots(dataDir) {
+    const files = await fs.readdir(dataDir).catch(() => []);
+    const snapshots = new Map();
+
+    for (const file of files) {
+        if (!file.startsWith(SNAPSHOT_PREFIX)) continue;
+        if (file.endsWith(MANIFEST_SUFFIX)) {
+            snapshots.set(snapshotName(file), 'ndjson');
+        } else if (file.endsWith('.json') && !snapshots.has(snapshotName(file))) {
+            snapshots.set(snapshotName(file), 'legacy');
+        }
+    }
+
+    return Array.from(snapshots.entries())
+        .sort(([a], [b]) => b.localeCompare(a))
+        .map(([name, format]) => {
+            const filename = format === 'legacy' ? `${name}.json` : `${name}${MANIFEST_SUFFIX}`;
+            return { name, filename, filepath: path.join(dataDir, filename), format };
+        });
+}
+
+// Crawl profile a snapshot was made with; snapshots from before crawl profiles
+// were full crawls with the default profile
+const manifestProfile = manifest => manifest.metadata?.profile || DEFAULT_PROFILE.name;
+
+async function snapshotProfile(snapshot) {
+    return manifestProfile(await loadSnapshotManifest(snapshot));
+}
+
+// The newest readable snapshot. options: { profile } only considers snapshots
+// crawled with that profile, { complete: true } skips partial crawls (profiles
+// whose `include` patterns limit them to part of the site), { before: name }
+// only considers snapshots older than the named one.
+async function loadLatestSnapshot(dataDir, { profile = null, complete = false, before = null } = {}) {
+    const snapshots = await listSnapshots(dataDir);
+    for (const snapshot of snapshots) {
+        if (before && snapshot.name.localeCompare(before) >= 0) continue;
+        try {
+            // A legacy snapshot not seen before is parsed once, for its manifest and its data
+            const data = snapshot.format === 'legacy' && !legacyManifests.has(snapshot.filepath)
+                ? await loadSnapshot(snapshot.filepath)
+                : null;
+            if (profile || complete) {
+                const manifest = await loadSnapshotManifest(snapshot, data);
+                if (profile && manifestProfile(manifest) !== profile) continue;
+                if (complete && manifest.metadata?.partial) continue;
+            }
+            return { ...snapshot, data: data || await loadSnapshot(snapshot.filepath) };
+        } catch (error) {
+            console.error(`Error reading ${snapshot.filename}:`, error.message);
+        }
+    }
+    return null;
+}
+
+// Look up a snapshot by name or filename (the extension is optional). Names
+// containing a path are rejected so callers can pass user input straight in.
+async function findSnapshot(dataDir, name) {
+    if (path.basename(name) !== name) {
+        throw new Error(`Invalid snapshot name "${name}"`);
+    }
+    const snapshots = await listSnapshots(dataDir);
+    const snapshot = snapshots.find(s => s.filename === name || s.name === snapshotName(name));
+    if (!snapshot) throw new Error(`Snapshot not found: ${name}`);
+    return snapshot;
+}
+
+// Fill in and check a retention policy; values may be strings from the
+// environment or the command line
+function parseRetention(policy = {}) {
+    const retention = { ...DEFAULT_RETENTION };
+    for (const [key, min] of [['keepLast', 1], ['keepMonthly', 0]]) {
+        const value = policy[key];
+        if (value === undefined || value === null || value === '') continue;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min) {
+            throw new Error(`Invalid retention: ${key} must be an integer >= ${min}, got "${value}"`);
+        }
+        retention[key] = number;
+    }
+    return retention;
+}
+
+// The policy when keepLast or keepMonthly is set, otherwise null: snapshots
+// are only pruned after a crawl when a policy was asked for
+function optionalRetention(policy = {}) {
+    const given = Object.keys(DEFAULT_RETENTION).some(key => policy[key] !== undefined && policy[key] !== null && policy[key] !== '');
+    return given ? parseRetention(policy) : null;
+}
+
+// Snapshots (newest first, from listSnapshots) that a retention policy drops:
+// all but the newest `keepLast` and the newest one of each of the latest
+// `keepMonthly` months. Snapshots without a timestamp in their name are kept.
+function selectSnapshotsToPrune(snapshots, retention = DEFAULT_RETENTION) {
+    const keep = new Set(snapshots.slice(0, retention.keepLast).map(snapshot => snapshot.name));
+    const months = new Set();
+
+    for (const snapshot of snapshots) {
+        const date = snapshotDate(snapshot.name);
+        if (!date) {
+            keep.add(snapshot.name);
+            continue;
+        }
+        const month = date.toISOString().slice(0, 7);
+        if (!months.has(month) && months.size < retention.keepMonthly) {
+            months.add(month);
+            keep.add(snapshot.name);
+        }
+    }
+
+    return snapshots.filter(snapshot => !keep.has(snapshot.name));
+}
+
+// Apply a retention policy to the snapshots of each crawl profile in dataDir
+// separately, so frequent small crawls do not push out the full crawls, and
+// delete each dropped snapshot's files and its derived datasets (placements/,
+// faculty/, notices/). Returns the dropped snapshots, with their `profile`.
+async function pruneSnapshots(dataDir, retention = DEFAULT_RETENTION, { dryRun = false } = {}) {
+    const byProfile = new Map();
+    for (const snapshot of await listSnapshots(dataDir)) {
+        const profile = await snapshotProfile(snapshot).catch(() => null);
+        if (profile === null) continue; // Unreadable snapshots are left alone
+        byProfile.set(profile, [...(byProfile.get(profile) || []), { ...snapshot, profile }]);
+    }
+    const pruned = Array.from(byProfile.values())
+        .flatMap(snapshots => selectSnapshotsToPrune(snapshots, retention))
+        .sort((a, b) => b.name.localeCompare(a.name));
+    if (dryRun || pruned.length === 0) return pruned;
+
+    const entries = await fs.readdir(dataDir, { withFileTypes: true });
+    const subdirs = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+
+    for (const snapshot of pruned) {
+        const files = snapshot.format === 'legacy'
+            ? [snapshot.filepath]
+            : [snapshot.filepath, path.join(dataDir, `${snapshot.name}${RECORDS_SUFFIX}`)];
+        files.push(...subdirs.map(dir => path.join(dataDir, dir, `${snapshot.name}.json`)));
+        await Promise.all(files.map(file => fs.rm(file, { force: true })));
+        legacyManifests.delete(snapshot.filepath);
+    }
+    return pruned;
+}
+
+// Rewrite a legacy JSON snapshot in the current format under the same name
+// (so its derived datasets still match) and remove the JSON file
+async function migrateSnapshot(snapshot) {
+    if (snapshot.format !== 'legacy') return null;
+    const written = await writeSnapshot(path.dirname(snapshot.filepath), snapshot.name, await loadSnapshot(snapshot.filepath));
+    await fs.rm(snapshot.filepath);
+    legacyManifests.delete(snapshot.filepath);
+    return written;
+}
+
+export {
+    DEFAULT_RETENTION,
+    snapshotName,
+    snapshotDate,
+    writeSnapshot,
+    readSnapshotRecords,
+    loadSnapshot,
+    loadSnapshotManifest,
+    listSnapshots,
+    snapshotProfile,
+    loadLatestSnapshot,
+    findSnapshot,
+    parseRetention,
+    optionalRetention,
+    selectSnapshotsToPrune,
+    pruneSnapshots,
+    migrateSnapshot
+};
@@ -0,0 +1,170 @@
+import * as cheerio from 'cheerio';
+
+// Mirrors the in-browser extraction in NITJSRScraper.fetchWithBrowser() so that
+// pages fetched over plain HTTP produce the same pageData shape.
+function extractStaticPageData(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template').remove();
+
+    const text = element => $(element).text().trim();
+
+    const data = {
+        title: $('title').first().text().replace(/\s+/g, ' ').trim(),
+        headings: [],
+        content: [],
+        links: [],
+        metadata: {
+            description: $('meta[name="description"]').attr('content') || '',
+            keywords: $('meta[name="keywords"]').attr('content') || '',
+            lang: $('html').attr('lang') || '',
+            // Other language versions of the page
+            alternates: $('link[rel="alternate"][hreflang]').map((i, link) => ({
+                hreflang: $(link).attr('hreflang'),
+                href: $(link).attr('href')
+            })).get().filter(alternate => alternate.href)
+        },
+        tables: [],
+        lists: [],
+        profileCards: []
+    };
+
+    $('h1, h2, h3, h4, h5, h6').each((i, heading) => {
+        data.headings.push({
+            level: parseInt(heading.tagName.charAt(1)),
+            text: text(heading),
+            id: $(heading).attr('id') || null
+        });
+    });
+
+    const contentSelectors = [
+        'p', 'div.content', '.main-content', '.page-content', '.article-content',
+        '.description', '.info', '.details', '.summary',
+        'article', 'section', '.text-content'
+    ];
+
+    // Site chrome never holds page content
+    const chromeSelector = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"]';
+
+    // Nearest heading before an element in document order, used to label tables without a caption
+    const precedingHeading = element => {
+        for (let node = $(element); node.length && !node.is('body'); node = node.parent()) {
+            for (const sibling of node.prevAll().toArray()) {
+                const heading = $(sibling).is('h1, h2, h3, h4, h5, h6')
+                    ? $(sibling)
+                    : $(sibling).find('h1, h2, h3, h4, h5, h6').last();
+                if (heading.length) return text(heading);
+            }
+        }
+        return '';
+    };
+
+    const candidates = [];
+    contentSelectors.forEach(selector => {
+        $(selector).each((i, element) => {
+            if (!candidates.includes(element) && $(element).closest(chromeSelector).length === 0) {
+                candidates.push(element);
+            }
+        });
+    });
+    const candidateSet = new Set(candidates);
+
+    // Text of an element excluding nested candidates, so a section is not
+    // collected again with the paragraphs it contains
+    const ownText = node => (node.children || []).map(child => {
+        if (child.type === 'text') return child.data;
+        if (child.type !== 'tag') return '';
+        if (candidateSet.has(child)) return ' ';
+        return ownText(child);
+    }).join('');
+
+    candidates.forEach(element => {
+        const content = ownText(element).replace(/\s+/g, ' ').trim();
+        if (content && content.length > 30 && !data.content.some(existing => existing.includes(content.substring(0, 50)))) {
+            data.content.push(content);
+        }
+    });
+
+    // Raw cells with span and header markup; lib/tables.js builds the grid.
+    // Layout tables that wrap other tables are skipped, the inner ones are kept.
+    $('table').each((i, table) => {
+        if ($(table).closest(chromeSelector).length > 0 || $(table).find('table').length > 0) return;
+
+        const rows = [];
+        $(table).find('tr').filter((j, row) => $(row).closest('table')[0] === table).each((j, row) => {
+            const cells = $(row).children('td, th').map((k, cell) => ({
+                text: text(cell),
+                header: cell.tagName === 'th',
+                rowspan: $(cell).attr('rowspan') || 1,
+                colspan: $(cell).attr('colspan') || 1
+            })).get();
+            if (cells.length > 0) rows.push({ inHead: $(row).parent().is('thead'), cells: cells });
+        });
+
+        if (rows.length > 0) {
+            data.tables.push({
+                caption: text($(table).children('caption').first()),
+                heading: precedingHeading(table),
+                rows: rows
+            });
+        }
+    });
+
+    $('ul, ol').each((i, list) => {
+        if ($(list).closest(chromeSelector).length > 0) return;
+        const listItems = [];
+        $(list).find('li').each((j, item) => {
+            const content = text(item);
+            if (content && content.length > 10) listItems.push(content);
+        });
+        if (listItems.length > 0) data.lists.push(listItems);
+    });
+
+    // Person cards on faculty/people pages: the largest element around a single
+    // short designation line. Tables are left to the table extraction above.
+    const designationPattern = /\b(professor|lecturer|head of (the )?department|hod|dean|director|registrar|scientist)\b/i;
+    const blockTags = /^(address|article|blockquote|dd|div|dl|dt|figcaption|figure|h[1-6]|li|ol|p|pre|section|ul|br|hr)$/;
+    const lineText = node => (node.children || []).map(child => {
+        if (child.type === 'text') return child.data;
+        if (child.type !== 'tag') return '';
+        return blockTags.test(child.tagName) ? `\n${lineText(child)}\n` : lineText(child);
+    }).join('');
+    const linesOf = element => lineText(element).split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const isCard = element => {
+        if (!element || element.type !== 'tag' || element.tagName === 'body' || $(element).text().length > 1000) return false;
+        return linesOf(element).filter(line => line.length < 120 && designationPattern.test(line)).length === 1;
+    };
+
+    $('body *').each((i, element) => {
+        if ($(element).closest(`${chromeSelector}, table`).length > 0) return;
+        if (!isCard(element) || isCard(element.parent)) return;
+
+        const hrefs = $(element).find('a[href]').map((j, link) => ({ href: $(link).attr('href'), text: text(link) })).get();
+        data.profileCards.push({
+            lines: linesOf(element),
+            emails: hrefs.filter(link => /^mailto:/i.test(link.href)).map(link => link.href.replace(/^mailto:/i, '').split('?')[0]),
+            phones: hrefs.filter(link => /^tel:/i.test(link.href)).map(link => link.href.replace(/^tel:/i, '')),
+            links: hrefs.filter(link => !/^(mailto|tel|javascript):/i.test(link.href))
+        });
+    });
+
+    $('a[href]').each((i, link) => {
+        const href = $(link).attr('href');
+        const linkText = text(link);
+        if (href) {
+            const parent = $(link).parent();
+            data.links.push({
+                href: href,
+                text: linkText || href,
+                title: $(link).attr('title') || '',
+                className: $(link).attr('class') || '',
+                parentText: parent.length ? parent.text().trim().substring(0, 100) : '',
+                // The list item or row a link sits in; notices keep their date there
+                itemText: $(link).closest('li, tr, p, dd, article').text().replace(/\s+/g, ' ').trim().substring(0, 300)
+            });
+        }
+    });
+
+    return data;
+}
+
+export { extractStaticPageData };
@@ -0,0 +1,140 @@
+// Table normalization shared by the browser and static extractors. Both
+// extractors capture tables as raw rows of cells ({ text, header, rowspan,
+// colspan }) and hand them here, where merged cells are expanded into a
+// rectangular grid, header rows are detected and body rows become records.
+
+const MAX_SPAN = 100;
+
+// "112", "52 LPA", "₹ 12,00,000", "87.5%"
+const isNumeric = value => /^[^A-Za-z]*\d[^A-Za-z]*(lpa|lakhs?|cr|k)?$/i.test(value.trim());
+
+function clampSpan(value) {
+    const span = parseInt(value, 10);
+    return Number.isFinite(span) && span > 1 ? Math.min(span, MAX_SPAN) : 1;
+}
+
+// Lay raw rows out on a grid, copying rowspan/colspan cells into every slot they cover
+function expandSpans(rawRows) {
+    const grid = [];
+    const headerGrid = [];
+
+    rawRows.forEach((row, rowIndex) => {
+        grid[rowIndex] = grid[rowIndex] || [];
+        headerGrid[rowIndex] = headerGrid[rowIndex] || [];
+
+        let column = 0;
+        for (const cell of row.cells) {
+            while (grid[rowIndex][column] !== undefined) column++;
+
+            const rowspan = Math.min(clampSpan(cell.rowspan), rawRows.length - rowIndex);
+            const colspan = clampSpan(cell.colspan);
+            const text = (cell.text || '').replace(/\s+/g, ' ').trim();
+            const header = Boolean(cell.header || row.inHead);
+
+            for (let r = 0; r < rowspan; r++) {
+                grid[rowIndex + r] = grid[rowIndex + r] || [];
+                headerGrid[rowIndex + r] = headerGrid[rowIndex + r] || [];
+                for (let c = 0; c < colspan; c++) {
+                    grid[rowIndex + r][column + c] = text;
+                    headerGrid[rowIndex + r][column + c] = header;
+                }
+            }
+            column += colspan;
+        }
+    });
+
+    const width = Math.max(0, ...grid.map(row => row.length));
+    return {
+        grid: grid.map(row => Array.from({ length: width }, (_, i) => row[i] ?? '')),
+        headerGrid: headerGrid.map(row => Array.from({ length: width }, (_, i) => row[i] ?? false))
+    };
+}
+
+// Leading rows made only of <th> cells (or inside <thead>) are headers. Tables
+// without any markup get their first row promoted when it looks like labels.
+function countHeaderRows(grid, headerGrid) {
+    let count = 0;
+    while (count < grid.length - 1 && headerGrid[count].every(Boolean)) count++;
+    if (count > 0) return count;
+
+    const first = grid[0] || [];
+    const labels = first.filter(Boolean);
+    const looksLikeLabels = grid.length > 1 &&
+        first.length > 1 &&
+        labels.length === first.length &&
+        new Set(labels).size === labels.length &&
+        !labels.some(isNumeric) &&
+        grid.slice(1).some(row => row.some(isNumeric));
+    return looksLikeLabels ? 1 : 0;
+}
+
+// "Placement 2024" over "Offers" becomes "Placement 2024 - Offers"; a cell
+// repeated by rowspan or colspan is only used once per column
+function buildHeaders(headerRows, width) {
+    return Array.from({ length: width }, (_, column) => {
+        const parts = [];
+        headerRows.forEach(row => {
+            const text = row[column];
+            if (text && parts[parts.length - 1] !== text) parts.push(text);
+        });
+        return parts.join(' - ') || `Column ${column + 1}`;
+    });
+}
+
+// raw: { caption, heading, rows: [{ inHead, cells: [{ text, header, rowspan, colspan }] }] }
+function normalizeTable(raw) {
+    const { grid, headerGrid } = expandSpans(raw.rows || []);
+    const rowsWithText = grid.map((row, i) => ({ row, header: headerGrid[i] }))
+        .filter(({ row }) => row.some(Boolean));
+    if (rowsWithText.length === 0) return null;
+
+    const cleanGrid = rowsWithText.map(entry => entry.row);
+    const headerCount = countHeaderRows(cleanGrid, rowsWithText.map(entry => entry.header));
+    const width = cleanGrid[0].length;
+
+    return {
+        caption: (raw.caption || '').replace(/\s+/g, ' ').trim(),
+        heading: (raw.heading || '').replace(/\s+/g, ' ').trim(),
+        headers: headerCount > 0 ? buildHeaders(cleanGrid.slice(0, headerCount), width) : [],
+        rows: cleanGrid.slice(headerCount)
+    };
+}
+
+// Snapshots from before table normalization stored tables as arrays of rows
+function asTable(table) {
+    if (!Array.isArray(table)) return table;
+    return normalizeTable({
+        rows: table.map(row => ({ cells: row.map(text => ({ text: text })) }))
+    }) || { caption: '', heading: '', headers: [], rows: [] };
+}
+
+// One self-describing line per body row: "Branch: CSE, Offers: 112, Highest CTC: 52 LPA"
+function tableRecords(table) {
+    const normalized = asTable(table);
+    return normalized.rows.map(row => {
+        if (normalized.headers.length === 0) {
+            return row.filter(Boolean).join(' | ');
+        }
+        return row
+            .map((value, i) => (value && value !== normalized.headers[i] ? `${normalized.headers[i]}: ${value}` : ''))
+            .filter(Boolean)
+            .join(', ');
+    }).filter(Boolean);
+}
+
+function tableLabel(table) {
+    const normalized = asTable(table);
+    return normalized.caption || normalized.heading || '';
+}
+
+// Caption, heading, column names and records as plain text
+function tableToText(table) {
+    const normalized = asTable(table);
+    return [
+        tableLabel(normalized) ? `Table: ${tableLabel(normalized)}` : '',
+        normalized.headers.length > 0 ? `Columns: ${normalized.headers.join(' | ')}` : '',
+        ...tableRecords(normalized)
+    ].filter(Boolean).join('\n');
+}
+
+export { normalizeTable, asTable, tableRecords, tableLabel, tableToText };
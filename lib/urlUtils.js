@@ -0,0 +1,74 @@
+// Query parameters that only track where a visitor came from and never change page content
+const TRACKING_PARAMS = [
+    /^utm_/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^msclkid$/i,
+    /^mc_(cid|eid)$/i, /^_ga$/i, /^_gl$/i, /^ref$/i, /^source$/i
+];
+
+const INDEX_PAGE = /\/(index|default)\.(html?|php|aspx?)$/i;
+
+// Normalize a URL so the same page is only ever queued once: https scheme,
+// no `www.`, no fragment, default port, tracking params or trailing slash,
+// sorted query string and collapsed duplicate slashes. This is a key for
+// deduplication only: the host may not serve https or the bare domain, and
+// the server may care about parameter order, so fetch the URL as linked.
+function canonicalizeUrl(url, base = undefined) {
+    const urlObj = new URL(url, base);
+
+    if (urlObj.protocol === 'http:' || urlObj.protocol === 'https:') {
+        if (urlObj.protocol === 'http:' && !isLocalHost(urlObj.hostname)) {
+            urlObj.protocol = 'https:';
+        }
+        urlObj.hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+        if ((urlObj.protocol === 'https:' && urlObj.port === '443') || (urlObj.protocol === 'http:' && urlObj.port === '80')) {
+            urlObj.port = '';
+        }
+    }
+
+    urlObj.hash = '';
+
+    const params = Array.from(urlObj.searchParams.entries())
+        .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+        .sort(([a], [b]) => a.localeCompare(b));
+    urlObj.search = new URLSearchParams(params).toString();
+
+    let pathname = urlObj.pathname.replace(/\/{2,}/g, '/').replace(INDEX_PAGE, '/');
+    if (pathname.length > 1 && pathname.endsWith('/')) {
+        pathname = pathname.slice(0, -1);
+    }
+    urlObj.pathname = pathname;
+
+    return urlObj.href;
+}
+
+// Local hosts (test fixtures, dev servers) have no https endpoint to upgrade to
+function isLocalHost(hostname) {
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+}
+
+function tryCanonicalizeUrl(url, base = undefined) {
+    try {
+        return canonicalizeUrl(url, base);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Key of a URL for deduplication: its canonical form, or the URL itself when
+// it cannot be parsed. Records keep the URL that was fetched.
+function urlKey(url) {
+    return tryCanonicalizeUrl(url) || url;
+}
+
+// The absolute URL as linked, without its fragment: what the scraper fetches.
+// Returns null for invalid URLs.
+function resolveUrl(url, base = undefined) {
+    try {
+        const urlObj = new URL(url, base);
+        urlObj.hash = '';
+        return urlObj.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+export { canonicalizeUrl, tryCanonicalizeUrl, urlKey, resolveUrl, TRACKING_PARAMS };
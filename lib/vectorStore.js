@@ -0,0 +1,362 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Vector stores used by the RAG system. Both implement
+//   connect({ dimension })             open (and create) the index for embeddings of that length
+//   upsert(vectors)                    add or replace { id, values, metadata } vectors
+//   flush()                            persist buffered upserts and deletes (called once per indexing run)
+//   listIds(prefix)                    ids of the stored vectors starting with prefix
+//   delete(ids)                        remove vectors by id
+//   query({ vector, topK, filter })    best matches as { id, score, metadata }, highest score first
+//   stats()                            { totalVectors, dimension, indexFullness }
+//   clear()                            delete every vector
+//   describe()                         what the store is, for /health and /stats
+// Filters use Pinecone's metadata filter syntax, so the RAG system does not
+// care which store is configured.
+
+const VECTOR_STORES = ['pinecone', 'local'];
+const LOCAL_VECTOR_STORE_FILE = path.join(__dirname, '..', 'scraped_data', 'vector_store.json');
+const EMBEDDING_DIMENSION = 768; // Gemini embedding-001, used when the embedding provider gives none
+
+const LOCAL_FORMAT = 'nitjsr-vectors';
+const LOCAL_FORMAT_VERSION = 1;
+
+class PineconeVectorStore {
+    constructor({ apiKey, indexName, environment, dimension = EMBEDDING_DIMENSION }) {
+        this.apiKey = apiKey;
+        this.indexName = indexName;
+        this.environment = environment;
+        this.dimension = dimension;
+        this.index = null;
+    }
+
+    async connect({ dimension } = {}) {
+        if (this.index) return;
+        if (dimension) this.dimension = dimension;
+
+        // Loaded here so the local store works without the Pinecone client installed
+        const { Pinecone } = await import('@pinecone-database/pinecone');
+        const pinecone = new Pinecone({ apiKey: this.apiKey });
+
+        try {
+            const indexList = await pinecone.listIndexes();
+            const existing = indexList.indexes?.find(index => index.name === this.indexName);
+
+            if (existing && existing.dimension !== this.dimension) {
+                throw new Error(`Pinecone index ${this.indexName} holds ${existing.dimension}-dimensional vectors, but the embedding model produces ${this.dimension}; use another PINECONE_INDEX_NAME or delete the index`);
+            }
+            if (!existing) {
+                console.log(`🔨 Creating new Pinecone index: ${this.indexName}`);
+                await pinecone.createIndex({
+                    name: this.indexName,
+                    dimension: this.dimension,
+                    metric: 'cosine',
+                    spec: {
+                        serverless: {
+                            cloud: 'aws',
+                            region: this.environment
+                        }
+                    },
+                    // Polls until the index accepts requests instead of sleeping a fixed time
+                    waitUntilReady: true,
+                    suppressConflicts: true
+                });
+            }
+
+            this.index = pinecone.index(this.indexName);
+            console.log(`✅ Connected to Pinecone index: ${this.indexName}`);
+
+        } catch (error) {
+            console.error('❌ Pinecone index initialization failed:', error.message);
+            throw error;
+        }
+    }
+
+    async upsert(vectors) {
+        await this.index.upsert(vectors);
+    }
+
+    // Listing by prefix needs a serverless index, which connect() creates
+    async listIds(prefix) {
+        const ids = [];
+        let paginationToken;
+        do {
+            const page = await this.index.listPaginated({ prefix, ...(paginationToken && { paginationToken }) });
+            ids.push(...(page.vectors || []).map(vector => vector.id));
+            paginationToken = page.pagination?.next;
+        } while (paginationToken);
+        return ids;
+    }
+
+    async delete(ids) {
+        // Pinecone deletes at most 1000 ids per request
+        for (let i = 0; i < ids.length; i += 1000) {
+            await this.index.deleteMany(ids.slice(i, i + 1000));
+        }
+    }
+
+    async query({ vector, topK, filter }) {
+        const results = await this.index.query({
+            vector: vector,
+            topK: topK,
+            includeMetadata: true,
+            includeValues: false,
+            ...(filter && { filter })
+        });
+        return results.matches || [];
+    }
+
+    async stats() {
+        const stats = await this.index.describeIndexStats();
+        return {
+            totalVectors: stats.totalRecordCount ?? stats.totalVectorCount ?? 0,
+            dimension: stats.dimension || this.dimension,
+            indexFullness: stats.indexFullness || 0
+        };
+    }
+
+    async clear() {
+        await this.index.deleteAll();
+    }
+
+    // Upserts are sent straight to Pinecone
+    async flush() {}
+
+    describe() {
+        return { type: 'pinecone', index: this.indexName || 'Not configured', environment: this.environment };
+    }
+}
+
+// Vectors held in memory and saved to one JSON file (values as base64
+// float32), searched by brute-force cosine similarity. Fine for the few
+// thousand chunks of one college site, and needs no account or network.
+// Upserts and deletes stay in memory until flush(), so indexing rewrites the file once.
+class LocalVectorStore {
+    constructor({ file = LOCAL_VECTOR_STORE_FILE } = {}) {
+        this.file = file;
+        this.vectors = new Map(); // id -> { id, values (Float32Array), norm, metadata }
+        this.dimension = null; // Set by the first vector stored
+        this.connected = false;
+        this.dirty = false; // Upserts or deletes not yet written to the file
+        this.saving = Promise.resolve();
+        this.pendingSave = null;
+    }
+
+    async connect() {
+        if (this.connected) return;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Cannot read local vector store ${this.file}: ${error.message}`);
+            }
+        }
+
+        if (saved) {
+            if (saved.format !== LOCAL_FORMAT || saved.version > LOCAL_FORMAT_VERSION) {
+                throw new Error(`${this.file} is not a local vector store this version can read`);
+            }
+            this.dimension = saved.dimension;
+            for (const { id, values, metadata } of saved.vectors) {
+                this.set(id, decodeValues(values), metadata);
+            }
+        }
+
+        this.connected = true;
+    }
+
+    set(id, values, metadata) {
+        this.vectors.set(id, { id, values, norm: norm(values), metadata: metadata || {} });
+    }
+
+    async upsert(vectors) {
+        for (const vector of vectors) {
+            const dimension = this.dimension ?? vector.values.length;
+            if (vector.values.length !== dimension) {
+                throw new Error(`Vector ${vector.id} has dimension ${vector.values.length}; the local vector store holds ${dimension}-dimensional vectors`);
+            }
+            this.dimension = dimension;
+        }
+        for (const vector of vectors) {
+            this.set(vector.id, Float32Array.from(vector.values), vector.metadata);
+        }
+        this.dirty = true;
+    }
+
+    async listIds(prefix) {
+        return Array.from(this.vectors.keys()).filter(id => id.startsWith(prefix));
+    }
+
+    async delete(ids) {
+        for (const id of ids) {
+            if (this.vectors.delete(id)) this.dirty = true;
+        }
+    }
+
+    async flush() {
+        if (!this.dirty) return;
+        this.dirty = false;
+        try {
+            await this.save();
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+
+    async query({ vector, topK = 10, filter }) {
+        if (this.dimension !== null && vector.length !== this.dimension) {
+            throw new Error(`Query vector has dimension ${vector.length}; the local vector store holds ${this.dimension}-dimensional vectors (re-index after changing the embedding model)`);
+        }
+
+        const queryNorm = norm(vector);
+        const matches = [];
+        for (const stored of this.vectors.values()) {
+            if (filter && !matchesFilter(stored.metadata, filter)) continue;
+            matches.push({ id: stored.id, score: cosine(vector, queryNorm, stored), metadata: stored.metadata });
+        }
+        return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+
+    async stats() {
+        return {
+            totalVectors: this.vectors.size,
+            dimension: this.dimension || EMBEDDING_DIMENSION,
+            indexFullness: 0
+        };
+    }
+
+    async clear() {
+        this.vectors.clear();
+        this.dimension = null;
+        this.dirty = false;
+        await this.save();
+    }
+
+    describe() {
+        return { type: 'local', file: this.file };
+    }
+
+    // Writes run one at a time; saves requested while one is waiting share it
+    save() {
+        if (!this.pendingSave) {
+            this.pendingSave = this.saving.then(() => {
+                this.pendingSave = null;
+                return this.write();
+            });
+            this.saving = this.pendingSave.catch(() => {});
+        }
+        return this.pendingSave;
+    }
+
+    async write() {
+        const saved = {
+            format: LOCAL_FORMAT,
+            version: LOCAL_FORMAT_VERSION,
+            dimension: this.dimension,
+            vectors: Array.from(this.vectors.values(), ({ id, values, metadata }) => ({ id, values: encodeValues(values), metadata }))
+        };
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(`${this.file}.tmp`, JSON.stringify(saved), 'utf8');
+        await fs.rename(`${this.file}.tmp`, this.file);
+    }
+}
+
+function norm(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) sum += values[i] * values[i];
+    return Math.sqrt(sum);
+}
+
+function cosine(vector, vectorNorm, stored) {
+    if (!vectorNorm || !stored.norm) return 0;
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) dot += vector[i] * stored.values[i];
+    return dot / (vectorNorm * stored.norm);
+}
+
+const encodeValues = values => Buffer.from(values.buffer, values.byteOffset, values.byteLength).toString('base64');
+
+function decodeValues(encoded) {
+    const bytes = Buffer.from(encoded, 'base64');
+    return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+// Pinecone metadata filters: { field: value }, { field: { $eq, $ne, $in, $nin,
+// $gt, $gte, $lt, $lte, $exists } }, $and and $or. A list field (such as
+// `category`) matches when any of its elements does.
+function matchesFilter(metadata, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') return condition.every(part => matchesFilter(metadata, part));
+        if (key === '$or') return condition.some(part => matchesFilter(metadata, part));
+
+        const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+            ? condition
+            : { $eq: condition };
+        return Object.entries(operators).every(([operator, operand]) => matchesCondition(metadata[key], operator, operand));
+    });
+}
+
+function matchesCondition(value, operator, operand) {
+    const values = Array.isArray(value) ? value : [value];
+    switch (operator) {
+        case '$eq': return values.includes(operand);
+        case '$ne': return !values.includes(operand);
+        case '$in': return values.some(v => operand.includes(v));
+        case '$nin': return !values.some(v => operand.includes(v));
+        case '$gt': return values.some(v => typeof v === 'number' && v > operand);
+        case '$gte': return values.some(v => typeof v === 'number' && v >= operand);
+        case '$lt': return values.some(v => typeof v === 'number' && v < operand);
+        case '$lte': return values.some(v => typeof v === 'number' && v <= operand);
+        case '$exists': return (value !== undefined && value !== null) === operand;
+        default: throw new Error(`Unsupported metadata filter operator: ${operator}`);
+    }
+}
+
+// Store settings from the environment: VECTOR_STORE (pinecone or local) and
+// the PINECONE_* or LOCAL_VECTOR_STORE_FILE variables of that store
+function vectorStoreConfig(env = process.env) {
+    const type = env.VECTOR_STORE?.trim().toLowerCase() || 'pinecone';
+    if (!VECTOR_STORES.includes(type)) {
+        throw new Error(`Invalid VECTOR_STORE "${type}": expected ${VECTOR_STORES.join(' or ')}`);
+    }
+
+    if (type === 'local') {
+        return { type, file: env.LOCAL_VECTOR_STORE_FILE?.trim() || LOCAL_VECTOR_STORE_FILE };
+    }
+    return {
+        type,
+        apiKey: env.PINECONE_API_KEY?.trim(),
+        indexName: env.PINECONE_INDEX_NAME?.trim(),
+        environment: env.PINECONE_ENVIRONMENT?.trim()
+    };
+}
+
+// Environment variables a store type cannot run without
+function vectorStoreEnvironment(type) {
+    return type === 'pinecone' ? ['PINECONE_API_KEY', 'PINECONE_INDEX_NAME', 'PINECONE_ENVIRONMENT'] : [];
+}
+
+function createVectorStore(config = vectorStoreConfig()) {
+    switch (config.type) {
+        case 'pinecone': return new PineconeVectorStore(config);
+        case 'local': return new LocalVectorStore(config);
+        default: throw new Error(`Invalid vector store "${config.type}": expected ${VECTOR_STORES.join(' or ')}`);
+    }
+}
+
+export {
+    VECTOR_STORES,
+    LOCAL_VECTOR_STORE_FILE,
+    PineconeVectorStore,
+    LocalVectorStore,
+    matchesFilter,
+    vectorStoreConfig,
+    vectorStoreEnvironment,
+    createVectorStore
+};
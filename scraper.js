@@ -1,34 +1,136 @@
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import puppeteer from 'puppeteer';
 import axios from 'axios';
-import pdfParse from 'pdf-parse';
+import { ChangeTracker, hashContent } from './lib/changeTracker.js';
+import {
+    loadLatestSnapshot, loadSnapshot, findSnapshot, writeSnapshot, pruneSnapshots, optionalRetention
+} from './lib/snapshots.js';
+import { RobotsPolicy } from './lib/robots.js';
+import { discoverSitemapUrls } from './lib/sitemap.js';
+import { extractStaticPageData } from './lib/staticExtractor.js';
+import { HostLimiter } from './lib/hostLimiter.js';
+import { CrawlFrontier } from './lib/crawlFrontier.js';
+import { urlKey, resolveUrl } from './lib/urlUtils.js';
+import { extractPdfPages } from './lib/pdfExtractor.js';
+import { detectAttachmentType, extractAttachment } from './lib/attachmentExtractor.js';
+import { normalizeTable, tableToText } from './lib/tables.js';
+import { findBoilerplate, stripPageBoilerplate } from './lib/boilerplate.js';
+import { buildPlacementDataset, savePlacementDataset } from './lib/placements.js';
+import { buildFacultyDirectory, saveFacultyDirectory } from './lib/faculty.js';
+import { buildNoticeFeed, saveNoticeFeed } from './lib/notices.js';
+import { saveCheckpoint, loadCheckpoint, deleteCheckpoint, listCheckpoints } from './lib/checkpoints.js';
+import { DEFAULT_PROFILE, validateCrawlProfile, hostAllowed } from './lib/crawlProfiles.js';
+import { countWords, detectLanguage, linkTranslations } from './lib/language.js';
+import { FetchLog, HttpStatusError, recordRedirects } from './lib/fetchLog.js';
+import { categorize, categoriesOf, GENERAL } from './lib/categorizer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const FETCH_MODES = ['auto', 'browser', 'static'];
+
+// Puppeteer is an optional dependency; without it the scraper falls back to static HTTP fetching
+async function loadPuppeteer() {
+    try {
+        return (await import('puppeteer')).default;
+    } catch (error) {
+        return null;
+    }
+}
+
 class NITJSRScraper {
+    // options.profile is a crawl profile from loadCrawlProfile() (lib/crawlProfiles.js)
+    // supplying the site, seeds, URL filters, limits and category rules; the
+    // individual options below override its limits and delays.
     constructor(options = {}) {
         this.browser = null;
         this.page = null;
+        this.options = options;
+        this.applyProfile(options.profile || validateCrawlProfile(DEFAULT_PROFILE, 'built-in'));
+        this.waitUntil = options.waitUntil || 'networkidle2';
+        this.autoScroll = options.autoScroll === true; // Scroll to the bottom to trigger lazy-loaded content
+        this.boilerplateThreshold = options.boilerplateThreshold || 0.4; // Share of pages a block must appear on
+        this.boilerplateMinPages = options.boilerplateMinPages || 3;
+        this.dataDir = options.dataDir || path.join(__dirname, 'scraped_data');
+        this.checkpointDir = path.join(this.dataDir, 'checkpoints');
+        this.checkpointInterval = options.checkpointInterval || 25; // Pages between frontier checkpoints
+        this.maxDocuments = options.maxDocuments || 50; // PDFs, and separately attachments, processed per crawl
+        this.incremental = options.incremental !== false; // Reuse unchanged pages/PDFs from the last snapshot
+        this.fetchMode = options.fetchMode || 'auto'; // 'browser' (Puppeteer), 'static' (axios + cheerio) or 'auto'
+        this.activeFetchMode = null;
+        this.signal = options.signal || null; // AbortSignal that stops the crawl at the next page or document
+        this.onProgress = options.onProgress || null; // Called with progressSnapshot() as the crawl advances
+        // Old snapshots to delete after each save ({ keepLast, keepMonthly }, per profile); none unless set
+        this.retention = options.retention ? optionalRetention(options.retention) : null;
+
+        if (!FETCH_MODES.includes(this.fetchMode)) {
+            throw new Error(`Invalid fetchMode "${this.fetchMode}". Expected one of: ${FETCH_MODES.join(', ')}`);
+        }
+
+        this.resetState();
+    }
+
+    applyProfile(profile) {
+        const options = this.options;
+        this.profile = profile;
+        this.baseUrl = profile.baseUrl;
+        this.maxPages = options.maxPages || profile.limits.maxPages;
+        this.maxDepth = options.maxDepth || profile.limits.maxDepth;
+        this.delay = options.delay || profile.delays.request; // Minimum gap between request starts on the same host
+        this.renderDelay = options.renderDelay || profile.delays.render; // Extra wait after load for script-heavy pages
+        this.concurrency = options.concurrency || profile.limits.concurrency; // Browser pages / HTTP workers crawling in parallel
+        this.maxPerHost = options.maxPerHost || profile.limits.maxPerHost;
+        this.respectRobots = options.respectRobots ?? profile.respectRobots;
+        this.useSitemaps = options.useSitemaps ?? profile.useSitemaps;
+        // Crawl order for the page budget
+        this.priorityRules = options.priorityRules ||
+            profile.priorityRules.map(rule => ({ pattern: new RegExp(rule.pattern, 'i'), priority: rule.priority }));
+        this.includePatterns = profile.include.map(pattern => new RegExp(pattern, 'i'));
+        this.excludePatterns = profile.exclude.map(pattern => new RegExp(pattern, 'i'));
+    }
+
+    resetState() {
+        this.crawlId = `crawl_${new Date().toISOString().replace(/[:.]/g, '_')}`;
+        this.phase = 'crawl';
+        this.checkpointWrite = null;
         this.visited = new Set();
-        this.toVisit = new Set();
-        this.pdfUrls = new Set();
-        this.maxPages = options.maxPages || 300; // Increased limit
-        this.maxDepth = options.maxDepth || 4;   // Deeper crawling
-        this.delay = options.delay || 1500;
-        this.baseUrl = 'https://nitjsr.ac.in';
-        
+        this.frontier = new CrawlFrontier({ priorityRules: this.priorityRules });
+        this.pdfUrls = new Map(); // canonical url -> url as first linked
+        this.attachmentUrls = new Map(); // canonical url -> { url, fileType: docx | xlsx | pptx }
+        this.changeTracker = new ChangeTracker();
+        this.fetchLog = new FetchLog(); // Status, redirects and errors of every request
+        this.robots = null;
+        this.crawlDelay = 0;
+        this.hostLimiter = new HostLimiter({ maxPerHost: this.maxPerHost, minDelay: this.delay });
+        this.sitemapEntries = new Map();
+        this.boilerplateKeys = new Set();
+        this.inFlightUrls = new Map(); // canonical url -> { url, depth }, claimed by a worker but not finished
+        this.progress = {
+            completed: 0,
+            failed: 0,
+            inFlight: 0,
+            pdfsDone: 0,
+            attachmentsDone: 0
+        };
+
         this.scrapedData = {
             metadata: {
                 timestamp: new Date().toISOString(),
+                crawlId: this.crawlId,
                 source: 'NIT Jamshedpur Official Website',
                 baseUrl: this.baseUrl,
+                profile: this.profile.name,
+                partial: this.profile.include.length > 0, // Only URLs matching the profile's include patterns
                 scrapeType: 'enhanced_comprehensive',
                 maxPages: this.maxPages,
-                maxDepth: this.maxDepth
+                maxDepth: this.maxDepth,
+                incremental: this.incremental,
+                fetchMode: null,
+                baselineSnapshot: null,
+                robots: null,
+                seedSource: null,
+                sitemaps: []
             },
             pages: [],
             documents: {
@@ -40,36 +142,228 @@ class NITJSRScraper {
                 internal: [],
                 external: [],
                 pdf: [],
+                attachment: [],
                 image: []
             },
-            categories: {
-                academics: [],
-                admissions: [],
-                placements: [],
-                faculty: [],
-                students: [],
-                research: [],
-                administration: [],
-                news: [],
-                events: [],
-                departments: [],
-                general: []
-            },
+            categories: Object.fromEntries(
+                [...this.profile.categoryRules.map(rule => rule.category), GENERAL].map(category => [category, []])
+            ),
             statistics: {
                 totalPages: 0,
                 totalPDFs: 0,
+                totalAttachments: 0,
                 totalImages: 0,
                 totalLinks: 0,
-                categorizedPages: 0
-            }
+                categorizedPages: 0,
+                multiLabelPages: 0,
+                newPages: 0,
+                changedPages: 0,
+                unchangedPages: 0,
+                removedPages: 0,
+                brokenLinks: 0,
+                redirectedLinks: 0
+            },
+            changes: null,
+            fetchLog: []
+        };
+    }
+
+    async loadBaseline(filename = null) {
+        let latest = null;
+        if (filename) {
+            // Matched by name, so a baseline migrated to the current format is still found
+            const snapshot = await findSnapshot(this.dataDir, filename).catch(() => null);
+            latest = snapshot && { ...snapshot, data: await loadSnapshot(snapshot.filepath).catch(() => null) };
+            if (!latest?.data) latest = null;
+        } else {
+            // A crawl of part of the site is no baseline for another profile's crawl
+            latest = await loadLatestSnapshot(this.dataDir, { profile: this.profile.name });
+        }
+
+        if (!latest) {
+            console.log('📝 No previous snapshot found, performing full crawl');
+            return;
+        }
+
+        this.changeTracker.loadBaseline(latest.data, latest.filename);
+        latest.data.boilerplate?.blocks?.forEach(key => this.boilerplateKeys.add(key));
+        this.scrapedData.metadata.baselineSnapshot = latest.filename;
+        console.log(`♻️ Incremental crawl against ${latest.filename} (${this.changeTracker.baseline.pages} pages, ${this.changeTracker.baseline.pdfs} PDFs)`);
+    }
+
+    // Conditional GET against the previous snapshot's validators. `previous`
+    // is set only when the resource is known to be unchanged (304 or same
+    // body). Redirects followed are appended to `redirects`.
+    async fetchIfChanged(kind, url, responseType = 'text', redirects = []) {
+        const previous = this.changeTracker.getPrevious(kind, url);
+        if (!previous) return { previous: null, response: null };
+
+        const response = await axios.get(url, {
+            responseType: responseType,
+            timeout: 60000,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                ...this.changeTracker.conditionalHeaders(kind, url)
+            },
+            maxContentLength: 50 * 1024 * 1024,
+            validateStatus: status => (status >= 200 && status < 300) || status === 304,
+            beforeRedirect: recordRedirects(redirects)
+        });
+
+        if (response.status === 304) {
+            return { previous, response };
+        }
+
+        const bodyHash = hashContent(response.data);
+        if (previous.validators?.bodyHash && previous.validators.bodyHash === bodyHash) {
+            return { previous, response };
+        }
+
+        return { previous: null, response };
+    }
+
+    extractValidators(headers = {}, body = null) {
+        return {
+            etag: headers.etag || null,
+            lastModified: headers['last-modified'] || null,
+            bodyHash: body ? hashContent(body) : null
+        };
+    }
+
+    async loadRobots() {
+        this.robots = await RobotsPolicy.fetch(this.baseUrl);
+        this.crawlDelay = (this.robots.crawlDelay || 0) * 1000;
+        this.hostLimiter.minDelay = Math.max(this.delay, this.crawlDelay);
+        this.scrapedData.metadata.robots = this.robots.toJSON();
+
+        if (this.robots.source) {
+            console.log(`🤖 robots.txt: ${this.robots.rules.length} rules, crawl-delay ${this.robots.crawlDelay ?? 'none'}, ${this.robots.sitemaps.length} sitemaps`);
+        }
+    }
+
+    // Seed URLs come from the sitemaps listed in robots.txt (or /sitemap.xml),
+    // most recently modified first. Returns an empty array if none are usable.
+    async discoverSeeds() {
+        const sitemapUrls = this.robots?.sitemaps.length > 0
+            ? this.robots.sitemaps
+            : [new URL('/sitemap.xml', this.baseUrl).href];
+
+        const { sitemaps, urls } = await discoverSitemapUrls(sitemapUrls);
+        this.scrapedData.metadata.sitemaps = sitemaps;
+
+        const seeds = urls.filter(entry => this.isValidUrl(entry.loc));
+        seeds.forEach(entry => this.sitemapEntries.set(entry.loc, entry));
+
+        return seeds
+            .sort((a, b) => (Date.parse(b.lastmod) || 0) - (Date.parse(a.lastmod) || 0))
+            .map(entry => entry.loc);
+    }
+
+    addPage(processedPage) {
+        processedPage.sitemapLastmod = this.sitemapEntries.get(processedPage.url)?.lastmod || null;
+        categoriesOf(processedPage).forEach(category => this.scrapedData.categories[category].push(processedPage));
+        this.scrapedData.pages.push(processedPage);
+    }
+
+    carryForwardPage(previous, url, depth) {
+        const carried = {
+            ...previous,
+            url: url,
+            depth: depth,
+            lastChecked: new Date().toISOString(),
+            changeStatus: this.changeTracker.markUnchanged('page', url)
         };
+
+        // The category rules may have changed since the previous crawl
+        Object.assign(carried, this.categorizePage(carried));
+
+        this.addPage(carried);
+        this.recordLinks(carried.links || [], carried.url, carried.title, depth);
+
+        console.log(`♻️ Unchanged: ${carried.title} (reused from previous snapshot)`);
+        return carried;
+    }
+
+    // Links are recorded as linked (resolved against `url`, the page fetched);
+    // documents are collected once per canonical URL
+    recordLinks(links, url, title, depth) {
+        links.forEach(link => {
+            try {
+                const fullUrl = resolveUrl(link.href, url);
+                if (!fullUrl) return;
+                const key = urlKey(fullUrl);
+
+                const linkData = {
+                    url: fullUrl,
+                    text: link.text,
+                    title: link.title,
+                    sourceUrl: url,
+                    sourceTitle: title,
+                    context: link.parentText
+                };
+
+                const attachmentType = detectAttachmentType(fullUrl);
+
+                if (link.href.toLowerCase().includes('.pdf')) {
+                    this.scrapedData.links.pdf.push(linkData);
+                    this.addPdfUrl(fullUrl);
+                } else if (attachmentType) {
+                    this.scrapedData.links.attachment.push({ ...linkData, fileType: attachmentType });
+                    this.addAttachmentUrl(fullUrl, attachmentType);
+                } else if (link.href.toLowerCase().match(/\.(jpg|jpeg|png|gif|webp)$/)) {
+                    this.scrapedData.links.image.push(linkData);
+                } else if (hostAllowed(this.profile.allowedHosts, new URL(fullUrl).hostname)) {
+                    this.scrapedData.links.internal.push(linkData);
+                    if (depth < this.maxDepth && this.isValidUrl(fullUrl) && !this.visited.has(key)) {
+                        this.frontier.add(fullUrl, depth + 1);
+                    }
+                } else {
+                    this.scrapedData.links.external.push(linkData);
+                }
+            } catch (error) {
+                // Invalid URL, skip
+            }
+        });
+    }
+
+    // Documents are fetched once per canonical URL, from the URL first linked
+    addPdfUrl(url) {
+        const key = urlKey(url);
+        if (!this.pdfUrls.has(key)) this.pdfUrls.set(key, url);
+    }
+
+    addAttachmentUrl(url, fileType) {
+        const key = urlKey(url);
+        if (!this.attachmentUrls.has(key)) this.attachmentUrls.set(key, { url, fileType });
     }
 
     async initialize() {
         console.log('🚀 Initializing NIT JSR Website Scraper...');
+        this.activeFetchMode = this.fetchMode === 'static' ? 'static' : 'browser';
+
+        if (this.activeFetchMode === 'browser') {
+            try {
+                await this.launchBrowser();
+            } catch (error) {
+                if (this.fetchMode === 'browser') {
+                    throw error;
+                }
+                console.warn(`⚠️ ${error.message}, falling back to static HTTP fetching`);
+                this.activeFetchMode = 'static';
+            }
+        }
+
+        this.scrapedData.metadata.fetchMode = this.activeFetchMode;
+
+        if (this.activeFetchMode === 'static') {
+            console.log('✅ Static HTTP scraper initialized (axios + cheerio)');
+        }
+    }
+
+    async launchBrowser() {
+        const puppeteer = await loadPuppeteer();
         if (!puppeteer) {
-            console.warn('⚠️ Puppeteer not available, scraper will work with limited functionality');
-            return;
+            throw new Error('Puppeteer not available');
         }
         
         this.browser = await puppeteer.launch({
@@ -82,100 +376,59 @@ class NITJSRScraper {
                 '--disable-features=VizDisplayCompositor',
             ]
         });
-        this.page = await this.browser.newPage();
-        
-        await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-        await this.page.setViewport({ width: 1920, height: 1080 });
-        
-        await this.page.setJavaScriptEnabled(true);
+        this.page = await this.createBrowserPage();
         
         console.log('✅ Enhanced scraper initialized successfully');
     }
 
+    async createBrowserPage() {
+        const page = await this.browser.newPage();
+
+        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+        await page.setViewport({ width: 1920, height: 1080 });
+
+        await page.setJavaScriptEnabled(true);
+
+        return page;
+    }
+
+    // { category, categories, categoryScores } of a page or document record
+    // ({ url, title, headings, content }) under the profile's category rules
+    categorizePage(page) {
+        const { category, categories, scores } = categorize(page, this.profile.categoryRules, this.profile.categoryScoring);
+        return { category, categories, categoryScores: scores };
+    }
+
+    // Primary category of a URL and its text
     categorizeUrl(url, content = '') {
-        const urlLower = url.toLowerCase();
-        const contentLower = content.toLowerCase();
-        
-        if (urlLower.includes('placement') || contentLower.includes('placement') || 
-            urlLower.includes('career') || contentLower.includes('career') ||
-            urlLower.includes('training') || contentLower.includes('corporate')) {
-            return 'placements';
-        }
-        if (urlLower.includes('admission') || urlLower.includes('apply') || 
-            contentLower.includes('admission') || contentLower.includes('eligibility') ||
-            urlLower.includes('entrance') || urlLower.includes('jee')) {
-            return 'admissions';
-        }
-        if (urlLower.includes('academic') || urlLower.includes('syllabus') || 
-            urlLower.includes('curriculum') || contentLower.includes('academic') ||
-            urlLower.includes('course') || urlLower.includes('program')) {
-            return 'academics';
-        }
-        if (urlLower.includes('faculty') || urlLower.includes('staff') || 
-            contentLower.includes('professor') || contentLower.includes('faculty') ||
-            urlLower.includes('teacher') || urlLower.includes('hod')) {
-            return 'faculty';
-        }
-        if (urlLower.includes('student') || urlLower.includes('hostel') || 
-            contentLower.includes('student life') || urlLower.includes('activity') ||
-            urlLower.includes('club') || urlLower.includes('society')) {
-            return 'students';
-        }
-        if (urlLower.includes('research') || urlLower.includes('publication') || 
-            contentLower.includes('research') || urlLower.includes('phd') ||
-            urlLower.includes('project') || urlLower.includes('innovation')) {
-            return 'research';
-        }
-        if (urlLower.includes('department') || urlLower.includes('dept') || 
-            urlLower.includes('/cse') || urlLower.includes('/ece') || urlLower.includes('/mech') ||
-            urlLower.includes('/eee') || urlLower.includes('/civil') || urlLower.includes('/che') ||
-            urlLower.includes('/mme') || urlLower.includes('/phy') || urlLower.includes('/chem') ||
-            urlLower.includes('/math') || urlLower.includes('/hss')) {
-            return 'departments';
-        }
-        if (urlLower.includes('news') || urlLower.includes('announcement') || 
-            contentLower.includes('news') || urlLower.includes('notice') ||
-            urlLower.includes('tender') || urlLower.includes('recruitment')) {
-            return 'news';
-        }
-        if (urlLower.includes('event') || urlLower.includes('seminar') || 
-            urlLower.includes('workshop') || contentLower.includes('event') ||
-            urlLower.includes('conference') || urlLower.includes('symposium')) {
-            return 'events';
-        }
-        if (urlLower.includes('admin') || urlLower.includes('office') || 
-            urlLower.includes('registrar') || contentLower.includes('administration') ||
-            urlLower.includes('director') || urlLower.includes('dean')) {
-            return 'administration';
-        }
-        
-        return 'general';
+        return this.categorizePage({ url, content }).category;
     }
 
     isValidUrl(url) {
         try {
             const urlObj = new URL(url, this.baseUrl);
             
-            // Only scrape nitjsr.ac.in domain
-            if (!urlObj.hostname.includes('nitjsr.ac.in')) {
+            // Only scrape the profile's hosts
+            if (!hostAllowed(this.profile.allowedHosts, urlObj.hostname)) {
                 return false;
             }
             
-            // Skip certain file types and external links
-            const skipExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.css', '.js', '.ico', '.svg', '.woff', '.woff2', '.ttf'];
-            const skipPatterns = [
-                'mailto:', 'tel:', 'javascript:', '#',
-                'facebook.com', 'twitter.com', 'linkedin.com', 'youtube.com',
-                'google.com', 'maps.google', 'instagram.com'
-            ];
-            
+            // Skip certain file types and the profile's excluded URLs
             const pathname = urlObj.pathname.toLowerCase();
             
-            if (skipExtensions.some(ext => pathname.endsWith(ext))) {
+            if (this.profile.skipExtensions.some(ext => pathname.endsWith(ext))) {
                 return false;
             }
             
-            if (skipPatterns.some(pattern => url.toLowerCase().includes(pattern))) {
+            if (this.excludePatterns.some(pattern => pattern.test(url))) {
+                return false;
+            }
+
+            if (this.includePatterns.length > 0 && !this.includePatterns.some(pattern => pattern.test(url))) {
+                return false;
+            }
+
+            if (this.robots && !this.robots.isAllowed(urlObj.href)) {
                 return false;
             }
             
@@ -185,25 +438,40 @@ class NITJSRScraper {
         }
     }
 
-    async scrapePage(url, depth = 0) {
-        if (this.visited.has(url) || depth > this.maxDepth || this.visited.size >= this.maxPages) {
-            return null;
-        }
+    async fetchWithBrowser(url, validators = null, page = this.page) {
+        const response = await page.goto(url, { 
+            waitUntil: this.waitUntil, 
+            timeout: 45000 
+        });
 
-        console.log(`🔍 Scraping [${depth}/${this.maxDepth}] (${this.visited.size}/${this.maxPages}): ${url}`);
-        this.visited.add(url);
+        // Unlike axios, page.goto() resolves for error pages
+        if (response && response.status() >= 400) {
+            throw new HttpStatusError(response.status(), url);
+        }
+        const chain = response ? response.request().redirectChain() : [];
+        const redirects = chain.map((request, i) => ({
+            status: request.response()?.status() || null,
+            location: i + 1 < chain.length ? chain[i + 1].url() : response.url()
+        }));
 
-        try {
-            await this.page.goto(url, { 
-                waitUntil: 'networkidle0', 
-                timeout: 45000 
-            });
+        if (response && !validators?.bodyHash) {
+            let body = null;
+            try {
+                body = await response.text();
+            } catch (error) {
+                // Body unavailable (e.g. after a redirect)
+            }
+            validators = this.extractValidators(response.headers(), body);
+        }
 
-            // Wait for dynamic content to load
-            await this.page.waitForTimeout(this.delay);
+        // Wait for dynamic content to load
+        if (this.renderDelay > 0) {
+            await page.waitForTimeout(this.renderDelay);
+        }
 
-            // Try to load more content by scrolling
-            await this.page.evaluate(() => {
+        // Try to load more content by scrolling
+        if (this.autoScroll) {
+            await page.evaluate(() => {
                 return new Promise((resolve) => {
                     let totalHeight = 0;
                     const distance = 100;
@@ -219,104 +487,259 @@ class NITJSRScraper {
                     }, 100);
                 });
             });
+        }
 
-            const pageData = await this.page.evaluate(() => {
-                const data = {
-                    title: document.title || '',
-                    headings: [],
-                    content: [],
-                    links: [],
-                    metadata: {
-                        description: '',
-                        keywords: ''
-                    },
-                    tables: [],
-                    lists: []
-                };
+        const pageData = await page.evaluate(() => {
+            const data = {
+                title: document.title || '',
+                headings: [],
+                content: [],
+                links: [],
+                metadata: {
+                    description: '',
+                    keywords: '',
+                    lang: document.documentElement.getAttribute('lang') || '',
+                    alternates: []
+                },
+                tables: [],
+                lists: [],
+                profileCards: []
+            };
 
-                // Extract meta information
-                const metaDescription = document.querySelector('meta[name="description"]');
-                if (metaDescription) {
-                    data.metadata.description = metaDescription.getAttribute('content') || '';
-                }
-                
-                const metaKeywords = document.querySelector('meta[name="keywords"]');
-                if (metaKeywords) {
-                    data.metadata.keywords = metaKeywords.getAttribute('content') || '';
+            // Extract meta information
+            const metaDescription = document.querySelector('meta[name="description"]');
+            if (metaDescription) {
+                data.metadata.description = metaDescription.getAttribute('content') || '';
+            }
+            
+            const metaKeywords = document.querySelector('meta[name="keywords"]');
+            if (metaKeywords) {
+                data.metadata.keywords = metaKeywords.getAttribute('content') || '';
+            }
+
+            // Other language versions of the page
+            document.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => {
+                if (link.getAttribute('href')) {
+                    data.metadata.alternates.push({ hreflang: link.getAttribute('hreflang'), href: link.getAttribute('href') });
                 }
+            });
 
-                // Extract headings with hierarchy
-                document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
-                    data.headings.push({
-                        level: parseInt(heading.tagName.charAt(1)),
-                        text: heading.textContent.trim(),
-                        id: heading.id || null
-                    });
+            // Extract headings with hierarchy
+            document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+                data.headings.push({
+                    level: parseInt(heading.tagName.charAt(1)),
+                    text: heading.textContent.trim(),
+                    id: heading.id || null
                 });
+            });
 
-                // Extract meaningful content with better selectors
-                const contentSelectors = [
-                    'p', 'div.content', '.main-content', '.page-content', '.article-content',
-                    '.description', '.info', '.details', '.summary', 
-                    'article', 'section', '.text-content'
-                ];
-                
-                contentSelectors.forEach(selector => {
-                    document.querySelectorAll(selector).forEach(element => {
-                        const text = element.textContent.trim();
-                        if (text && text.length > 30 && !data.content.some(existing => existing.includes(text.substring(0, 50)))) {
-                            data.content.push(text);
-                        }
-                    });
+            // Extract meaningful content with better selectors
+            const contentSelectors = [
+                'p', 'div.content', '.main-content', '.page-content', '.article-content',
+                '.description', '.info', '.details', '.summary', 
+                'article', 'section', '.text-content'
+            ];
+            
+            // Site chrome never holds page content
+            const chromeSelector = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"]';
+
+            const candidates = [];
+            contentSelectors.forEach(selector => {
+                document.querySelectorAll(selector).forEach(element => {
+                    if (!candidates.includes(element) && !element.closest(chromeSelector)) {
+                        candidates.push(element);
+                    }
                 });
+            });
+            const candidateSet = new Set(candidates);
 
-                document.querySelectorAll('table').forEach(table => {
-                    const tableData = [];
-                    table.querySelectorAll('tr').forEach(row => {
-                        const rowData = [];
-                        row.querySelectorAll('td, th').forEach(cell => {
-                            rowData.push(cell.textContent.trim());
-                        });
-                        if (rowData.length > 0) tableData.push(rowData);
-                    });
-                    if (tableData.length > 0) data.tables.push(tableData);
+            // Text of an element excluding nested candidates, so a section is not
+            // collected again with the paragraphs it contains
+            const ownText = node => Array.from(node.childNodes).map(child => {
+                if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+                if (child.nodeType !== Node.ELEMENT_NODE) return '';
+                if (candidateSet.has(child)) return ' ';
+                return ownText(child);
+            }).join('');
+
+            candidates.forEach(element => {
+                const text = ownText(element).replace(/\s+/g, ' ').trim();
+                if (text && text.length > 30 && !data.content.some(existing => existing.includes(text.substring(0, 50)))) {
+                    data.content.push(text);
+                }
+            });
+
+            // Nearest heading before an element in document order, used to label tables without a caption
+            const precedingHeading = element => {
+                for (let node = element; node && node !== document.body; node = node.parentElement) {
+                    for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+                        const heading = sibling.matches('h1, h2, h3, h4, h5, h6')
+                            ? sibling
+                            : Array.from(sibling.querySelectorAll('h1, h2, h3, h4, h5, h6')).pop();
+                        if (heading) return heading.textContent.trim();
+                    }
+                }
+                return '';
+            };
+
+            // Raw cells with span and header markup; lib/tables.js builds the grid.
+            // Layout tables that wrap other tables are skipped, the inner ones are kept.
+            document.querySelectorAll('table').forEach(table => {
+                if (table.closest(chromeSelector) || table.querySelector('table')) return;
+
+                const rows = [];
+                Array.from(table.rows).forEach(row => {
+                    const cells = Array.from(row.cells).map(cell => ({
+                        text: cell.textContent.trim(),
+                        header: cell.tagName === 'TH',
+                        rowspan: cell.rowSpan,
+                        colspan: cell.colSpan
+                    }));
+                    if (cells.length > 0) rows.push({ inHead: row.parentElement.tagName === 'THEAD', cells: cells });
                 });
 
-                document.querySelectorAll('ul, ol').forEach(list => {
-                    const listItems = [];
-                    list.querySelectorAll('li').forEach(item => {
-                        const text = item.textContent.trim();
-                        if (text && text.length > 10) listItems.push(text);
+                if (rows.length > 0) {
+                    data.tables.push({
+                        caption: table.caption ? table.caption.textContent.trim() : '',
+                        heading: precedingHeading(table),
+                        rows: rows
                     });
-                    if (listItems.length > 0) data.lists.push(listItems);
+                }
+            });
+
+            document.querySelectorAll('ul, ol').forEach(list => {
+                if (list.closest(chromeSelector)) return;
+                const listItems = [];
+                list.querySelectorAll('li').forEach(item => {
+                    const text = item.textContent.trim();
+                    if (text && text.length > 10) listItems.push(text);
                 });
+                if (listItems.length > 0) data.lists.push(listItems);
+            });
 
-                document.querySelectorAll('a[href]').forEach(link => {
-                    const href = link.getAttribute('href');
-                    const text = link.textContent.trim();
-                    if (href) {
-                        data.links.push({
-                            href: href,
-                            text: text || href,
-                            title: link.getAttribute('title') || '',
-                            className: link.className || '',
-                            parentText: link.parentElement ? link.parentElement.textContent.trim().substring(0, 100) : ''
-                        });
-                    }
+            // Person cards on faculty/people pages: the largest element around a single
+            // short designation line. Tables are left to the table extraction above.
+            const designationPattern = /\b(professor|lecturer|head of (the )?department|hod|dean|director|registrar|scientist)\b/i;
+            const linesOf = element => (element.innerText || '').split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+            const isCard = element => {
+                if (!element || element === document.body || (element.textContent || '').length > 1000) return false;
+                return linesOf(element).filter(line => line.length < 120 && designationPattern.test(line)).length === 1;
+            };
+
+            document.body.querySelectorAll('*').forEach(element => {
+                if (element.closest(`${chromeSelector}, table`)) return;
+                if (!isCard(element) || isCard(element.parentElement)) return;
+
+                const hrefs = Array.from(element.querySelectorAll('a[href]'))
+                    .map(link => ({ href: link.getAttribute('href'), text: link.textContent.trim() }));
+                data.profileCards.push({
+                    lines: linesOf(element),
+                    emails: hrefs.filter(link => /^mailto:/i.test(link.href)).map(link => link.href.replace(/^mailto:/i, '').split('?')[0]),
+                    phones: hrefs.filter(link => /^tel:/i.test(link.href)).map(link => link.href.replace(/^tel:/i, '')),
+                    links: hrefs.filter(link => !/^(mailto|tel|javascript):/i.test(link.href))
                 });
+            });
+
+            document.querySelectorAll('a[href]').forEach(link => {
+                const href = link.getAttribute('href');
+                const text = link.textContent.trim();
+                if (href) {
+                    data.links.push({
+                        href: href,
+                        text: text || href,
+                        title: link.getAttribute('title') || '',
+                        className: link.className || '',
+                        parentText: link.parentElement ? link.parentElement.textContent.trim().substring(0, 100) : '',
+                        // The list item or row a link sits in; notices keep their date there
+                        itemText: link.closest('li, tr, p, dd, article')?.textContent.replace(/\s+/g, ' ').trim().substring(0, 300) || ''
+                    });
+                }
+            });
 
-                return data;
+            return data;
+        });
+
+        return { pageData, validators, fetchMode: 'browser', status: response?.status() || null, redirects };
+    }
+
+    // `response` is a prefetched response, and `redirects` the redirects it followed
+    async fetchStatic(url, response = null, redirects = []) {
+        if (!response) {
+            response = await axios.get(url, {
+                responseType: 'text',
+                timeout: 45000,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+                    'Accept': 'text/html,application/xhtml+xml'
+                },
+                maxContentLength: 20 * 1024 * 1024,
+                beforeRedirect: recordRedirects(redirects)
             });
+        }
+
+        const html = String(response.data);
+        return {
+            pageData: extractStaticPageData(html),
+            validators: this.extractValidators(response.headers, html),
+            fetchMode: 'static',
+            status: response.status,
+            redirects: redirects
+        };
+    }
+
+    // `url` is fetched and recorded as given; only `visited` uses its canonical form
+    async scrapePage(url, depth = 0, page = this.page) {
+        const key = urlKey(url);
+        if (this.visited.has(key) || depth > this.maxDepth || this.visited.size >= this.maxPages) {
+            return null;
+        }
+
+        console.log(`🔍 Scraping [${depth}/${this.maxDepth}] (${this.visited.size}/${this.maxPages}): ${url}`);
+        this.visited.add(key);
+
+        let redirects = [];
+        let fetched = null;
+        try {
+            let validators = null;
+            let prefetched = null;
+
+            if (this.incremental) {
+                try {
+                    const { previous, response } = await this.fetchIfChanged('page', url, 'text', redirects);
+                    if (previous) {
+                        this.fetchLog.recordSuccess('page', url, { status: response.status, redirects });
+                        return this.carryForwardPage(previous, url, depth);
+                    }
+                    if (response) {
+                        prefetched = response;
+                        validators = this.extractValidators(response.headers, response.data);
+                    }
+                } catch (error) {
+                    // Validator check failed, fall back to a full render
+                    redirects = [];
+                }
+            }
 
-            const allContent = [
-                pageData.title,
-                ...pageData.headings.map(h => h.text),
-                ...pageData.content,
-                ...pageData.tables.flat().flat(),
-                ...pageData.lists.flat(),
-                pageData.metadata.description,
-                pageData.metadata.keywords
-            ].filter(Boolean).join(' ');
+            if (this.activeFetchMode === 'static') {
+                fetched = await this.fetchStatic(url, prefetched, redirects);
+            } else {
+                try {
+                    fetched = await this.fetchWithBrowser(url, validators, page);
+                } catch (error) {
+                    // An error status would only be fetched again
+                    if (this.fetchMode !== 'auto' || error instanceof HttpStatusError) throw error;
+                    console.warn(`⚠️ Browser fetch failed for ${url} (${error.message}), retrying with static fetch`);
+                    fetched = await this.fetchStatic(url, prefetched, redirects);
+                }
+            }
+
+            const { pageData } = fetched;
+            validators = fetched.validators;
+            pageData.tables = pageData.tables.map(normalizeTable).filter(Boolean);
+
+            const allContent = this.buildContent({ ...pageData, rawContent: pageData.content });
+
+            const contentHash = hashContent(allContent);
 
             const processedPage = {
                 url: url,
@@ -328,199 +751,611 @@ class NITJSRScraper {
                 rawContent: pageData.content,
                 tables: pageData.tables,
                 lists: pageData.lists,
+                profileCards: pageData.profileCards,
                 links: pageData.links,
                 metadata: pageData.metadata,
-                category: this.categorizeUrl(url, allContent),
-                wordCount: allContent.split(' ').length
+                ...this.categorizePage({ url: url, title: pageData.title, headings: pageData.headings, content: allContent }),
+                language: detectLanguage(allContent, pageData.metadata.lang),
+                wordCount: countWords(allContent),
+                fetchMode: fetched.fetchMode,
+                validators: { ...validators, contentHash: contentHash },
+                changeStatus: this.changeTracker.classify('page', url, contentHash)
             };
 
-            this.scrapedData.categories[processedPage.category].push(processedPage);
-            this.scrapedData.pages.push(processedPage);
-
-            pageData.links.forEach(link => {
-                try {
-                    const fullUrl = new URL(link.href, url).href;
-                    const linkData = {
-                        url: fullUrl,
-                        text: link.text,
-                        title: link.title,
-                        sourceUrl: url,
-                        sourceTitle: pageData.title,
-                        context: link.parentText
-                    };
-
-                    if (link.href.toLowerCase().includes('.pdf')) {
-                        this.scrapedData.links.pdf.push(linkData);
-                        this.pdfUrls.add(fullUrl);
-                    } else if (link.href.toLowerCase().match(/\.(jpg|jpeg|png|gif|webp)$/)) {
-                        this.scrapedData.links.image.push(linkData);
-                    } else if (fullUrl.includes('nitjsr.ac.in')) {
-                        this.scrapedData.links.internal.push(linkData);
-                        if (this.isValidUrl(fullUrl) && !this.visited.has(fullUrl)) {
-                            this.toVisit.add({url: fullUrl, depth: depth + 1});
-                        }
-                    } else {
-                        this.scrapedData.links.external.push(linkData);
-                    }
-                } catch (error) {
-                    // Invalid URL, skip
-                }
-            });
+            this.addPage(processedPage);
+            this.recordLinks(pageData.links, url, pageData.title, depth);
+            this.fetchLog.recordSuccess('page', url, { status: fetched.status, redirects: fetched.redirects });
 
-            console.log(`✅ Scraped: ${pageData.title} (${allContent.split(' ').length} words, ${pageData.links.length} links)`);
+            console.log(`✅ Scraped: ${pageData.title} (${processedPage.wordCount} words, ${pageData.links.length} links)`);
             return processedPage;
 
         } catch (error) {
             console.error(`❌ Failed to scrape ${url}:`, error.message);
+            this.fetchLog.recordFailure('page', url, error, {
+                status: fetched?.status,
+                redirects: fetched?.redirects || redirects
+            });
             return null;
         }
     }
 
-    async processPDFDocuments() {
-        console.log(`📄 Processing ${this.pdfUrls.size} discovered PDF documents...`);
-        
-        const pdfArray = Array.from(this.pdfUrls);
-        const maxPdfs = Math.min(pdfArray.length, 50); // Increased PDF limit
+    // Run a pool of workers (one browser page or HTTP client each) over the shared
+    // frontier until it is drained or the page budget is spent.
+    async crawl() {
+        const workers = [];
+        for (let id = 0; id < this.concurrency; id++) {
+            let page = null;
+            if (this.activeFetchMode === 'browser') {
+                page = id === 0 ? this.page : await this.createBrowserPage();
+            }
+            workers.push({ id, page });
+        }
+
+        console.log(`👷 Crawling with ${workers.length} ${this.activeFetchMode} workers (max ${this.maxPerHost} per host, ${this.hostLimiter.minDelay}ms apart)`);
+        await Promise.all(workers.map(worker => this.runWorker(worker)));
+        console.log(`📊 Crawl finished: ${this.progress.completed} pages scraped, ${this.progress.failed} failed, ${this.pdfUrls.size} PDFs found`);
+    }
+
+    async runWorker(worker) {
+        while (this.visited.size < this.maxPages && !this.signal?.aborted) {
+            const next = this.frontier.next();
+
+            if (!next) {
+                // Other workers may still add links; stop only when nothing is in flight
+                if (this.progress.inFlight === 0) break;
+                await new Promise(resolve => setTimeout(resolve, 100));
+                continue;
+            }
+
+            const { url, key, depth } = next;
+            if (this.visited.has(key) || this.inFlightUrls.has(key) || depth > this.maxDepth) continue;
+
+            this.inFlightUrls.set(key, { url, depth });
+            this.progress.inFlight++;
+            const release = await this.hostLimiter.acquire(url);
 
-        for (let i = 0; i < maxPdfs; i++) {
-            const pdfUrl = pdfArray[i];
             try {
-                console.log(`📖 Processing PDF ${i + 1}/${maxPdfs}: ${pdfUrl}`);
-                
-                const response = await axios.get(pdfUrl, { 
-                    responseType: 'arraybuffer',
-                    timeout: 60000, // Increased timeout
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                    },
-                    maxContentLength: 50 * 1024 * 1024 // 50MB limit
-                });
+                const result = await this.scrapePage(url, depth, worker.page);
+                if (result) {
+                    this.progress.completed++;
+                } else if (this.visited.has(key)) {
+                    this.progress.failed++;
+                }
+            } finally {
+                this.inFlightUrls.delete(key);
+                this.progress.inFlight--;
+                release();
+            }
+            this.reportProgress('crawl');
+
+            const done = this.progress.completed + this.progress.failed;
+            if (done > 0 && done % 20 === 0) {
+                console.log(`📊 Progress: ${this.progress.completed}/${this.maxPages} pages scraped, ${this.progress.failed} failed, ${this.progress.inFlight} in flight, ${this.pdfUrls.size} PDFs found`);
+            }
+            if (done > 0 && done % this.checkpointInterval === 0) {
+                await this.checkpoint();
+            }
+        }
+    }
+
+    // Flatten a page record (title, headings, rawContent blocks, tables, lists, metadata) into searchable text
+    buildContent(page) {
+        return [
+            page.title,
+            ...page.headings.map(h => h.text),
+            ...page.rawContent,
+            ...page.tables.map(tableToText),
+            ...page.lists.flat(),
+            page.metadata?.description,
+            page.metadata?.keywords
+        ].filter(Boolean).join(' ');
+    }
+
+    // Drop text blocks, lists and headings that repeat across many pages of the
+    // crawl (site header, mega-menu, footer, sidebar), then rebuild each page's
+    // content and category from what is left.
+    stripBoilerplate() {
+        const freshPages = this.scrapedData.pages.filter(page => page.changeStatus !== 'unchanged');
+        const detected = findBoilerplate(freshPages, {
+            threshold: this.boilerplateThreshold,
+            minPages: this.boilerplateMinPages
+        });
+        // Carried-forward pages were stripped last time, so keep the blocks found then as well
+        detected.forEach(key => this.boilerplateKeys.add(key));
+
+        if (this.boilerplateKeys.size === 0) return;
+
+        let removedBlocks = 0;
+        for (const page of this.scrapedData.pages) {
+            const removed = stripPageBoilerplate(page, this.boilerplateKeys);
+            if (removed === 0) continue;
 
-                const pdfData = await pdfParse(response.data);
-                
-                // Find the link information for this PDF
-                const linkInfo = this.scrapedData.links.pdf.find(link => link.url === pdfUrl);
-                
-                const pdfDoc = {
-                    url: pdfUrl,
-                    title: linkInfo ? linkInfo.text : pdfUrl.split('/').pop(),
+            removedBlocks += removed;
+            page.boilerplateRemoved = (page.boilerplateRemoved || 0) + removed;
+            page.content = this.buildContent(page);
+            page.wordCount = countWords(page.content);
+            page.language = detectLanguage(page.content, page.metadata?.lang);
+            Object.assign(page, this.categorizePage(page));
+        }
+
+        this.rebuildCategories();
+        this.scrapedData.boilerplate = {
+            threshold: this.boilerplateThreshold,
+            blocks: Array.from(this.boilerplateKeys)
+        };
+        console.log(`🧽 Removed ${removedBlocks} boilerplate blocks (${this.boilerplateKeys.size} distinct) across ${this.scrapedData.pages.length} pages`);
+    }
+
+    rebuildCategories() {
+        Object.keys(this.scrapedData.categories).forEach(category => {
+            this.scrapedData.categories[category] = [];
+        });
+        this.scrapedData.pages.forEach(page => {
+            categoriesOf(page).forEach(category => this.scrapedData.categories[category].push(page));
+        });
+    }
+
+    async processPDFDocuments() {
+        console.log(`📄 Processing ${this.pdfUrls.size} discovered PDF documents...`);
+
+        await this.processDocuments({
+            kind: 'pdf',
+            phase: 'pdfs',
+            label: 'PDF',
+            urls: Array.from(this.pdfUrls.values()),
+            links: this.scrapedData.links.pdf,
+            target: this.scrapedData.documents.pdfs,
+            // Records from before page-level extraction are re-parsed once to gain pageTexts
+            isReusable: previous => Boolean(previous.pageTexts),
+            extract: async data => {
+                const pdfData = await extractPdfPages(data);
+                return {
                     text: pdfData.text,
                     pages: pdfData.numpages,
-                    category: this.categorizeUrl(pdfUrl, pdfData.text),
+                    pageTexts: pdfData.pageTexts
+                };
+            }
+        });
+    }
+
+    async processAttachmentDocuments() {
+        console.log(`📎 Processing ${this.attachmentUrls.size} discovered attachments (DOCX/XLSX/PPTX)...`);
+
+        await this.processDocuments({
+            kind: 'attachment',
+            phase: 'attachments',
+            label: 'attachment',
+            urls: Array.from(this.attachmentUrls.values(), attachment => attachment.url),
+            links: this.scrapedData.links.attachment,
+            target: this.scrapedData.documents.other,
+            extract: async (data, url) => {
+                const { fileType } = this.attachmentUrls.get(urlKey(url));
+                return { fileType: fileType, ...await extractAttachment(fileType, data) };
+            }
+        });
+    }
+
+    // Download, parse and record linked documents, reusing unchanged ones from
+    // the previous snapshot. `extract(data, url)` returns at least `text` and `pages`.
+    async processDocuments({ kind, phase, label, urls, links, target, extract, isReusable = () => true }) {
+        const maxDocs = Math.min(urls.length, this.maxDocuments);
+        const processed = new Set(target.map(doc => urlKey(doc.url))); // Non-empty when resuming
+        const counter = `${phase}Done`;
+        this.progress[counter] = 0;
+
+        for (let i = 0; i < maxDocs; i++) {
+            this.progress[counter] = i;
+            this.reportProgress(phase);
+            if (this.signal?.aborted) break;
+
+            const docUrl = urls[i];
+            if (processed.has(urlKey(docUrl))) continue;
+
+            if (i > 0 && i % 5 === 0) {
+                await this.checkpoint();
+            }
+
+            if (this.robots && !this.robots.isAllowed(docUrl)) {
+                console.log(`🚫 Skipping ${label} disallowed by robots.txt: ${docUrl}`);
+                continue;
+            }
+
+            const release = await this.hostLimiter.acquire(docUrl);
+            const redirects = [];
+            let downloadStatus = null; // Set once the body has arrived, so later errors are parse errors
+            try {
+                console.log(`📖 Processing ${label} ${i + 1}/${maxDocs}: ${docUrl}`);
+
+                // Find the link information for this document
+                const linkInfo = links.find(link => urlKey(link.url) === urlKey(docUrl));
+
+                let response = null;
+                if (this.incremental) {
+                    const check = await this.fetchIfChanged(kind, docUrl, 'arraybuffer', redirects);
+                    if (check.previous && isReusable(check.previous)) {
+                        this.fetchLog.recordSuccess(kind, docUrl, { status: check.response.status, redirects });
+                        target.push({
+                            ...check.previous,
+                            url: docUrl,
+                            lastChecked: new Date().toISOString(),
+                            changeStatus: this.changeTracker.markUnchanged(kind, docUrl)
+                        });
+                        console.log(`♻️ Unchanged ${label}: ${check.previous.title} (reused from previous snapshot)`);
+                        continue;
+                    }
+                    response = check.response?.status === 304 ? null : check.response;
+                }
+
+                if (!response) {
+                    response = await axios.get(docUrl, { 
+                        responseType: 'arraybuffer',
+                        timeout: 60000, // Increased timeout
+                        headers: {
+                            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+                        },
+                        maxContentLength: 50 * 1024 * 1024, // 50MB limit
+                        beforeRedirect: recordRedirects(redirects)
+                    });
+                }
+                downloadStatus = response.status;
+
+                const contentHash = hashContent(response.data);
+                const previous = this.changeTracker.getPrevious(kind, docUrl);
+
+                // Same bytes as last time: keep the previous parse instead of parsing again
+                if (previous && isReusable(previous) && previous.validators?.contentHash === contentHash) {
+                    target.push({
+                        ...previous,
+                        url: docUrl,
+                        validators: { ...this.extractValidators(response.headers), contentHash: contentHash },
+                        lastChecked: new Date().toISOString(),
+                        changeStatus: this.changeTracker.classify(kind, docUrl, contentHash)
+                    });
+                    this.fetchLog.recordSuccess(kind, docUrl, { status: downloadStatus, redirects });
+                    console.log(`♻️ Unchanged ${label}: ${previous.title} (content hash match)`);
+                    continue;
+                }
+
+                const extracted = await extract(response.data, docUrl);
+
+                const title = linkInfo ? linkInfo.text : docUrl.split('/').pop();
+                const doc = {
+                    url: docUrl,
+                    title: title,
+                    ...extracted,
+                    ...this.categorizePage({ url: docUrl, title: title, content: extracted.text }),
+                    language: detectLanguage(extracted.text),
                     timestamp: new Date().toISOString(),
                     sourceUrl: linkInfo ? linkInfo.sourceUrl : '',
                     sourceTitle: linkInfo ? linkInfo.sourceTitle : '',
                     context: linkInfo ? linkInfo.context : '',
-                    wordCount: pdfData.text.split(' ').length
+                    wordCount: countWords(extracted.text),
+                    validators: { ...this.extractValidators(response.headers), contentHash: contentHash },
+                    changeStatus: this.changeTracker.classify(kind, docUrl, contentHash)
                 };
 
-                this.scrapedData.documents.pdfs.push(pdfDoc);
-                console.log(`✅ Processed PDF: ${pdfData.numpages} pages, ${pdfDoc.wordCount} words`);
+                target.push(doc);
+                this.fetchLog.recordSuccess(kind, docUrl, { status: downloadStatus, redirects });
+                console.log(`✅ Processed ${label}: ${doc.pages ?? '?'} pages, ${doc.wordCount} words`);
 
             } catch (error) {
-                console.error(`❌ Failed to process PDF ${pdfUrl}:`, error.message);
+                console.error(`❌ Failed to process ${label} ${docUrl}:`, error.message);
+                this.fetchLog.recordFailure(kind, docUrl, error, { status: downloadStatus, redirects });
+            } finally {
+                release();
             }
         }
+        if (!this.signal?.aborted) {
+            this.progress[counter] = maxDocs;
+            this.reportProgress(phase);
+        }
+    }
+
+    // Crawl progress for background jobs: phase (crawl, pdfs, attachments or
+    // saving), pages done and failed against the budget, documents done
+    progressSnapshot(phase) {
+        return {
+            phase: phase,
+            crawlId: this.crawlId,
+            pagesDone: this.progress.completed,
+            pagesFailed: this.progress.failed,
+            pagesQueued: this.frontier.size,
+            maxPages: this.maxPages,
+            pdfsDone: this.progress.pdfsDone,
+            pdfsTotal: Math.min(this.pdfUrls.size, this.maxDocuments),
+            attachmentsDone: this.progress.attachmentsDone,
+            attachmentsTotal: Math.min(this.attachmentUrls.size, this.maxDocuments)
+        };
+    }
+
+    reportProgress(phase) {
+        if (this.onProgress) {
+            this.onProgress(this.progressSnapshot(phase));
+        }
+    }
+
+    // Throws the abort reason once options.signal has been aborted
+    throwIfCancelled() {
+        this.signal?.throwIfAborted();
     }
 
     async scrapeComprehensive() {
         try {
+            this.resetState();
             await this.initialize();
-            
-            //TODO: Add more start URLs
-            const startUrls = [
-                'https://nitjsr.ac.in/',
-                'https://nitjsr.ac.in/Students/Placements',
-                'https://nitjsr.ac.in/Students/Training-Placements',
-                'https://nitjsr.ac.in/Admissions',
-                'https://nitjsr.ac.in/Academics',
-                'https://nitjsr.ac.in/Faculty',
-                'https://nitjsr.ac.in/Research',
-                'https://nitjsr.ac.in/Students',
-                'https://nitjsr.ac.in/Administration',
-                'https://nitjsr.ac.in/Departments/CSE',
-                'https://nitjsr.ac.in/Departments/ECE',
-                'https://nitjsr.ac.in/Departments/EEE',
-                'https://nitjsr.ac.in/Departments/ME',
-                'https://nitjsr.ac.in/Departments/CE',
-                'https://nitjsr.ac.in/Departments/CHE',
-                'https://nitjsr.ac.in/Departments/MME',
-                'https://nitjsr.ac.in/Departments/Physics',
-                'https://nitjsr.ac.in/Departments/Chemistry',
-                'https://nitjsr.ac.in/Departments/Mathematics',
-                'https://nitjsr.ac.in/Departments/HSS',
-                'https://nitjsr.ac.in/About',
-                'https://nitjsr.ac.in/Infrastructure',
-                'https://nitjsr.ac.in/News',
-                'https://nitjsr.ac.in/Events',
-                'https://nitjsr.ac.in/Tenders',
-                'https://nitjsr.ac.in/Recruitments',
-                'https://nitjsr.ac.in/People/Faculty'//Doesn't work IDK why
-            ];
+
+            if (this.incremental) {
+                await this.loadBaseline();
+            }
+
+            if (this.respectRobots) {
+                await this.loadRobots();
+            }
+
+            let startUrls = this.useSitemaps ? await this.discoverSeeds() : [];
+            this.scrapedData.metadata.seedSource = startUrls.length > 0 ? 'sitemap' : 'fallback';
+            if (startUrls.length === 0) {
+                // The profile's seeds, used only when no sitemap is available
+                startUrls = this.profile.seeds.filter(url => this.isValidUrl(url));
+            }
 
             // Add starting URLs to visit queue
             startUrls.forEach(url => {
-                this.toVisit.add({url: url, depth: 0});
+                this.frontier.add(url, 0);
             });
 
-            console.log(`🌐 Starting enhanced comprehensive scrape of ${startUrls.length} main sections...`);
+            console.log(`🌐 Starting enhanced comprehensive scrape of ${startUrls.length} ${this.scrapedData.metadata.seedSource} seed URLs...`);
 
-            while (this.toVisit.size > 0 && this.visited.size < this.maxPages) {
-                const {url, depth} = Array.from(this.toVisit)[0];
-                this.toVisit.delete(Array.from(this.toVisit)[0]);
+            await this.checkpoint();
+            this.reportProgress('crawl');
+            await this.crawl();
 
-                await this.scrapePage(url, depth);
-                
-                if (this.visited.size % 20 === 0) {
-                    console.log(`📊 Progress: ${this.visited.size}/${this.maxPages} pages scraped, ${this.pdfUrls.size} PDFs found`);
-                }
-            }
+            return await this.finishCrawl();
+
+        } catch (error) {
+            console.error('❌ Enhanced comprehensive scraping failed:', error.message);
+            // A cancelled crawl keeps its checkpoint, so it can be resumed later
+            await this.checkpoint(this.signal?.aborted ? 'cancelled' : 'failed', error);
+            await this.cleanup();
+            throw error;
+        }
+    }
 
-            await this.processPDFDocuments();
+    async finishCrawl() {
+        this.throwIfCancelled();
+        if (this.phase === 'crawl') {
+            this.stripBoilerplate();
+        }
 
-            this.updateStatistics();
+        this.phase = 'pdfs';
+        await this.checkpoint();
+        await this.processPDFDocuments();
+        this.throwIfCancelled();
+        await this.processAttachmentDocuments();
+        this.throwIfCancelled();
 
-            const result = await this.saveData();
-            await this.cleanup();
+        this.tagLanguages();
+        this.updateStatistics();
+
+        this.reportProgress('saving');
+        const result = await this.saveData();
+        await deleteCheckpoint(this.checkpointDir, this.crawlId);
+        await this.cleanup();
+
+        return result;
+    }
+
+    // Resume an interrupted crawl from its last checkpoint in scraped_data/checkpoints
+    async resumeCrawl(crawlId) {
+        const checkpoint = await loadCheckpoint(this.checkpointDir, crawlId);
+        if (!checkpoint) {
+            throw new Error(`No checkpoint found for crawl ${crawlId}`);
+        }
 
-            return result;
+        try {
+            this.restoreCheckpoint(checkpoint);
+            console.log(`⏯️ Resuming ${crawlId} in ${this.phase} phase: ${this.scrapedData.pages.length} pages done, ${this.frontier.size} queued`);
+
+            await this.initialize();
+
+            if (this.incremental && this.scrapedData.metadata.baselineSnapshot) {
+                await this.loadBaseline(this.scrapedData.metadata.baselineSnapshot);
+                this.changeTracker.restoreStatus(checkpoint.changeStatus);
+            }
+
+            if (this.respectRobots) {
+                await this.loadRobots();
+            }
+
+            if (this.phase === 'crawl') {
+                await this.crawl();
+            }
+
+            return await this.finishCrawl();
 
         } catch (error) {
-            console.error('❌ Enhanced comprehensive scraping failed:', error.message);
+            console.error(`❌ Resumed crawl ${crawlId} failed:`, error.message);
+            await this.checkpoint(this.signal?.aborted ? 'cancelled' : 'failed', error);
             await this.cleanup();
             throw error;
         }
     }
 
+    // Re-run the PDF and attachment phase over the documents linked from a saved
+    // snapshot and save the result as a new snapshot with the same pages. In
+    // incremental mode documents unchanged since that snapshot are reused.
+    async processSnapshotDocuments(filename) {
+        const snapshot = await findSnapshot(this.dataDir, filename);
+        const data = await loadSnapshot(snapshot.filepath);
+
+        this.resetState();
+        this.phase = 'pdfs';
+        this.scrapedData = {
+            ...data,
+            metadata: {
+                ...data.metadata,
+                timestamp: this.scrapedData.metadata.timestamp,
+                crawlId: this.crawlId,
+                documentsFrom: snapshot.filename
+            },
+            documents: { ...data.documents, pdfs: [], other: [] }
+        };
+        data.links.pdf.forEach(link => this.addPdfUrl(link.url));
+        (data.links.attachment || []).forEach(link => this.addAttachmentUrl(link.url, link.fileType));
+        // Keep the page outcomes; documents are fetched again
+        this.fetchLog = new FetchLog(data.fetchLog || []);
+        this.fetchLog.clear('pdf');
+        this.fetchLog.clear('attachment');
+
+        if (this.incremental) {
+            this.changeTracker.loadBaseline(data, snapshot.filename);
+            this.scrapedData.metadata.baselineSnapshot = snapshot.filename;
+            this.scrapedData.pages.forEach(page => {
+                page.changeStatus = this.changeTracker.markUnchanged('page', page.url);
+            });
+        }
+
+        if (this.respectRobots) {
+            await this.loadRobots();
+        }
+
+        console.log(`📂 Processing documents of ${snapshot.filename}: ${this.pdfUrls.size} PDFs, ${this.attachmentUrls.size} attachments`);
+        await this.processPDFDocuments();
+        await this.processAttachmentDocuments();
+
+        this.tagLanguages();
+        this.updateStatistics();
+        return await this.saveData();
+    }
+
+    async listIncompleteCrawls() {
+        return listCheckpoints(this.checkpointDir);
+    }
+
+    // Persist the frontier and partial results. Writes are serialized so that
+    // concurrent workers never interleave two checkpoints of the same crawl.
+    async checkpoint(status = 'running', error = null) {
+        const previousWrite = this.checkpointWrite || Promise.resolve();
+        this.checkpointWrite = previousWrite.then(() => {
+            // URLs claimed by a worker but not finished are re-queued on resume
+            const inFlight = Array.from(this.inFlightUrls.values());
+
+            return saveCheckpoint(this.checkpointDir, {
+                crawlId: this.crawlId,
+                status: status,
+                phase: this.phase,
+                error: error ? error.message : null,
+                updatedAt: new Date().toISOString(),
+                visited: Array.from(this.visited).filter(url => !this.inFlightUrls.has(url)),
+                toVisit: [...inFlight, ...this.frontier.toJSON()],
+                pdfUrls: Array.from(this.pdfUrls.values()),
+                attachmentUrls: Array.from(this.attachmentUrls.values(), ({ url, fileType }) => [url, fileType]),
+                sitemapEntries: Array.from(this.sitemapEntries.values()),
+                changeStatus: this.changeTracker.exportStatus(),
+                fetchLog: this.fetchLog.toJSON(),
+                profile: this.profile,
+                scrapedData: this.scrapedData
+            });
+        }).catch(writeError => {
+            console.error(`⚠️ Failed to write checkpoint for ${this.crawlId}:`, writeError.message);
+        });
+        return this.checkpointWrite;
+    }
+
+    restoreCheckpoint(checkpoint) {
+        // Resume with the profile the crawl was started with
+        if (checkpoint.profile) {
+            this.applyProfile(validateCrawlProfile(checkpoint.profile, `checkpoint ${checkpoint.crawlId}`));
+        }
+        this.resetState();
+
+        this.crawlId = checkpoint.crawlId;
+        this.phase = checkpoint.phase || 'crawl';
+        this.scrapedData = checkpoint.scrapedData;
+        this.maxPages = this.scrapedData.metadata.maxPages || this.maxPages;
+        this.maxDepth = this.scrapedData.metadata.maxDepth || this.maxDepth;
+        this.visited = new Set(checkpoint.visited);
+        this.visited.forEach(url => this.frontier.markSeen(url));
+        checkpoint.toVisit.forEach(({ url, depth }) => this.frontier.add(url, depth));
+        checkpoint.pdfUrls.forEach(url => this.addPdfUrl(url));
+        (checkpoint.attachmentUrls || []).forEach(([url, fileType]) => this.addAttachmentUrl(url, fileType));
+        this.sitemapEntries = new Map((checkpoint.sitemapEntries || []).map(entry => [entry.loc, entry]));
+        this.changeTracker.restoreStatus(checkpoint.changeStatus);
+        this.fetchLog = new FetchLog(checkpoint.fetchLog || []);
+        this.progress.completed = this.scrapedData.pages.length;
+    }
+
+    // Detect the language of records from older snapshots and link the
+    // Hindi and English versions of pages and documents to each other
+    tagLanguages() {
+        const { pages, documents } = this.scrapedData;
+        [...pages, ...documents.pdfs, ...documents.other].forEach(record => {
+            record.language = record.language || detectLanguage(record.content || record.text || '', record.metadata?.lang);
+        });
+
+        const linked = linkTranslations(pages) + linkTranslations(documents.pdfs) + linkTranslations(documents.other);
+        if (linked > 0) {
+            console.log(`🌐 Linked ${linked} pages and documents to their Hindi/English versions`);
+        }
+    }
+
     updateStatistics() {
         this.scrapedData.statistics.totalPages = this.scrapedData.pages.length;
         this.scrapedData.statistics.totalPDFs = this.scrapedData.documents.pdfs.length;
+        this.scrapedData.statistics.totalAttachments = this.scrapedData.documents.other.length;
         this.scrapedData.statistics.totalLinks = 
             this.scrapedData.links.internal.length + 
             this.scrapedData.links.external.length + 
             this.scrapedData.links.pdf.length + 
+            this.scrapedData.links.attachment.length +
             this.scrapedData.links.image.length;
-        this.scrapedData.statistics.categorizedPages = Object.values(this.scrapedData.categories)
-            .reduce((sum, category) => sum + category.length, 0);
+        this.scrapedData.statistics.categorizedPages = this.scrapedData.pages
+            .filter(page => page.category !== GENERAL).length;
+        this.scrapedData.statistics.multiLabelPages = this.scrapedData.pages
+            .filter(page => categoriesOf(page).length > 1).length;
+
+        const languages = {};
+        this.scrapedData.pages.forEach(page => {
+            const language = page.language || 'unknown';
+            languages[language] = (languages[language] || 0) + 1;
+        });
+        this.scrapedData.statistics.languages = languages;
+        this.scrapedData.statistics.translatedPages = this.scrapedData.pages.filter(page => page.translations).length;
+
+        this.scrapedData.fetchLog = this.fetchLog.toJSON();
+        const fetchSummary = this.fetchLog.summary();
+        this.scrapedData.statistics.brokenLinks = fetchSummary.broken;
+        this.scrapedData.statistics.redirectedLinks = fetchSummary.redirected;
+        this.scrapedData.statistics.fetchErrors = fetchSummary.byErrorType;
+
+        this.scrapedData.changes = this.changeTracker.summary();
+        const pageChanges = this.scrapedData.changes.pages;
+        this.scrapedData.statistics.newPages = pageChanges.new.length;
+        this.scrapedData.statistics.changedPages = pageChanges.changed.length;
+        this.scrapedData.statistics.unchangedPages = pageChanges.unchanged.length;
+        this.scrapedData.statistics.removedPages = pageChanges.removed.length;
     }
 
     async saveData() {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '_');
-        const filename = `nitjsr_enhanced_comprehensive_${timestamp}.json`;
-        const filepath = path.join(__dirname, 'scraped_data', filename);
-
-        // Ensure directory exists
-        await fs.mkdir(path.dirname(filepath), { recursive: true });
+        const { filename, filepath, manifest } = await writeSnapshot(this.dataDir, `nitjsr_enhanced_comprehensive_${timestamp}`, this.scrapedData);
 
-        // Save the data
-        await fs.writeFile(filepath, JSON.stringify(this.scrapedData, null, 2), 'utf8');
+        // Structured placement statistics, the faculty directory and the notice feed are saved next to the snapshot
+        const placements = buildPlacementDataset(this.scrapedData, filename);
+        const placementsPath = await savePlacementDataset(this.dataDir, placements);
+        const faculty = buildFacultyDirectory(this.scrapedData, filename);
+        const facultyPath = await saveFacultyDirectory(this.dataDir, faculty);
+        const notices = buildNoticeFeed(this.scrapedData, filename);
+        const noticesPath = await saveNoticeFeed(this.dataDir, notices);
 
         const summary = {
             filename: filename,
             timestamp: new Date().toISOString(),
             totalPages: this.scrapedData.statistics.totalPages,
             totalPDFs: this.scrapedData.statistics.totalPDFs,
+            totalAttachments: this.scrapedData.statistics.totalAttachments,
             totalLinks: this.scrapedData.statistics.totalLinks,
+            brokenLinks: this.scrapedData.statistics.brokenLinks,
             categories: Object.keys(this.scrapedData.categories).map(cat => ({
                 name: cat,
                 count: this.scrapedData.categories[cat].length
@@ -529,20 +1364,67 @@ class NITJSRScraper {
                 title: pdf.title,
                 pages: pdf.pages,
                 wordCount: pdf.wordCount,
-                category: pdf.category
+                category: pdf.category,
+                changeStatus: pdf.changeStatus
             })),
+            changes: {
+                baseline: this.scrapedData.metadata.baselineSnapshot,
+                pages: Object.fromEntries(Object.entries(this.scrapedData.changes?.pages || {})
+                    .map(([status, urls]) => [status, urls.length])),
+                pdfs: Object.fromEntries(Object.entries(this.scrapedData.changes?.pdfs || {})
+                    .map(([status, urls]) => [status, urls.length])),
+                attachments: Object.fromEntries(Object.entries(this.scrapedData.changes?.attachments || {})
+                    .map(([status, urls]) => [status, urls.length]))
+            },
+            placements: {
+                records: placements.totalRecords,
+                years: placements.years,
+                filepath: placementsPath
+            },
+            faculty: {
+                records: faculty.totalRecords,
+                departments: faculty.departments.length,
+                filepath: facultyPath
+            },
+            notices: {
+                records: notices.totalRecords,
+                types: notices.types,
+                filepath: noticesPath
+            },
+            recordsBytes: manifest.recordsBytes,
             filepath: filepath
         };
 
-        console.log(`💾 Data saved to: ${filepath}`);
-        console.log(`📊 Summary: ${summary.totalPages} pages, ${summary.totalPDFs} PDFs, ${summary.totalLinks} links`);
+        console.log(`💾 Data saved to: ${filepath} (${Math.round(manifest.recordsBytes / 1024)} KB of records)`);
+        console.log(`📊 Summary: ${summary.totalPages} pages, ${summary.totalPDFs} PDFs, ${summary.totalAttachments} attachments, ${summary.totalLinks} links`);
+        console.log(`🎓 Placement dataset: ${placements.totalRecords} records saved to ${placementsPath}`);
+        console.log(`👩‍🏫 Faculty directory: ${faculty.totalRecords} people saved to ${facultyPath}`);
+        console.log(`📢 Notices: ${notices.totalRecords} notices saved to ${noticesPath}`);
+        const fetchErrors = Object.entries(this.scrapedData.statistics.fetchErrors);
+        if (fetchErrors.length > 0) {
+            console.log(`💔 ${summary.brokenLinks} broken links (fetch errors: ${fetchErrors.map(([type, n]) => `${n} ${type}`).join(', ')})`);
+        }
+        if (summary.changes.baseline) {
+            const pages = summary.changes.pages;
+            console.log(`♻️ Changes since ${summary.changes.baseline}: ${pages.new} new, ${pages.changed} changed, ${pages.unchanged} unchanged, ${pages.removed} removed`);
+        }
+
+        if (this.retention) {
+            const pruned = await pruneSnapshots(this.dataDir, this.retention);
+            if (pruned.length > 0) {
+                console.log(`🗑️ Retention: removed ${pruned.length} old snapshots (keeping the last ${this.retention.keepLast} and one per month for ${this.retention.keepMonthly} months of each profile)`);
+            }
+            summary.prunedSnapshots = pruned.map(snapshot => snapshot.filename);
+        }
 
-        return { summary, filepath, data: this.scrapedData };
+        return { summary, filepath, data: this.scrapedData, placements, faculty, notices };
     }
 
     async cleanup() {
         if (this.browser) {
             await this.browser.close();
+            this.browser = null;
+            this.page = null;
             console.log('🧹 Browser cleanup completed');
         }
     }
@@ -1,7 +1,6 @@
 import dotenv from 'dotenv';
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -13,16 +12,45 @@ dotenv.config();
 
 import { NITJSRScraper } from './scraper.js';
 import { NITJSRRAGSystem } from './RagSystem.js';
+import {
+    buildPlacementDataset,
+    loadPlacementDataset,
+    filterPlacements,
+    summarizePlacements,
+    aggregatePlacements
+} from './lib/placements.js';
+import { buildFacultyDirectory, loadFacultyDirectory, searchFaculty } from './lib/faculty.js';
+import { buildNoticeFeed, loadNoticeFeed, filterNotices, toRss, toAtom } from './lib/notices.js';
+import { diffSnapshotFiles } from './lib/snapshotDiff.js';
+import { brokenLinkReportFile } from './lib/fetchLog.js';
+import { loadCrawlProfile, listCrawlProfiles } from './lib/crawlProfiles.js';
+import { loadCheckpoint } from './lib/checkpoints.js';
+import { listSnapshots, loadSnapshot, loadLatestSnapshot, loadSnapshotManifest, snapshotName } from './lib/snapshots.js';
+import { JobManager, FINISHED_JOB_STATUSES } from './lib/jobs.js';
+import { SCHEDULES_FILE, loadSchedules, Scheduler } from './lib/scheduler.js';
+import { createVectorStore, vectorStoreConfig, vectorStoreEnvironment } from './lib/vectorStore.js';
+import { providerConfig, providerEnvironment, createChatProvider, createEmbeddingProvider } from './lib/providers.js';
 
 class NITJSRServer {
     constructor() {
         this.app = express();
         this.ragSystem = new NITJSRRAGSystem();
-        this.scraper = new NITJSRScraper({ 
-            maxPages: 250, 
-            maxDepth: 4, 
-            delay: 1000 
-        });
+        // Limits, delays and the site itself come from the crawl profile (profiles/)
+        this.scraperOptions = {
+            fetchMode: process.env.SCRAPER_FETCH_MODE?.trim() || 'auto',
+            // Old snapshots are pruned after each crawl only when either is set
+            retention: {
+                keepLast: process.env.SNAPSHOT_KEEP_LAST?.trim(),
+                keepMonthly: process.env.SNAPSHOT_KEEP_MONTHLY?.trim()
+            }
+        };
+        this.scraper = new NITJSRScraper(this.scraperOptions);
+        this.jobs = new JobManager(); // Background scrapes, one at a time
+        this.scheduler = null; // Started with the server, see startScheduler()
+        this.eventStreams = new Set(); // Functions ending the open /scrape/:id/events responses
+        this.placements = null;
+        this.faculty = null;
+        this.notices = null;
         this.isInitialized = false;
         this.setupMiddleware();
         this.setupRoutes();
@@ -72,8 +100,8 @@ class NITJSRServer {
                     initialized: this.isInitialized,
                     vectorDatabase: indexStats,
                     environment: process.env.NODE_ENV || 'development',
-                    aiProvider: 'Google Gemini',
-                    pineconeIndex: process.env.PINECONE_INDEX_NAME?.trim() || 'Not configured'
+                    aiProvider: this.describeProviders(),
+                    vectorStore: this.describeVectorStore()
                 });
             } catch (error) {
                 res.status(500).json({
@@ -86,7 +114,7 @@ class NITJSRServer {
         // Initialize system endpoint
         this.app.post('/initialize', async (req, res) => {
             try {
-                console.log('🔄 Starting Gemini RAG system initialization...');
+                console.log('🔄 Starting RAG system initialization...');
 
                 // Validate environment variables
                 this.validateEnvironment();
@@ -95,16 +123,18 @@ class NITJSRServer {
 
                 res.json({
                     success: true,
-                    message: 'Gemini RAG system initialized successfully',
+                    message: 'RAG system initialized successfully',
                     timestamp: new Date().toISOString(),
-                    aiProvider: 'Google Gemini',
-                    pineconeIndex: process.env.PINECONE_INDEX_NAME?.trim()
+                    aiProvider: this.describeProviders(),
+                    vectorStore: this.describeVectorStore()
                 });
             } catch (error) {
                 console.error('❌ Initialization failed:', error);
-                res.status(500).json({
+                const status = error.message.includes('job is already running') ? 409 : 500;
+                res.status(status).json({
                     success: false,
-                    error: error.message
+                    error: error.message,
+                    ...(status === 409 && { runningJob: this.jobs.running?.id })
                 });
             }
         });
@@ -112,7 +142,7 @@ class NITJSRServer {
         // Chat endpoint - main RAG functionality
         this.app.post('/chat', async (req, res) => {
             try {
-                const { question } = req.body;
+                const { question, category } = req.body;
 
                 if (!question || question.trim().length === 0) {
                     return res.status(400).json({
@@ -128,14 +158,14 @@ class NITJSRServer {
                     });
                 }
 
-                console.log(`💬 Processing question with Gemini: "${question}"`);
-                const response = await this.ragSystem.chat(question);
+                console.log(`💬 Processing question: "${question}"`);
+                const response = await this.ragSystem.chat(question, { category });
 
                 res.json({
                     success: true,
                     question: question,
                     timestamp: new Date().toISOString(),
-                    aiProvider: 'Google Gemini',
+                    aiProvider: this.describeProviders(),
                     ...response
                 });
 
@@ -148,36 +178,409 @@ class NITJSRServer {
             }
         });
 
-        // Scrape fresh data endpoint
+        // Start a crawl as a background job; progress via GET /scrape/:id or its event stream
         this.app.post('/scrape', async (req, res) => {
+            try {
+                const { force = false, fetchMode, profile } = req.body;
+
+                // Built up front so an unknown profile or fetch mode is reported before the job starts
+                const scraper = new NITJSRScraper({
+                    ...this.scraperOptions,
+                    ...(fetchMode && { fetchMode }),
+                    ...(profile && { profile: await loadCrawlProfile(profile) })
+                });
+
+                const job = this.startScrapeJob('scrape', scraper, { force, fetchMode, profile },
+                    () => {
+                        console.log(`🚀 Starting comprehensive data scrape (${scraper.profile.name} profile)...`);
+                        return scraper.scrapeComprehensive();
+                    });
+
+                res.status(202).json(this.jobResponse(job));
+
+            } catch (error) {
+                console.error('❌ Scrape error:', error);
+                let status = 500;
+                if (error.message.startsWith('Crawl profile not found')) status = 404;
+                if (/^Invalid (crawl profile|fetchMode)/.test(error.message)) status = 400;
+                if (error.message.includes('job is already running')) status = 409;
+                res.status(status).json({
+                    success: false,
+                    error: error.message,
+                    ...(status === 409 && { runningJob: this.jobs.running?.id })
+                });
+            }
+        });
+
+        // Recent scrape jobs, newest first
+        this.app.get('/scrape', (req, res) => {
+            res.json({
+                success: true,
+                running: this.jobs.running?.id || null,
+                jobs: this.jobs.list()
+            });
+        });
+
+        this.app.get('/scrape/:id', (req, res) => {
+            const job = this.jobs.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Scrape job not found: ${req.params.id}`
+                });
+            }
+            res.json({
+                success: true,
+                job: job
+            });
+        });
+
+        // Server-sent events: the current state, a `progress` event per update
+        // and a final `done` event once the job completes, fails or is cancelled
+        this.app.get('/scrape/:id/events', (req, res) => {
+            const job = this.jobs.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Scrape job not found: ${req.params.id}`
+                });
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+
+            const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+            const close = () => {
+                clearInterval(heartbeat);
+                this.jobs.off('update', onUpdate);
+                this.eventStreams.delete(end);
+            };
+            const end = () => {
+                close();
+                res.end();
+            };
+            const onUpdate = updated => {
+                if (updated.id !== job.id) return;
+                if (FINISHED_JOB_STATUSES.includes(updated.status)) {
+                    send('done', updated);
+                    end();
+                } else {
+                    send('progress', updated);
+                }
+            };
+
+            req.on('close', close);
+            if (FINISHED_JOB_STATUSES.includes(job.status)) {
+                send('done', job);
+                return end();
+            }
+            send('progress', job);
+            this.jobs.on('update', onUpdate);
+            this.eventStreams.add(end);
+        });
+
+        // Cancel a running job; the crawl keeps its checkpoint and can be resumed
+        this.app.delete('/scrape/:id', (req, res) => {
+            const job = this.jobs.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Scrape job not found: ${req.params.id}`
+                });
+            }
+            if (!this.jobs.cancel(job.id)) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Scrape job ${job.id} has already finished (${job.status})`
+                });
+            }
+
+            console.log(`🛑 Cancelling scrape job ${job.id}...`);
+            res.status(202).json({
+                success: true,
+                message: `Scrape job ${job.id} is being cancelled`,
+                job: job
+            });
+        });
+
+        // Crawl profiles that POST /scrape accepts
+        this.app.get('/profiles', async (req, res) => {
+            try {
+                const names = await listCrawlProfiles();
+                const profiles = await Promise.all(names.map(name => loadCrawlProfile(name)
+                    .then(profile => ({
+                        name: profile.name,
+                        description: profile.description,
+                        baseUrl: profile.baseUrl,
+                        seeds: profile.seeds.length,
+                        include: profile.include,
+                        limits: profile.limits
+                    }))
+                    .catch(error => ({ name: name, error: error.message }))));
+
+                res.json({
+                    success: true,
+                    profiles: profiles
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // List crawls that were interrupted before their snapshot was saved
+        this.app.get('/crawls/incomplete', async (req, res) => {
+            try {
+                const crawls = await this.scraper.listIncompleteCrawls();
+                res.json({
+                    success: true,
+                    crawls: crawls
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Resume an interrupted or cancelled crawl from its checkpoint as a background job
+        this.app.post('/crawls/:crawlId/resume', async (req, res) => {
             try {
                 const { force = false } = req.body;
+                const { crawlId } = req.params;
+
+                if (!await loadCheckpoint(this.scraper.checkpointDir, crawlId)) {
+                    throw new Error(`No checkpoint found for crawl ${crawlId}`);
+                }
+
+                // A fresh scraper, since resuming switches it to the profile the crawl was started with
+                const scraper = new NITJSRScraper(this.scraperOptions);
+                const job = this.startScrapeJob('resume', scraper, { force, crawlId },
+                    () => {
+                        console.log(`⏯️ Resuming crawl ${crawlId}...`);
+                        return scraper.resumeCrawl(crawlId);
+                    });
+
+                res.status(202).json(this.jobResponse(job));
+
+            } catch (error) {
+                console.error('❌ Resume error:', error);
+                let status = 500;
+                if (error.message.startsWith('No checkpoint found')) status = 404;
+                if (error.message.includes('job is already running')) status = 409;
+                res.status(status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Recurring crawls from schedules.json with their last and next runs
+        this.app.get('/schedules', (req, res) => {
+            if (!this.scheduler) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Scheduler not started'
+                });
+            }
+            res.json({
+                success: true,
+                enabled: this.scheduler.enabled,
+                schedules: this.scheduler.list()
+            });
+        });
 
-                console.log('🚀 Starting comprehensive data scrape...');
-                const scrapeResult = await this.scraper.scrapeComprehensive();
+        this.app.get('/schedules/:name', (req, res) => {
+            const schedule = this.scheduler?.get(req.params.name);
+            if (!schedule) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Schedule not found: ${req.params.name}`
+                });
+            }
+            res.json({
+                success: true,
+                schedule: schedule
+            });
+        });
 
-                // Load and process the scraped data
-                const scrapedData = JSON.parse(await fs.readFile(scrapeResult.filepath, 'utf8'));
+        // Run a schedule now, as a scrape job
+        this.app.post('/schedules/:name/run', async (req, res) => {
+            try {
+                if (!this.scheduler) {
+                    throw new Error(`Schedule not found: ${req.params.name} (scheduler not started)`);
+                }
+                const job = await this.scheduler.run(req.params.name);
+                res.status(202).json(this.jobResponse(job));
+            } catch (error) {
+                console.error('❌ Schedule run error:', error.message);
+                let status = 500;
+                if (error.message.startsWith('Schedule not found')) status = 404;
+                if (error.message.includes('job is already running')) status = 409;
+                res.status(status).json({
+                    success: false,
+                    error: error.message,
+                    ...(status === 409 && { runningJob: this.jobs.running?.id })
+                });
+            }
+        });
 
-                // Clear existing data if force flag is set
-                if (force) {
-                    console.log('🗑️ Clearing existing vector data...');
-                    await this.ragSystem.clearIndex();
+        // Structured placement statistics with filtering and aggregation
+        this.app.get('/placements', (req, res) => {
+            try {
+                if (!this.placements) {
+                    return res.status(503).json({
+                        success: false,
+                        error: 'Placement data not loaded. Please call /initialize or /scrape first.'
+                    });
                 }
 
-                // Process and store new data
-                await this.ragSystem.processAndStoreDocuments(scrapedData);
+                const { year, branch, company, type, minCtc, maxCtc, groupBy, limit = 100 } = req.query;
+                const filters = { year, branch, company, type, minCtc, maxCtc };
+                const records = filterPlacements(this.placements.records, filters);
+
+                let groups = null;
+                try {
+                    groups = groupBy ? aggregatePlacements(records, groupBy) : null;
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
 
                 res.json({
                     success: true,
-                    message: 'Comprehensive data scraped and processed successfully',
-                    summary: scrapeResult.summary,
-                    timestamp: new Date().toISOString(),
-                    aiProvider: 'Google Gemini'
+                    snapshot: this.placements.snapshot,
+                    crawledAt: this.placements.crawledAt,
+                    filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+                    totalRecords: records.length,
+                    summary: summarizePlacements(records),
+                    groups: groups,
+                    records: records.slice(0, parseInt(limit, 10) || 100)
                 });
 
             } catch (error) {
-                console.error('❌ Scrape error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Faculty directory search by name, department or research area
+        this.app.get('/faculty', (req, res) => {
+            try {
+                if (!this.faculty) {
+                    return res.status(503).json({
+                        success: false,
+                        error: 'Faculty directory not loaded. Please call /initialize or /scrape first.'
+                    });
+                }
+
+                const { q, name, department, area, limit = 50 } = req.query;
+                const filters = { q, name, department, area };
+                const records = searchFaculty(this.faculty.records, filters);
+
+                res.json({
+                    success: true,
+                    snapshot: this.faculty.snapshot,
+                    crawledAt: this.faculty.crawledAt,
+                    filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+                    departments: this.faculty.departments,
+                    totalRecords: records.length,
+                    faculty: records.slice(0, parseInt(limit, 10) || 50)
+                });
+
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Dated notices with type, category and date-range filters
+        this.app.get('/notices', (req, res) => {
+            try {
+                if (!this.notices) {
+                    return res.status(503).json({
+                        success: false,
+                        error: 'Notices not loaded. Please call /initialize or /scrape first.'
+                    });
+                }
+
+                const { type, category, from, to, q, limit = 50 } = req.query;
+                const filters = { type, category, from, to, q };
+                let notices;
+                try {
+                    notices = filterNotices(this.notices.records, filters);
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    snapshot: this.notices.snapshot,
+                    crawledAt: this.notices.crawledAt,
+                    filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+                    totalRecords: notices.length,
+                    notices: notices.slice(0, parseInt(limit, 10) || 50)
+                });
+
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // RSS 2.0 and Atom feeds of the same notices, e.g. /notices/rss?category=placements
+        this.app.get('/notices/:format(rss|atom)', (req, res) => {
+            try {
+                if (!this.notices) {
+                    return res.status(503).json({
+                        success: false,
+                        error: 'Notices not loaded. Please call /initialize or /scrape first.'
+                    });
+                }
+
+                const { type, category, from, to, q, limit = 50 } = req.query;
+                let notices;
+                try {
+                    notices = filterNotices(this.notices.records, { type, category, from, to, q });
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+
+                const format = req.params.format;
+                const feedOptions = {
+                    title: category === 'placements' ? 'NIT Jamshedpur Placement Notices' : 'NIT Jamshedpur Notices',
+                    description: 'Notices, tenders, recruitments and events from nitjsr.ac.in',
+                    siteUrl: 'https://nitjsr.ac.in',
+                    feedUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+                    updated: this.notices.crawledAt
+                };
+                const items = notices.slice(0, parseInt(limit, 10) || 50);
+
+                res.type(format === 'rss' ? 'application/rss+xml' : 'application/atom+xml');
+                res.send(format === 'rss' ? toRss(items, feedOptions) : toAtom(items, feedOptions));
+
+            } catch (error) {
                 res.status(500).json({
                     success: false,
                     error: error.message
@@ -190,29 +593,15 @@ class NITJSRServer {
             try {
                 const indexStats = await this.ragSystem.getIndexStats();
                 
-                // Get available scraped data files
-                const dataDir = path.join(__dirname, 'scraped_data');
-                let dataFiles = [];
-                try {
-                    const files = await fs.readdir(dataDir);
-                    dataFiles = files
-                        .filter(f => f.endsWith('.json'))
-                        .map(f => ({
-                            filename: f,
-                            path: path.join(dataDir, f)
-                        }))
-                        .sort((a, b) => b.filename.localeCompare(a.filename)); // Most recent first
-                } catch (error) {
-                    // Directory doesn't exist yet
-                }
+                // Available snapshots, most recent first
+                const dataFiles = await listSnapshots(path.join(__dirname, 'scraped_data'));
 
                 res.json({
                     success: true,
                     statistics: {
                         initialized: this.isInitialized,
-                        aiProvider: 'Google Gemini',
-                        pineconeIndex: process.env.PINECONE_INDEX_NAME?.trim(),
-                        pineconeEnvironment: process.env.PINECONE_ENVIRONMENT?.trim(),
+                        aiProvider: this.describeProviders(),
+                        vectorStore: this.describeVectorStore(),
                         vectorDatabase: indexStats,
                         scrapedDataFiles: dataFiles.length,
                         latestDataFile: dataFiles[0]?.filename || 'None',
@@ -234,30 +623,33 @@ class NITJSRServer {
         this.app.get('/sources', async (req, res) => {
             try {
                 const dataDir = path.join(__dirname, 'scraped_data');
-                const files = await fs.readdir(dataDir).catch(() => []);
-                
+                const snapshots = await listSnapshots(dataDir);
+
+                // Only the manifests are read; legacy JSON snapshots are parsed in full
                 const sources = [];
-                for (const file of files.filter(f => f.endsWith('.json'))) {
+                for (const snapshot of snapshots) {
                     try {
-                        const filePath = path.join(dataDir, file);
-                        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
-                        
+                        const manifest = await loadSnapshotManifest(snapshot);
+                        const counts = manifest.counts || {};
+
                         sources.push({
-                            filename: file,
-                            timestamp: data.metadata?.timestamp,
-                            pagesScraped: data.pages?.length || 0,
-                            pdfsProcessed: data.documents?.pdfs?.length || 0,
-                            totalLinks: data.statistics?.totalLinks || 0,
-                            pdfLinks: data.links?.pdf?.length || 0,
-                            internalLinks: data.links?.internal?.length || 0,
-                            categories: Object.keys(data.categories || {}).map(cat => ({
-                                name: cat,
-                                count: data.categories[cat]?.length || 0
+                            filename: snapshot.filename,
+                            timestamp: manifest.metadata?.timestamp,
+                            pagesScraped: counts.pages || 0,
+                            pdfsProcessed: counts['documents.pdfs'] || 0,
+                            totalLinks: manifest.statistics?.totalLinks || 0,
+                            pdfLinks: counts['links.pdf'] || 0,
+                            internalLinks: counts['links.internal'] || 0,
+                            categories: Object.entries(manifest.categories || {}).map(([name, count]) => ({
+                                name: name,
+                                count: count
                             })),
-                            version: data.metadata?.scrapeType || 'unknown'
+                            version: manifest.metadata?.scrapeType || 'unknown',
+                            format: snapshot.format,
+                            recordsBytes: manifest.recordsBytes ?? null
                         });
                     } catch (error) {
-                        console.error(`Error reading ${file}:`, error.message);
+                        console.error(`Error reading ${snapshot.filename}:`, error.message);
                     }
                 }
 
@@ -274,10 +666,63 @@ class NITJSRServer {
             }
         });
 
+        // What changed between two snapshots; defaults to the latest one and the one before it
+        this.app.get('/sources/diff', async (req, res) => {
+            try {
+                const { from, to, lines } = req.query;
+                const dataDir = path.join(__dirname, 'scraped_data');
+                const diff = await diffSnapshotFiles(dataDir, from, to, {
+                    maxDiffLines: parseInt(lines, 10) || undefined
+                });
+
+                res.json({
+                    success: true,
+                    ...diff
+                });
+
+            } catch (error) {
+                let status = 500;
+                if (error.message.startsWith('Snapshot not found')) status = 404;
+                if (error.message.startsWith('Invalid snapshot name')) status = 400;
+                res.status(status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Pages and documents that failed to load in a snapshot (the latest by default),
+        // with the pages linking to them, e.g. /links/broken?kind=pdf
+        this.app.get('/links/broken', async (req, res) => {
+            try {
+                const { snapshot, kind, errorType, status, source, redirects, limit = 100 } = req.query;
+                const filters = { kind, errorType, status, source, redirects: redirects === 'true' };
+                const dataDir = path.join(__dirname, 'scraped_data');
+                const report = await brokenLinkReportFile(dataDir, snapshot, filters);
+
+                res.json({
+                    success: true,
+                    ...report,
+                    filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== false)),
+                    totalRecords: report.links.length,
+                    links: report.links.slice(0, parseInt(limit, 10) || 100)
+                });
+
+            } catch (error) {
+                let status = 500;
+                if (error.message.startsWith('Snapshot not found') || error.message.startsWith('Snapshot has no fetch log')) status = 404;
+                if (/^Invalid (snapshot name|kind|errorType)/.test(error.message)) status = 400;
+                res.status(status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
         // Get available links endpoint
         this.app.get('/links', async (req, res) => {
             try {
-                const { type = 'all' } = req.query;
+                const { type = 'all', category } = req.query;
                 
                 if (!this.isInitialized) {
                     return res.status(503).json({
@@ -288,7 +733,7 @@ class NITJSRServer {
 
                 const allLinks = [];
                 for (const [key, link] of this.ragSystem.linkDatabase.entries()) {
-                    if (type === 'all' || link.type === type) {
+                    if ((type === 'all' || link.type === type) && (!category || link.categories?.includes(category))) {
                         allLinks.push({
                             key: key,
                             ...link
@@ -311,29 +756,41 @@ class NITJSRServer {
             }
         });
 
-        // Test Gemini connection
-        this.app.get('/test-gemini', async (req, res) => {
+        // Test the configured chat and embedding providers with one request each.
+        // /test-gemini is kept for existing scripts and checks whatever is configured.
+        this.app.get(['/test-providers', '/test-gemini'], async (req, res) => {
+            let providers;
             try {
-                const { GoogleGenerativeAI } = await import('@google/generative-ai');
-                const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-                const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-
-                const result = await model.generateContent('Say hello and confirm you are working correctly.');
-                const response = result.response.text();
-
-                res.json({
-                    success: true,
-                    message: 'Gemini connection successful',
-                    response: response,
-                    timestamp: new Date().toISOString()
-                });
-
+                providers = {
+                    chat: this.ragSystem.chatProvider || createChatProvider(),
+                    embeddings: this.ragSystem.embeddingProvider || createEmbeddingProvider()
+                };
             } catch (error) {
-                res.status(500).json({
-                    success: false,
-                    error: 'Gemini connection failed: ' + error.message
-                });
+                return res.status(400).json({ success: false, error: error.message });
             }
+
+            const check = async (provider, request) => {
+                try {
+                    return { ...provider.describe(), success: true, ...await request() };
+                } catch (error) {
+                    return { ...provider.describe(), success: false, error: error.message };
+                }
+            };
+            const chat = await check(providers.chat, async () => ({
+                response: await providers.chat.generate('Say hello and confirm you are working correctly.')
+            }));
+            const embeddings = await check(providers.embeddings, async () => ({
+                dimension: (await providers.embeddings.embed('NIT Jamshedpur placements')).length
+            }));
+
+            const success = chat.success && embeddings.success;
+            res.status(success ? 200 : 500).json({
+                success: success,
+                message: success ? 'AI providers are working' : 'AI provider check failed',
+                chat: chat,
+                embeddings: embeddings,
+                timestamp: new Date().toISOString()
+            });
         });
 
         // Test Pinecone connection
@@ -380,7 +837,9 @@ class NITJSRServer {
     }
 
     validateEnvironment() {
-        const required = ['GEMINI_API_KEY', 'PINECONE_API_KEY', 'PINECONE_INDEX_NAME', 'PINECONE_ENVIRONMENT'];
+        const store = vectorStoreConfig();
+        const providers = providerConfig();
+        const required = [...providerEnvironment(providers), ...vectorStoreEnvironment(store.type)];
         const missing = required.filter(key => !process.env[key] || process.env[key].trim() === '');
         
         if (missing.length > 0) {
@@ -388,8 +847,38 @@ class NITJSRServer {
         }
 
         console.log('✅ Environment variables validated');
-        console.log(`📍 Using Pinecone index: ${process.env.PINECONE_INDEX_NAME.trim()}`);
-        console.log(`🌍 Pinecone environment: ${process.env.PINECONE_ENVIRONMENT.trim()}`);
+        console.log(`🤖 Chat: ${providers.chat.provider}/${providers.chat.model}, embeddings: ${providers.embeddings.provider}/${providers.embeddings.model}`);
+        if (store.type === 'pinecone') {
+            console.log(`📍 Using Pinecone index: ${store.indexName}`);
+            console.log(`🌍 Pinecone environment: ${store.environment}`);
+        } else {
+            console.log(`📍 Using the local vector store: ${store.file}`);
+        }
+    }
+
+    // The configured chat and embedding models, as reported by /health, /chat and /stats
+    describeProviders() {
+        try {
+            const { chat, embeddings } = providerConfig();
+            return {
+                chat: this.ragSystem.chatProvider?.describe() || { provider: chat.provider, model: chat.model },
+                embeddings: this.ragSystem.embeddingProvider?.describe() || { provider: embeddings.provider, model: embeddings.model }
+            };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    // The configured vector store, as reported by /health and /stats
+    describeVectorStore() {
+        if (this.ragSystem.vectorStore) {
+            return this.ragSystem.vectorStore.describe();
+        }
+        try {
+            return createVectorStore(vectorStoreConfig()).describe();
+        } catch (error) {
+            return { error: error.message };
+        }
     }
 
     async initializeSystem() {
@@ -399,43 +888,47 @@ class NITJSRServer {
         }
 
         try {
-            // Initialize RAG system
-            await this.ragSystem.initialize();
-
-            // Check for existing scraped data
-            const dataDir = path.join(__dirname, 'scraped_data');
-            let latestData = null;
+            // Runs as a job, so it never crawls or indexes alongside /scrape or a schedule
+            const job = this.jobs.start('initialize', {}, async (job, { signal, update }) => {
+                // Initialize RAG system
+                await this.ragSystem.initialize();
+
+                // Check for existing scraped data; partial crawls (such as the nightly notices) leave pages out
+                const latest = await loadLatestSnapshot(path.join(__dirname, 'scraped_data'), { complete: true });
+                let latestData = latest?.data || null;
+                let latestPath = latest?.filepath || null;
+
+                if (latest) {
+                    console.log(`📂 Loaded existing data: ${latest.filename}`);
+                } else {
+                    console.log('📝 No existing data found, will need fresh scrape');
+                }
 
-            try {
-                const files = await fs.readdir(dataDir);
-                const allFiles = files
-                    .filter(f => f.endsWith('.json'))
-                    .sort()
-                    .reverse(); // Most recent first
-
-                if (allFiles.length > 0) {
-                    console.log(`📂 Loading existing data: ${allFiles[0]}`);
-                    const dataPath = path.join(dataDir, allFiles[0]);
-                    latestData = JSON.parse(await fs.readFile(dataPath, 'utf8'));
+                // If no data exists, perform initial scrape
+                if (!latestData) {
+                    console.log('🚀 Performing initial comprehensive data scrape...');
+                    this.scraper.signal = signal;
+                    this.scraper.onProgress = update;
+                    const scrapeResult = await this.scraper.scrapeComprehensive();
+                    latestPath = scrapeResult.filepath;
+                    latestData = await loadSnapshot(latestPath);
+                    signal.throwIfAborted();
                 }
-            } catch (error) {
-                console.log('📝 No existing data found, will need fresh scrape');
-            }
 
-            // If no data exists, perform initial scrape
-            if (!latestData) {
-                console.log('🚀 Performing initial comprehensive data scrape...');
-                const scrapeResult = await this.scraper.scrapeComprehensive();
-                latestData = JSON.parse(await fs.readFile(scrapeResult.filepath, 'utf8'));
-            }
+                // Process and store documents
+                update({ phase: 'indexing' });
+                await this.ragSystem.processAndStoreDocuments(latestData, { signal, onProgress: update });
+                await this.loadDerivedData(latestData, latestPath);
+                return { snapshot: path.basename(latestPath) };
+            });
 
-            // Process and store documents
-            if (latestData) {
-                await this.ragSystem.processAndStoreDocuments(latestData);
+            const finished = await this.jobs.wait(job.id);
+            if (finished.status !== 'completed') {
+                throw new Error(finished.error || `Initialization ${finished.status}`);
             }
 
             this.isInitialized = true;
-            console.log('🎉 Gemini RAG system initialization completed successfully!');
+            console.log('🎉 RAG system initialization completed successfully!');
 
         } catch (error) {
             console.error('❌ System initialization failed:', error.message);
@@ -443,28 +936,145 @@ class NITJSRServer {
         }
     }
 
+    // Crawl with `scrape()`, then index the snapshot and reload the derived
+    // datasets, as a background job reporting the scraper's and the indexer's progress
+    startScrapeJob(kind, scraper, options, scrape) {
+        return this.jobs.start(kind, options, async (job, { signal, update }) => {
+            scraper.signal = signal;
+            scraper.onProgress = update;
+
+            const scrapeResult = await scrape();
+            const scrapedData = await loadSnapshot(scrapeResult.filepath);
+            signal.throwIfAborted();
+
+            if (options.force) {
+                console.log('🗑️ Clearing existing vector data...');
+                await this.ragSystem.clearIndex();
+            }
+
+            // The complete crawl before this one, whose pages missing now are deleted from the index
+            const previous = !options.force && !scrapedData.metadata?.partial
+                ? await loadLatestSnapshot(path.dirname(scrapeResult.filepath), { complete: true, before: snapshotName(scrapeResult.filepath) })
+                : null;
+
+            update({ phase: 'indexing' });
+            await this.ragSystem.processAndStoreDocuments(scrapedData, { signal, onProgress: update, previous: previous?.data });
+            if (scrapedData.metadata?.partial) {
+                // Placements and faculty from a crawl of part of the site would be nearly empty
+                console.log(`📌 Keeping the placement, faculty and notice datasets of the last full crawl (${scrapedData.metadata.profile} covers part of the site)`);
+            } else {
+                await this.loadDerivedData(scrapedData, scrapeResult.filepath);
+            }
+
+            console.log(`✅ Scrape job ${job.id} completed`);
+            return {
+                snapshot: path.basename(scrapeResult.filepath),
+                summary: scrapeResult.summary
+            };
+        });
+    }
+
+    jobResponse(job) {
+        return {
+            success: true,
+            message: `Scrape job ${job.id} started`,
+            jobId: job.id,
+            statusUrl: `/scrape/${job.id}`,
+            eventsUrl: `/scrape/${job.id}/events`,
+            job: job
+        };
+    }
+
+    // Scrape job for a scheduled run, with the schedule's profile and fetch mode
+    async startScheduledJob(schedule) {
+        const scraper = new NITJSRScraper({
+            ...this.scraperOptions,
+            ...(schedule.fetchMode && { fetchMode: schedule.fetchMode }),
+            profile: await loadCrawlProfile(schedule.profile)
+        });
+
+        return this.startScrapeJob('schedule', scraper, { force: schedule.force, profile: schedule.profile, schedule: schedule.name },
+            () => {
+                console.log(`⏰ Running schedule ${schedule.name} (${scraper.profile.name} profile)...`);
+                return scraper.scrapeComprehensive();
+            });
+    }
+
+    // Schedules come from SCHEDULES_FILE (default schedules.json); with
+    // SCHEDULER_ENABLED=false they only run when triggered through the API
+    async startScheduler() {
+        try {
+            const schedules = await loadSchedules(process.env.SCHEDULES_FILE?.trim() || SCHEDULES_FILE);
+            this.scheduler = new Scheduler({
+                schedules: schedules,
+                jobs: this.jobs,
+                startJob: schedule => this.startScheduledJob(schedule),
+                historyFile: path.join(__dirname, 'scraped_data', 'schedules', 'history.json'),
+                enabled: process.env.SCHEDULER_ENABLED?.trim() !== 'false'
+            });
+            await this.scheduler.start();
+
+            for (const schedule of this.scheduler.list()) {
+                const next = schedule.nextRun ? new Date(schedule.nextRun).toLocaleString() : 'not scheduled';
+                console.log(`⏰ Schedule ${schedule.name} (${schedule.cron}, ${schedule.profile} profile): next run ${next}`);
+            }
+        } catch (error) {
+            console.error('⚠️ Scheduler not started:', error.message);
+        }
+    }
+
+    // Use the placement dataset, faculty directory and notice feed saved with a
+    // snapshot, or build them for snapshots written before they existed
+    async loadDerivedData(scrapedData, snapshotPath) {
+        const dataDir = path.dirname(snapshotPath);
+        const snapshot = path.basename(snapshotPath);
+
+        this.placements = await loadPlacementDataset(dataDir, snapshot) ||
+            buildPlacementDataset(scrapedData, snapshot);
+        this.ragSystem.setPlacementDataset(this.placements);
+
+        this.faculty = await loadFacultyDirectory(dataDir, snapshot) ||
+            buildFacultyDirectory(scrapedData, snapshot);
+        this.ragSystem.setFacultyDirectory(this.faculty);
+
+        this.notices = await loadNoticeFeed(dataDir, snapshot) ||
+            buildNoticeFeed(scrapedData, snapshot);
+        this.ragSystem.setNoticeFeed(this.notices);
+    }
+
     async start(port = process.env.PORT || 3000) {
         try {
             this.server = this.app.listen(port, async () => {
-                console.log(`🚀 NIT Jamshedpur Gemini RAG Server running on port ${port}`);
-                console.log(`🤖 AI Provider: Google Gemini`);
+                const { chat, embeddings, error } = this.describeProviders();
+                console.log(`🚀 NIT Jamshedpur RAG Server running on port ${port}`);
+                console.log(`🤖 AI Provider: ${error || `${chat.provider}/${chat.model} (embeddings: ${embeddings.provider}/${embeddings.model})`}`);
                 console.log(`📍 Health check: http://localhost:${port}/health`);
                 console.log(`💬 Frontend: http://localhost:${port}`);
                 console.log(`📊 Statistics: http://localhost:${port}/stats`);
                 console.log(`🔗 Links: http://localhost:${port}/links`);
-                console.log(`🧪 Test Gemini: http://localhost:${port}/test-gemini`);
+                console.log(`💔 Broken links: http://localhost:${port}/links/broken`);
+                console.log(`🗺️ Crawl profiles: http://localhost:${port}/profiles`);
+                console.log(`⏳ Scrape jobs: http://localhost:${port}/scrape`);
+                console.log(`⏰ Schedules: http://localhost:${port}/schedules`);
+                console.log(`🎓 Placements: http://localhost:${port}/placements`);
+                console.log(`👩‍🏫 Faculty: http://localhost:${port}/faculty`);
+                console.log(`📢 Notices: http://localhost:${port}/notices (RSS: /notices/rss, Atom: /notices/atom)`);
+                console.log(`🧪 Test AI providers: http://localhost:${port}/test-providers`);
                 console.log(`🧪 Test Pinecone: http://localhost:${port}/test-pinecone`);
 
                 // Auto-initialize on startup
                 try {
-                    console.log('🔄 Auto-initializing Gemini RAG system...');
+                    console.log('🔄 Auto-initializing RAG system...');
                     await this.initializeSystem();
-                    console.log('✅ Server fully operational with Gemini AI!');
+                    console.log('✅ Server fully operational!');
                 } catch (error) {
                     console.error('⚠️ Auto-initialization failed:', error.message);
                     console.log('💡 Manual initialization: POST /initialize');
-                    console.log('🧪 Test connections: GET /test-gemini and GET /test-pinecone');
+                    console.log('🧪 Test connections: GET /test-providers and GET /test-pinecone');
                 }
+
+                // Only once initialization is over, so a due schedule cannot crawl alongside it
+                await this.startScheduler();
             });
 
             // Graceful shutdown
@@ -479,6 +1089,19 @@ class NITJSRServer {
 
     async shutdown() {
         console.log('🛑 Shutting down server...');
+        this.scheduler?.stop();
+
+        // Let a running crawl stop at its next page and keep its checkpoint
+        const running = this.jobs.running;
+        if (running) {
+            console.log(`🛑 Cancelling scrape job ${running.id}...`);
+            this.jobs.cancel(running.id);
+            await this.jobs.wait(running.id);
+        }
+
+        // The heartbeat keeps progress streams open, so server.close() would never finish
+        for (const end of this.eventStreams) end();
+
         if (this.server) {
             this.server.close(() => {
                 console.log('✅ Server shutdown complete');
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { extractAttachment } from '../lib/attachmentExtractor.js';
+import { classifyFetchError } from '../lib/fetchLog.js';
+
+const sheetXml = value => `<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>${value}</t></is></c></row></sheetData></worksheet>`;
+
+// A workbook whose tab order differs from its sheetN.xml numbering, as after
+// Excel reorders or deletes sheets
+async function workbook() {
+    const zip = new JSZip();
+    zip.file('xl/workbook.xml', `<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>
+        <sheet name="Placements 2024" sheetId="3" r:id="rId3"/>
+        <sheet name="Placements 2023" sheetId="1" r:id="rId1"/>
+    </sheets></workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', `<Relationships>
+        <Relationship Id="rId1" Target="worksheets/sheet1.xml"/>
+        <Relationship Id="rId2" Target="styles.xml"/>
+        <Relationship Id="rId3" Target="/xl/worksheets/sheet2.xml"/>
+    </Relationships>`);
+    zip.file('xl/worksheets/sheet1.xml', sheetXml('112 offers'));
+    zip.file('xl/worksheets/sheet2.xml', sheetXml('128 offers'));
+    return zip;
+}
+
+describe('extractAttachment() for spreadsheets', () => {
+    it('names each sheet through its relationship id', async () => {
+        const result = await extractAttachment('xlsx', await (await workbook()).generateAsync({ type: 'nodebuffer' }));
+
+        assert.deepEqual(result.sheets, [
+            { name: 'Placements 2024', rows: [['128 offers']] },
+            { name: 'Placements 2023', rows: [['112 offers']] }
+        ]);
+        assert.equal(result.text, 'Sheet: Placements 2024\nRow 1: 128 offers\n\nSheet: Placements 2023\nRow 1: 112 offers');
+    });
+
+    it('refuses entries that inflate past the size limit', async () => {
+        const zip = await workbook();
+        zip.file('xl/worksheets/sheet2.xml', sheetXml('x'.repeat(51 * 1024 * 1024)));
+        const data = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+        assert.ok(data.length < 1024 * 1024);
+        await assert.rejects(extractAttachment('xlsx', data), error => {
+            assert.match(error.message, /^Zip entry xl\/worksheets\/sheet2\.xml is \d+ bytes uncompressed, over the 52428800 byte limit$/);
+            assert.equal(classifyFetchError(error).errorType, 'too_large');
+            return true;
+        });
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { categorize, categoriesOf, DEFAULT_SCORING } from '../lib/categorizer.js';
+import { DEFAULT_PROFILE } from '../lib/crawlProfiles.js';
+
+const rules = DEFAULT_PROFILE.categoryRules;
+
+describe('categorize()', () => {
+    it('labels a department placement page with both categories, best first', () => {
+        const result = categorize({
+            url: 'https://nitjsr.ac.in/Departments/CSE/Placements',
+            title: 'Placement Record | Department of CSE',
+            headings: [{ level: 1, text: 'Placement Statistics 2023-24' }],
+            content: 'Branch-wise placement record of the department.'
+        }, rules);
+
+        assert.equal(result.category, 'placements');
+        assert.deepEqual(result.categories, ['placements', 'departments']);
+        assert.ok(result.scores.placements > result.scores.departments);
+    });
+
+    it('does not label a page for a single passing mention', () => {
+        const result = categorize({
+            url: 'https://nitjsr.ac.in/Academics/Programmes',
+            title: 'Programmes Offered',
+            content: 'B.Tech programmes prepare students for a career in industry.'
+        }, rules);
+
+        assert.deepEqual(result.categories, ['academics']);
+        assert.ok(result.scores.placements < DEFAULT_SCORING.minScore);
+    });
+
+    it('keeps a page with one stray keyword general', () => {
+        const result = categorize({
+            url: 'https://nitjsr.ac.in/About/History',
+            title: 'History of the Institute',
+            content: 'Founded in 1960, the institute has shaped the careers of generations of engineers.'
+        }, rules);
+
+        assert.equal(result.category, 'general');
+        assert.deepEqual(result.categories, ['general']);
+        assert.ok(result.scores.placements > 0 && result.scores.placements < DEFAULT_SCORING.minScore);
+    });
+
+    it('weighs the title above repeated body mentions', () => {
+        const result = categorize({
+            url: 'https://nitjsr.ac.in/Page/7',
+            title: 'Research Highlights',
+            content: 'Alumni placement news: placement drive, placement cell, placement brochure.'
+        }, rules);
+
+        assert.equal(result.scores.research, DEFAULT_SCORING.weights.title);
+        assert.equal(result.scores.placements, DEFAULT_SCORING.weights.content);
+        assert.deepEqual(result.categories, ['research']);
+    });
+
+    it('falls back to general when no rule matches', () => {
+        assert.deepEqual(categorize({ url: 'https://nitjsr.ac.in/About', content: 'History of the institute' }, rules),
+            { category: 'general', categories: ['general'], scores: {} });
+    });
+
+    it('takes the weights and threshold from the scoring settings', () => {
+        const page = { url: 'https://nitjsr.ac.in/Students/Hostel', title: 'Hostel and Student Life' };
+        const strict = { ...DEFAULT_SCORING, minScore: 10 };
+        const urlOnly = { ...DEFAULT_SCORING, weights: { url: 1, title: 0, headings: 0, content: 0 } };
+
+        assert.deepEqual(categorize(page, rules, strict).categories, ['general']);
+        assert.equal(categorize(page, rules, urlOnly).scores.students, 1);
+    });
+});
+
+describe('categoriesOf()', () => {
+    it('reads records saved before multi-label categorization', () => {
+        assert.deepEqual(categoriesOf({ category: 'news' }), ['news']);
+        assert.deepEqual(categoriesOf({}), ['general']);
+        assert.deepEqual(categoriesOf({ category: 'news', categories: ['news', 'events'] }), ['news', 'events']);
+    });
+});
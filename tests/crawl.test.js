@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { startFixtureSite, createFixtureScraper, createDataDir } from './helpers/fixtureSite.js';
+import { brokenLinkReport } from '../lib/fetchLog.js';
+import { loadSnapshot } from '../lib/snapshots.js';
+
+// A whole crawl of the fixture site: robots.txt, the frontier, PDFs and the saved snapshot
+describe('scrapeComprehensive()', () => {
+    let site;
+    let dataDir;
+    let result;
+
+    before(async () => {
+        site = await startFixtureSite();
+        dataDir = await createDataDir();
+        const scraper = createFixtureScraper(site.baseUrl, { dataDir, maxPages: 20 });
+        result = await scraper.scrapeComprehensive();
+    });
+
+    after(async () => {
+        await site.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('crawls every reachable page once and never requests disallowed paths', () => {
+        const urls = result.data.pages.map(page => new URL(page.url).pathname).sort();
+        assert.deepEqual(urls, ['/', '/About', '/Departments/CSE', '/News', '/Students/Placements', '/hi/About']);
+        assert.ok(!site.requests.some(pathname => pathname.startsWith('/Admin')));
+        assert.equal(site.requests.filter(pathname => pathname === '/Students/Placements').length, 1);
+    });
+
+    it('saves the snapshot with its placement dataset, faculty directory and notices', async () => {
+        const saved = await loadSnapshot(result.filepath);
+        assert.equal(saved.pages.length, 6);
+        assert.deepEqual(saved.categories, result.data.categories);
+        assert.equal(saved.documents.pdfs.length, 1);
+        assert.equal(saved.metadata.profile, 'fixture');
+        assert.equal(saved.metadata.seedSource, 'fallback');
+
+        assert.ok(result.placements.records.some(record => record.branch === 'CSE' && record.ctcLpa === 18.5));
+        assert.deepEqual(result.faculty.records.map(person => person.name).sort(), ['Dr. Anil Kumar Singh', 'Dr. Priya Sharma']);
+        assert.ok(result.notices.records.some(notice => notice.type === 'tender' && notice.date === '2024-06-28'));
+    });
+
+    it('detects each page\'s language and links the English and Hindi versions', () => {
+        const about = result.data.pages.find(page => page.url === `${site.baseUrl}/About`);
+        const hindi = result.data.pages.find(page => page.url === `${site.baseUrl}/hi/About`);
+
+        assert.equal(about.language, 'en');
+        assert.equal(hindi.language, 'hi');
+        assert.deepEqual(about.translations, { hi: hindi.url });
+        assert.deepEqual(hindi.translations, { en: about.url });
+        assert.deepEqual(result.data.statistics.languages, { en: 5, hi: 1 });
+        assert.equal(result.data.documents.pdfs[0].language, 'en');
+    });
+
+    it('reports broken links with their status, redirect chain and linking pages', () => {
+        const report = brokenLinkReport(result.data, { kind: 'pdf' });
+        assert.deepEqual(report.links.map(link => new URL(link.url).pathname), [
+            '/Downloads/cse-syllabus-2019.pdf',
+            '/Downloads/missing-report.pdf'
+        ]);
+
+        const [syllabus, missing] = report.links;
+        assert.equal(syllabus.status, 404);
+        assert.equal(syllabus.errorType, 'http');
+        assert.deepEqual(syllabus.redirects.map(hop => hop.status), [301, 302]);
+        assert.equal(syllabus.finalUrl, `${site.baseUrl}/Downloads/Archive/cse-syllabus-2019.pdf`);
+        assert.deepEqual(syllabus.sources, [{
+            url: `${site.baseUrl}/Departments/CSE`,
+            title: 'Department of Computer Science & Engineering | NIT Jamshedpur',
+            linkText: 'B.Tech CSE syllabus (2019 scheme)'
+        }]);
+        assert.equal(missing.sources[0].url, `${site.baseUrl}/Students/Placements`);
+
+        // Pages that loaded are logged with their status but not reported
+        assert.ok(result.data.fetchLog.some(entry => entry.url === `${site.baseUrl}/News` && entry.ok && entry.status === 200));
+        assert.equal(result.data.statistics.brokenLinks, brokenLinkReport(result.data).totalBroken);
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { startFixtureSite, createFixtureScraper, createDataDir } from './helpers/fixtureSite.js';
+
+describe('processPDFDocuments()', () => {
+    let site;
+    let dataDir;
+    let brochureUrl;
+    let firstRun;
+
+    before(async () => {
+        site = await startFixtureSite();
+        dataDir = await createDataDir();
+        brochureUrl = `${site.baseUrl}/Downloads/placement-brochure-2024.pdf`;
+
+        firstRun = createFixtureScraper(site.baseUrl, { dataDir });
+        await firstRun.initialize();
+        await firstRun.scrapePage(`${site.baseUrl}/Students/Placements`, 0);
+        await firstRun.processPDFDocuments();
+    });
+
+    after(async () => {
+        await site.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('parses linked PDFs and skips the ones that fail to download', () => {
+        assert.equal(firstRun.pdfUrls.size, 2);
+        assert.deepEqual(firstRun.scrapedData.documents.pdfs.map(pdf => pdf.url), [brochureUrl]);
+    });
+
+    it('keeps the text of each page separately', () => {
+        const [brochure] = firstRun.scrapedData.documents.pdfs;
+        assert.equal(brochure.pages, 2);
+        assert.deepEqual(brochure.pageTexts.map(page => page.pageNumber), [1, 2]);
+        assert.match(brochure.pageTexts[0].text, /Placement Brochure 2024-25/);
+        assert.match(brochure.pageTexts[1].text, /tpo@nitjsr\.ac\.in/);
+        assert.match(brochure.text, /Average CTC CSE 18\.5 LPA/);
+    });
+
+    it('labels the PDF with the link it was found through', () => {
+        const [brochure] = firstRun.scrapedData.documents.pdfs;
+        assert.equal(brochure.title, 'Placement Brochure 2024-25 (PDF)');
+        assert.equal(brochure.sourceUrl, `${site.baseUrl}/Students/Placements`);
+        assert.equal(brochure.category, 'placements');
+        assert.equal(brochure.changeStatus, 'new');
+        assert.ok(brochure.validators.contentHash);
+    });
+
+    it('reuses an unchanged PDF from the previous snapshot', async () => {
+        const previous = firstRun.scrapedData.documents.pdfs[0];
+        const secondRun = createFixtureScraper(site.baseUrl, { dataDir, incremental: true });
+        secondRun.changeTracker.loadBaseline({ documents: { pdfs: [previous] } }, 'previous.json');
+        secondRun.addPdfUrl(brochureUrl);
+
+        await secondRun.processPDFDocuments();
+
+        const [reused] = secondRun.scrapedData.documents.pdfs;
+        assert.equal(reused.changeStatus, 'unchanged');
+        assert.equal(reused.timestamp, previous.timestamp);
+        assert.deepEqual(reused.pageTexts, previous.pageTexts);
+    });
+});
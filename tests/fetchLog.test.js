@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FetchLog, HttpStatusError, classifyFetchError, brokenLinkReport } from '../lib/fetchLog.js';
+
+describe('classifyFetchError()', () => {
+    it('names the failure from axios and Puppeteer errors', () => {
+        const cases = [
+            [Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }), { errorType: 'http', status: 503 }],
+            [new HttpStatusError(410, 'https://nitjsr.ac.in/Old'), { errorType: 'http', status: 410 }],
+            [Object.assign(new Error('timeout of 60000ms exceeded'), { code: 'ECONNABORTED' }), { errorType: 'timeout', status: null }],
+            [Object.assign(new Error('Navigation timeout of 45000 ms exceeded'), { name: 'TimeoutError' }), { errorType: 'timeout', status: null }],
+            [Object.assign(new Error('getaddrinfo ENOTFOUND old.nitjsr.ac.in'), { code: 'ENOTFOUND' }), { errorType: 'dns', status: null }],
+            [new Error('net::ERR_CONNECTION_REFUSED at https://nitjsr.ac.in/'), { errorType: 'connection', status: null }],
+            [Object.assign(new Error('certificate has expired'), { code: 'CERT_HAS_EXPIRED' }), { errorType: 'tls', status: null }],
+            [Object.assign(new Error('Maximum number of redirects exceeded'), { code: 'ERR_FR_TOO_MANY_REDIRECTS' }), { errorType: 'redirect_loop', status: null }],
+            [new Error('Invalid PDF structure'), { errorType: 'other', status: null }]
+        ];
+        for (const [error, expected] of cases) {
+            assert.deepEqual(classifyFetchError(error), expected, error.message);
+        }
+    });
+});
+
+describe('FetchLog', () => {
+    it('treats a failure after the download as a parse error', () => {
+        const log = new FetchLog();
+        log.recordFailure('pdf', 'https://nitjsr.ac.in/Uploads/scan.pdf', new Error('Invalid PDF structure'), { status: 200 });
+        const [entry] = log.toJSON();
+        assert.equal(entry.errorType, 'parse');
+        assert.equal(entry.status, 200);
+    });
+
+    it('keeps the latest outcome per URL and summarizes them', () => {
+        const log = new FetchLog();
+        const url = 'https://nitjsr.ac.in/Students/Placements';
+        log.recordFailure('page', url, Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }));
+        log.recordSuccess('page', url, { status: 200, redirects: [{ status: 301, location: url }] });
+
+        assert.deepEqual(log.summary(), { fetched: 1, failed: 0, broken: 0, redirected: 1, byStatus: { 200: 1 }, byErrorType: {} });
+    });
+});
+
+describe('brokenLinkReport()', () => {
+    it('rejects snapshots without a fetch log and unknown filters', () => {
+        assert.throws(() => brokenLinkReport({ pages: [] }), /Snapshot has no fetch log/);
+        assert.throws(() => brokenLinkReport({ fetchLog: [] }, { kind: 'image' }), /Invalid kind "image"/);
+    });
+
+    it('counts only HTTP errors and failed connections as broken links', () => {
+        const log = new FetchLog();
+        log.recordFailure('page', 'https://nitjsr.ac.in/Old', new HttpStatusError(404, 'https://nitjsr.ac.in/Old'));
+        log.recordFailure('page', 'https://old.nitjsr.ac.in/', Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+        log.recordFailure('pdf', 'https://nitjsr.ac.in/Uploads/scan.pdf', new Error('Invalid PDF structure'), { status: 200 });
+        log.recordFailure('attachment', 'https://nitjsr.ac.in/Uploads/huge.zip', Object.assign(new Error('maxContentLength exceeded'), { code: 'ERR_FR_MAX_BODY_LENGTH_EXCEEDED' }));
+
+        const summary = log.summary();
+        const report = brokenLinkReport({ fetchLog: log.toJSON() });
+        assert.equal(summary.failed, 4);
+        assert.equal(summary.broken, 2);
+        assert.equal(report.totalBroken, summary.broken);
+        assert.deepEqual(report.links.map(link => link.errorType).sort(), ['connection', 'http']);
+        assert.throws(() => brokenLinkReport({ fetchLog: [] }, { errorType: 'parse' }), /Invalid errorType "parse"/);
+    });
+
+    it('reports the URLs as linked, matching links to fetches by canonical URL', () => {
+        const log = new FetchLog();
+        log.recordFailure('pdf', 'http://www.nitjsr.ac.in/Uploads/old.pdf', Object.assign(new Error('Not found'), { status: 404 }));
+        const report = brokenLinkReport({
+            fetchLog: log.toJSON(),
+            links: {
+                pdf: [
+                    { url: 'http://www.nitjsr.ac.in/Uploads/old.pdf', text: 'Old brochure', sourceUrl: 'http://www.nitjsr.ac.in/Notices' },
+                    { url: 'https://nitjsr.ac.in/Uploads/old.pdf#page=2', text: 'Page 2', sourceUrl: 'https://nitjsr.ac.in/Students' }
+                ]
+            }
+        });
+
+        assert.equal(report.links[0].url, 'http://www.nitjsr.ac.in/Uploads/old.pdf');
+        assert.deepEqual(report.links[0].sources.map(source => source.url), ['http://www.nitjsr.ac.in/Notices', 'https://nitjsr.ac.in/Students']);
+    });
+});
@@ -0,0 +1,104 @@
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { NITJSRScraper } from '../../scraper.js';
+import { validateCrawlProfile } from '../../lib/crawlProfiles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SITE_DIR = path.join(__dirname, '..', 'fixtures', 'site');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Moved documents, answered with a redirect like the live site's old upload paths.
+// The syllabus redirect points at a file that no longer exists.
+const REDIRECTS = {
+    '/Downloads/cse-syllabus-2019.pdf': [301, '/Uploads/Syllabus/cse-syllabus-2019.pdf'],
+    '/Uploads/Syllabus/cse-syllabus-2019.pdf': [302, '/Downloads/Archive/cse-syllabus-2019.pdf']
+};
+
+// Extensionless paths are served from the matching .html file, like the
+// live site's /Students/Placements
+async function resolveFile(pathname) {
+    const relative = decodeURIComponent(pathname).replace(/\/+$/, '') || '/index';
+    const filepath = path.join(SITE_DIR, path.normalize(relative));
+    if (!filepath.startsWith(SITE_DIR)) return null;
+
+    for (const candidate of [filepath, `${filepath}.html`]) {
+        const stat = await fs.stat(candidate).catch(() => null);
+        if (stat?.isFile()) return candidate;
+    }
+    return null;
+}
+
+// Serve tests/fixtures/site on a free local port. Resolves to { baseUrl, requests, close }.
+async function startFixtureSite() {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://127.0.0.1');
+        requests.push(pathname);
+
+        if (REDIRECTS[pathname]) {
+            const [status, location] = REDIRECTS[pathname];
+            res.writeHead(status, { Location: location });
+            res.end();
+            return;
+        }
+
+        const filepath = await resolveFile(pathname);
+        if (!filepath) {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            res.end('<html><head><title>404 Not Found</title></head><body><p>Page not found</p></body></html>');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filepath)] || 'application/octet-stream' });
+        res.end(await fs.readFile(filepath));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl: baseUrl,
+        requests: requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// The default profile pointed at the fixture site, so URL filters and
+// category rules are the ones used against nitjsr.ac.in. Links to the live
+// site count as external and are never fetched.
+function fixtureProfile(baseUrl, overrides = {}) {
+    return validateCrawlProfile({
+        name: 'fixture',
+        baseUrl: baseUrl,
+        allowedHosts: ['127.0.0.1'],
+        seeds: ['/'],
+        useSitemaps: false,
+        delays: { request: 0 },
+        ...overrides
+    }, 'tests');
+}
+
+// Scratch directory for snapshots and checkpoints; remove it with fs.rm in after()
+function createDataDir() {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'nitjsr-tests-'));
+}
+
+// A static-mode, non-incremental scraper for the fixture site
+function createFixtureScraper(baseUrl, options = {}) {
+    return new NITJSRScraper({
+        profile: fixtureProfile(baseUrl),
+        fetchMode: 'static',
+        incremental: false,
+        ...options
+    });
+}
+
+export { startFixtureSite, fixtureProfile, createFixtureScraper, createDataDir, SITE_DIR };
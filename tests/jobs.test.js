@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { JobManager } from '../lib/jobs.js';
+import { startFixtureSite, createFixtureScraper, createDataDir } from './helpers/fixtureSite.js';
+
+// Resolves when the job finishes, with its final state
+function finished(jobs, id) {
+    return new Promise(resolve => {
+        jobs.on('update', function onUpdate(job) {
+            if (job.id === id && job.finishedAt) {
+                jobs.off('update', onUpdate);
+                resolve(job);
+            }
+        });
+    });
+}
+
+describe('JobManager', () => {
+    it('runs a job in the background and records its progress and result', async () => {
+        const jobs = new JobManager();
+        const job = jobs.start('scrape', { force: true }, async (job, { update }) => {
+            update({ phase: 'crawl', pagesDone: 3, maxPages: 10 });
+            update({ phase: 'indexing', batchesEmbedded: 1 });
+            return { summary: { totalPages: 3 } };
+        });
+
+        assert.equal(job.status, 'running');
+        assert.equal(jobs.get(job.id), job);
+
+        const done = await finished(jobs, job.id);
+        assert.equal(done.status, 'completed');
+        assert.deepEqual(done.progress, { pagesDone: 3, maxPages: 10, batchesEmbedded: 1 });
+        assert.deepEqual(done.result, { summary: { totalPages: 3 } });
+        assert.equal(jobs.running, null);
+    });
+
+    it('allows one running job at a time', async () => {
+        const jobs = new JobManager();
+        let release;
+        const first = jobs.start('scrape', {}, () => new Promise(resolve => {
+            release = resolve;
+        }));
+
+        assert.throws(() => jobs.start('resume', {}, async () => {}), /A scrape job is already running/);
+
+        release();
+        await finished(jobs, first.id);
+        assert.doesNotThrow(() => jobs.start('resume', {}, async () => {}));
+    });
+
+    it('cancels a running job through its signal', async () => {
+        const jobs = new JobManager();
+        const job = jobs.start('scrape', {}, (job, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        }));
+
+        assert.equal(jobs.cancel(job.id), true);
+        const done = await finished(jobs, job.id);
+        assert.equal(done.status, 'cancelled');
+        assert.equal(done.error, 'Scrape job cancelled');
+        assert.equal(jobs.cancel(job.id), false);
+    });
+
+    it('records the error of a failed job', async (t) => {
+        // Failed jobs are logged with an emoji, which Node 20's test runner can misread (see providers.test.js)
+        t.mock.method(console, 'error', () => {});
+        const jobs = new JobManager();
+        const job = jobs.start('scrape', {}, async () => {
+            throw new Error('Pinecone unavailable');
+        });
+
+        const done = await finished(jobs, job.id);
+        assert.equal(done.status, 'failed');
+        assert.equal(done.error, 'Pinecone unavailable');
+    });
+});
+
+// A fixture crawl run the way POST /scrape runs it, cancelled part-way through
+describe('cancelling a scrape job', () => {
+    let site;
+    let dataDir;
+
+    before(async () => {
+        site = await startFixtureSite();
+        dataDir = await createDataDir();
+    });
+
+    after(async () => {
+        await site.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('stops the crawl at the next page and keeps a resumable checkpoint', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+        const jobs = new JobManager();
+        const updates = [];
+        let scraper;
+
+        const job = jobs.start('scrape', {}, (job, { signal, update }) => {
+            scraper = createFixtureScraper(site.baseUrl, { dataDir, maxPages: 20, signal, onProgress: update });
+            return scraper.scrapeComprehensive();
+        });
+        jobs.on('update', updated => {
+            updates.push({ phase: updated.phase, ...updated.progress });
+            if (updated.progress.pagesDone === 2) jobs.cancel(job.id);
+        });
+
+        const done = await finished(jobs, job.id);
+        assert.equal(done.status, 'cancelled');
+        assert.equal(done.error, 'Scrape job cancelled');
+        assert.ok(updates.some(update => update.phase === 'crawl' && update.maxPages === 20));
+        assert.ok(done.progress.pagesDone < 6);
+
+        const [checkpoint] = await scraper.listIncompleteCrawls();
+        assert.equal(checkpoint.crawlId, done.progress.crawlId);
+        assert.equal(checkpoint.status, 'cancelled');
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    countWords, detectLanguage, languageFromUrl, linkTranslations, parseLanguageList, keepForLanguages
+} from '../lib/language.js';
+
+describe('countWords()', () => {
+    it('counts Hindi words with their vowel signs and ignores dandas', () => {
+        assert.equal(countWords('संस्थान की स्थापना 1960 में हुई थी।'), 7);
+        assert.equal(countWords('Placement  Brochure\n2024-25 | CSE'), 5);
+        assert.equal(countWords(''), 0);
+    });
+});
+
+describe('detectLanguage()', () => {
+    it('tells Hindi, English and bilingual text apart', () => {
+        assert.equal(detectLanguage('राष्ट्रीय प्रौद्योगिकी संस्थान जमशेदपुर'), 'hi');
+        assert.equal(detectLanguage('National Institute of Technology Jamshedpur'), 'en');
+        assert.equal(detectLanguage('प्रवेश सूचना / Admission Notice 2024'), 'mixed');
+    });
+
+    it('falls back to the declared language when the text has no letters', () => {
+        assert.equal(detectLanguage('2024-25 | 18.5', 'hi-IN'), 'hi');
+        assert.equal(detectLanguage('2024-25 | 18.5'), 'unknown');
+    });
+});
+
+describe('languageFromUrl()', () => {
+    it('strips the language marker so both versions share a key', () => {
+        assert.deepEqual(languageFromUrl('https://nitjsr.ac.in/hi/About'), { key: 'https://nitjsr.ac.in/About', language: 'hi' });
+        assert.deepEqual(languageFromUrl('https://nitjsr.ac.in/About?lang=en'), { key: 'https://nitjsr.ac.in/About', language: 'en' });
+        assert.deepEqual(languageFromUrl('https://nitjsr.ac.in/Uploads/notice_hindi.pdf'), { key: 'https://nitjsr.ac.in/Uploads/notice.pdf', language: 'hi' });
+        assert.equal(languageFromUrl('https://nitjsr.ac.in/Hindi-Cell').language, null);
+    });
+});
+
+describe('linkTranslations()', () => {
+    it('links pages through hreflang alternates', () => {
+        const english = { url: 'https://nitjsr.ac.in/About', language: 'en', metadata: { alternates: [{ hreflang: 'hi', href: '/Hindi/AboutUs' }] } };
+        const hindi = { url: 'https://nitjsr.ac.in/Hindi/AboutUs', language: 'hi', metadata: {} };
+
+        assert.equal(linkTranslations([english, hindi]), 2);
+        assert.deepEqual(english.translations, { hi: hindi.url });
+        assert.deepEqual(hindi.translations, { en: english.url });
+    });
+
+    it('links documents whose URLs differ only by a language suffix', () => {
+        const english = { url: 'https://nitjsr.ac.in/Uploads/fee-notice.pdf', language: 'en' };
+        const hindi = { url: 'https://nitjsr.ac.in/Uploads/fee-notice-hi.pdf', language: 'hi' };
+        const other = { url: 'https://nitjsr.ac.in/Uploads/holidays.pdf', language: 'en', translations: { hi: 'stale' } };
+
+        assert.equal(linkTranslations([english, hindi, other]), 2);
+        assert.deepEqual(english.translations, { hi: hindi.url });
+        assert.equal(other.translations, undefined);
+    });
+});
+
+describe('keepForLanguages()', () => {
+    it('drops a page only when a version in an indexed language exists', () => {
+        const languages = parseLanguageList('english');
+        assert.deepEqual(languages, ['en']);
+
+        assert.equal(keepForLanguages({ language: 'hi', translations: { en: 'https://nitjsr.ac.in/About' } }, languages), false);
+        assert.equal(keepForLanguages({ language: 'hi' }, languages), true);
+        assert.equal(keepForLanguages({ language: 'mixed' }, languages), true);
+        assert.equal(keepForLanguages({ language: 'en' }, languages), true);
+    });
+
+    it('rejects languages it cannot detect', () => {
+        assert.throws(() => parseLanguageList('en,fr'), /Invalid language "fr"/);
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractNotices } from '../lib/notices.js';
+
+describe('notice extraction', () => {
+    it('keeps the item title when the date is in the link text', () => {
+        const notices = extractNotices({
+            pages: [{
+                url: 'https://nitjsr.ac.in/Notices',
+                title: 'Notices',
+                category: 'news',
+                links: [{
+                    href: '/uploads/seat-matrix.pdf',
+                    text: '12.07.2024',
+                    itemText: 'Seat matrix for undefined category seats'
+                }]
+            }]
+        });
+
+        assert.equal(notices.length, 1);
+        assert.equal(notices[0].date, '2024-07-12');
+        assert.equal(notices[0].title, 'Seat matrix for undefined category seats');
+    });
+
+    it('links each notice as the site does and merges it by canonical URL', () => {
+        const link = { href: 'http://www.nitjsr.ac.in/uploads/tender-12.pdf', text: 'Tender for lab equipment (01/08/2024)' };
+        const notices = extractNotices({
+            pages: [
+                { url: 'http://www.nitjsr.ac.in/', title: 'Home', category: 'general', links: [link] },
+                { url: 'http://www.nitjsr.ac.in/Tenders', title: 'Tenders', category: 'news', links: [{ ...link, href: '/uploads/tender-12.pdf?utm_source=home' }] }
+            ]
+        });
+
+        assert.equal(notices.length, 1);
+        assert.equal(notices[0].url, 'http://www.nitjsr.ac.in/uploads/tender-12.pdf');
+        assert.equal(notices[0].attachment, notices[0].url);
+        assert.equal(notices[0].id, 'https://nitjsr.ac.in/uploads/tender-12.pdf');
+    });
+});
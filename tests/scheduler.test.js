@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCron, nextCronRun, validateSchedules, Scheduler } from '../lib/scheduler.js';
+import { JobManager } from '../lib/jobs.js';
+import { createDataDir } from './helpers/fixtureSite.js';
+
+// Dates are built in local time, like the schedules themselves
+describe('nextCronRun()', () => {
+    it('finds the next nightly and weekly run', () => {
+        const from = new Date(2024, 5, 14, 10, 15); // Friday 14 June 2024, 10:15
+        assert.deepEqual(nextCronRun('30 1 * * *', from), new Date(2024, 5, 15, 1, 30));
+        assert.deepEqual(nextCronRun('0 3 * * sun', from), new Date(2024, 5, 16, 3, 0));
+        assert.deepEqual(nextCronRun('*/20 9-17 * * mon-fri', from), new Date(2024, 5, 14, 10, 20));
+        assert.deepEqual(nextCronRun('@monthly', from), new Date(2024, 6, 1, 0, 0));
+    });
+
+    it('runs on either day field when both are restricted', () => {
+        const from = new Date(2024, 5, 14, 10, 15);
+        assert.deepEqual(nextCronRun('0 0 1 * 6', from), new Date(2024, 5, 15, 0, 0)); // Saturday comes first
+        assert.deepEqual(nextCronRun('0 0 29 2 *', from), new Date(2028, 1, 29, 0, 0));
+        assert.equal(nextCronRun('0 0 30 2 *', from), null);
+    });
+
+    it('rejects malformed expressions', () => {
+        assert.throws(() => parseCron('0 25 * * *'), /Invalid cron expression "0 25 \* \* \*": hour value "25" is out of range 0-23/);
+        assert.throws(() => parseCron('0 3 * *'), /expected 5 fields/);
+        assert.throws(() => parseCron('0 5-1 * * *'), /runs backwards/);
+    });
+});
+
+describe('validateSchedules()', () => {
+    it('reports every problem at once', async () => {
+        await assert.rejects(validateSchedules({
+            schedules: [
+                { name: 'nightly', cron: '30 1 * * *', profile: 'notices' },
+                { name: 'nightly', cron: 'daily', profile: 'missing', force: 'yes' }
+            ]
+        }), error => {
+            assert.match(error.message, /schedules\[1\] \(nightly\): duplicate name/);
+            assert.match(error.message, /expected 5 fields/);
+            assert.match(error.message, /Crawl profile not found: missing/);
+            assert.match(error.message, /force must be true or false/);
+            return true;
+        });
+    });
+
+    it('fills in defaults', async () => {
+        const [schedule] = await validateSchedules({ schedules: [{ name: 'weekly-full', cron: '0 3 * * 0' }] });
+        assert.deepEqual(schedule, {
+            name: 'weekly-full', description: '', cron: '0 3 * * 0', profile: 'default', fetchMode: null, force: false, enabled: true
+        });
+    });
+});
+
+describe('Scheduler', () => {
+    const schedules = [{ name: 'nightly-notices', description: '', cron: '30 1 * * *', profile: 'notices', fetchMode: null, force: false, enabled: true }];
+
+    it('records the result and duration of a run and saves the history', async () => {
+        const dataDir = await createDataDir();
+        const historyFile = path.join(dataDir, 'schedules', 'history.json');
+        const jobs = new JobManager();
+        const scheduler = new Scheduler({
+            schedules,
+            jobs,
+            historyFile,
+            startJob: async schedule => jobs.start('schedule', { schedule: schedule.name }, async () => ({
+                snapshot: 'nitjsr_enhanced_comprehensive_2024-06-15.json',
+                summary: { totalPages: 42 }
+            }))
+        });
+
+        try {
+            await scheduler.start();
+            assert.ok(new Date(scheduler.list()[0].nextRun) > new Date());
+
+            const job = await scheduler.run('nightly-notices');
+            assert.equal(scheduler.get('nightly-notices').lastRun.status, 'running');
+
+            await jobs.wait(job.id);
+            await scheduler.historyWrite;
+            const { lastRun } = scheduler.get('nightly-notices');
+            assert.equal(lastRun.jobId, job.id);
+            assert.equal(lastRun.trigger, 'manual');
+            assert.equal(lastRun.status, 'completed');
+            assert.ok(lastRun.durationMs >= 0);
+            assert.deepEqual(lastRun.summary, { totalPages: 42 });
+
+            const saved = JSON.parse(await fs.readFile(historyFile, 'utf8'));
+            assert.equal(saved['nightly-notices'][0].status, 'completed');
+        } finally {
+            scheduler.stop();
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    it('skips a due run while another job is running', async () => {
+        const jobs = new JobManager();
+        const scheduler = new Scheduler({
+            schedules,
+            jobs,
+            startJob: async schedule => jobs.start('schedule', { schedule: schedule.name }, async () => ({}))
+        });
+        let release;
+        jobs.start('scrape', {}, () => new Promise(resolve => {
+            release = resolve;
+        }));
+
+        await scheduler.fire(scheduler.entries.get('nightly-notices'));
+        const { lastRun } = scheduler.get('nightly-notices');
+        assert.equal(lastRun.trigger, 'schedule');
+        assert.equal(lastRun.status, 'skipped');
+        assert.match(lastRun.error, /A scrape job is already running/);
+
+        await assert.rejects(scheduler.run('weekly-full'), /Schedule not found: weekly-full \(available: nightly-notices\)/);
+        release();
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { startFixtureSite, createFixtureScraper, createDataDir } from './helpers/fixtureSite.js';
+
+// scrapePage() against the saved pages in tests/fixtures/site. The static
+// fetch mode is used so the tests need neither Chromium nor the network.
+describe('scrapePage()', () => {
+    let site;
+    let dataDir;
+    let scraper;
+
+    before(async () => {
+        // Every scrape logs emoji-led lines, which Node 20's test runner can
+        // misread when they land next to its own messages
+        mock.method(console, 'log', () => {});
+        site = await startFixtureSite();
+        dataDir = await createDataDir();
+        scraper = createFixtureScraper(site.baseUrl, { dataDir });
+        await scraper.initialize();
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await scraper.cleanup();
+        await site.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    describe('home page', () => {
+        let page;
+
+        before(async () => {
+            page = await scraper.scrapePage(`${site.baseUrl}/`, 0);
+        });
+
+        it('extracts the title, meta description and headings', () => {
+            assert.equal(page.title, 'NIT Jamshedpur | National Institute of Technology Jamshedpur');
+            assert.equal(page.metadata.description, 'Official website of NIT Jamshedpur');
+            assert.deepEqual(page.headings.map(h => [h.level, h.text]), [
+                [1, 'Welcome to NIT Jamshedpur'],
+                [2, 'Quick Links']
+            ]);
+        });
+
+        it('keeps the main text and leaves out the header, menu and footer', () => {
+            assert.ok(page.rawContent.some(text => text.startsWith('National Institute of Technology Jamshedpur is one of the thirty one NITs')));
+            for (const chrome of ['Institute of National Importance', 'Copyright', 'Adityapur', 'Skip to content']) {
+                assert.ok(!page.content.includes(chrome), `content should not include "${chrome}"`);
+            }
+        });
+
+        it('records each link with the list item it sits in', () => {
+            const brochure = page.links.find(link => link.href === '/Downloads/placement-brochure-2024.pdf');
+            assert.equal(brochure.text, 'Placement Brochure 2024-25 released');
+            assert.equal(brochure.itemText, 'Placement Brochure 2024-25 released (12/07/2024)');
+        });
+
+        it('sorts discovered links into PDFs, external links and the crawl frontier', () => {
+            assert.ok(scraper.pdfUrls.has(`${site.baseUrl}/Downloads/placement-brochure-2024.pdf`));
+
+            const external = scraper.scrapedData.links.external.map(link => link.url);
+            // Recorded as linked, not in the canonical form used for deduplication
+            assert.ok(external.includes('https://www.facebook.com/nitjamshedpur'));
+            assert.ok(external.includes('mailto:director@nitjsr.ac.in'));
+
+            // Tracking parameters and trailing slashes are canonicalized away, so each page is queued once
+            const queued = scraper.frontier.toJSON().map(entry => entry.url);
+            assert.equal(queued.filter(url => url === `${site.baseUrl}/Students/Placements`).length, 1);
+            assert.equal(queued.filter(url => url === `${site.baseUrl}/Departments/CSE`).length, 1);
+            assert.ok(queued.every(url => url.startsWith(site.baseUrl)));
+        });
+    });
+
+    describe('placement statistics page', () => {
+        let page;
+
+        before(async () => {
+            page = await scraper.scrapePage(`${site.baseUrl}/Students/Placements`, 1);
+        });
+
+        it('is categorized as placements', () => {
+            assert.equal(page.category, 'placements');
+            assert.deepEqual(page.categories, ['placements', 'students']);
+        });
+
+        it('skips the layout table and keeps the statistics table inside it', () => {
+            assert.equal(page.tables.length, 2);
+            const [statistics] = page.tables;
+            assert.equal(statistics.heading, 'Placement Statistics 2023-24');
+            assert.deepEqual(statistics.headers, ['Branch', 'Offers - On Campus', 'Offers - Off Campus', 'Average CTC (LPA)']);
+            assert.deepEqual(statistics.rows, [
+                ['CSE', '112', '8', '18.5'],
+                ['ECE', '84', '5', '14.2'],
+                ['Mechanical', '61', '2', '9.8']
+            ]);
+        });
+
+        it('promotes a plain first row to headers and expands row spans', () => {
+            const recruiters = page.tables[1];
+            assert.equal(recruiters.caption, 'Top Recruiters 2023-24');
+            assert.deepEqual(recruiters.headers, ['Company', 'Branch', 'Offers', 'CTC (LPA)']);
+            assert.deepEqual(recruiters.rows.map(row => row[0]), ['Microsoft', 'Microsoft', 'Tata Steel']);
+        });
+
+        it('adds one labelled line per table row to the content', () => {
+            assert.ok(page.content.includes('Branch: CSE, Offers - On Campus: 112, Offers - Off Campus: 8, Average CTC (LPA): 18.5'));
+            assert.ok(page.content.includes('Company: Microsoft, Branch: ECE, Offers: 2, CTC (LPA): 52'));
+        });
+
+        it('records linked PDFs and images', () => {
+            assert.ok(scraper.pdfUrls.has(`${site.baseUrl}/Downloads/missing-report.pdf`));
+            assert.ok(scraper.scrapedData.links.image.some(link => link.url.endsWith('/assets/img/placement-drive.jpg')));
+        });
+    });
+
+    describe('department page', () => {
+        let page;
+
+        before(async () => {
+            page = await scraper.scrapePage(`${site.baseUrl}/Departments/CSE`, 1);
+        });
+
+        it('is labelled with both departments and faculty', () => {
+            assert.equal(page.category, 'departments');
+            assert.deepEqual(page.categories, ['departments', 'faculty']);
+            assert.ok(scraper.scrapedData.categories.faculty.includes(page));
+        });
+
+        it('extracts one profile card per faculty member', () => {
+            assert.equal(page.profileCards.length, 2);
+
+            const [hod, assistant] = page.profileCards;
+            assert.deepEqual(hod.lines.slice(0, 3), [
+                'Dr. Anil Kumar Singh',
+                'Professor & Head of Department',
+                'Research Areas: Machine Learning, Data Mining'
+            ]);
+            assert.deepEqual(hod.emails, ['aksingh.cse@nitjsr.ac.in']);
+            assert.deepEqual(hod.links, [{ href: '/People/Faculty/aksingh', text: 'View profile' }]);
+
+            assert.equal(assistant.lines[0], 'Dr. Priya Sharma');
+            assert.deepEqual(assistant.phones, ['+916572373999']);
+        });
+    });
+
+    describe('notice listing', () => {
+        it('keeps the date next to each notice link', async () => {
+            const page = await scraper.scrapePage(`${site.baseUrl}/News`, 1);
+            const tender = page.links.find(link => link.href === '/Tenders/lab-equipment');
+            assert.equal(tender.itemText, 'Tender for supply of laboratory equipment 28-06-2024');
+            assert.equal(page.lists[0].length, 3);
+        });
+    });
+
+    it('returns null for pages that fail to load and does not record them', async () => {
+        const pages = scraper.scrapedData.pages.length;
+        assert.equal(await scraper.scrapePage(`${site.baseUrl}/Does-Not-Exist`, 1), null);
+        assert.equal(scraper.scrapedData.pages.length, pages);
+    });
+
+    it('does not scrape the same page twice', async () => {
+        assert.equal(await scraper.scrapePage(`${site.baseUrl}/`, 0), null);
+    });
+
+    it('fetches and records the URL as given, once per canonical URL', async () => {
+        const requested = site.requests.length;
+        const page = await scraper.scrapePage(`${site.baseUrl}/About/?utm_source=home`, 1);
+
+        assert.deepEqual(site.requests.slice(requested), ['/About/']);
+        assert.equal(page.url, `${site.baseUrl}/About/?utm_source=home`);
+        assert.equal(scraper.fetchLog.toJSON().find(entry => entry.url.includes('/About')).url, page.url);
+        assert.equal(await scraper.scrapePage(`${site.baseUrl}/About`, 1), null);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { diffSnapshots, resolveSnapshotPair } from '../lib/snapshotDiff.js';
+import { writeSnapshot } from '../lib/snapshots.js';
+import { createDataDir } from './helpers/fixtureSite.js';
+
+const page = (url, categories, content = `Content of ${url}`) => ({ url, title: url, category: categories[0], categories, content });
+const crawl = pages => ({ metadata: {}, pages: pages, documents: { pdfs: [], other: [] } });
+
+describe('diffSnapshots()', () => {
+    it('reports category labels added and removed, not only primary category changes', () => {
+        const diff = diffSnapshots(
+            crawl([
+                page('https://nitjsr.ac.in/Departments/CSE', ['departments']),
+                page('https://nitjsr.ac.in/Students/Placements', ['placements', 'departments']),
+                page('https://nitjsr.ac.in/About', ['general']),
+                { url: 'https://nitjsr.ac.in/News', title: 'News', category: 'news', content: 'News' }
+            ]),
+            crawl([
+                page('https://nitjsr.ac.in/Departments/CSE', ['departments', 'placements']),
+                page('https://nitjsr.ac.in/Students/Placements', ['placements']),
+                page('https://nitjsr.ac.in/About', ['general']),
+                page('https://nitjsr.ac.in/News', ['news', 'events'], 'News')
+            ])
+        );
+
+        assert.deepEqual(diff.categoryMoves.map(({ url, from, to, added, removed }) => ({ url, from, to, added, removed })), [
+            { url: 'https://nitjsr.ac.in/Departments/CSE', from: 'departments', to: 'departments', added: ['placements'], removed: [] },
+            { url: 'https://nitjsr.ac.in/Students/Placements', from: 'placements', to: 'placements', added: [], removed: ['departments'] },
+            // Snapshots from before multi-label categorization only have `category`
+            { url: 'https://nitjsr.ac.in/News', from: 'news', to: 'news', added: ['events'], removed: [] }
+        ]);
+        assert.equal(diff.summary.categoryMoves, 3);
+    });
+
+    it('lists every category label of added and removed pages', () => {
+        const diff = diffSnapshots(
+            crawl([page('https://nitjsr.ac.in/Old', ['general'])]),
+            crawl([page('https://nitjsr.ac.in/Departments/CSE/Placements', ['departments', 'placements'])])
+        );
+
+        assert.deepEqual(diff.pages.added[0].categories, ['departments', 'placements']);
+        assert.deepEqual(diff.pages.removed[0].categories, ['general']);
+        assert.deepEqual(diff.categoryMoves, []);
+    });
+});
+
+describe('resolveSnapshotPair()', () => {
+    it('compares the latest full crawl with the previous snapshot of its profile', async () => {
+        const dataDir = await createDataDir();
+        try {
+            const at = timestamp => `nitjsr_enhanced_comprehensive_${timestamp}`;
+            const snapshot = (profile, partial) => ({ ...crawl([page('https://nitjsr.ac.in/Notices', ['news'])]), metadata: { profile, partial } });
+            await writeSnapshot(dataDir, at('2024-06-17T01_30_00_000Z'), snapshot('notices', true));
+            await writeSnapshot(dataDir, at('2024-06-16T03_00_00_000Z'), snapshot('full', false));
+            await writeSnapshot(dataDir, at('2024-06-16T01_30_00_000Z'), snapshot('notices', true));
+            await writeSnapshot(dataDir, at('2024-06-09T03_00_00_000Z'), snapshot('full', false));
+
+            const latest = await resolveSnapshotPair(dataDir);
+            assert.deepEqual([latest.from.name, latest.to.name], [at('2024-06-09T03_00_00_000Z'), at('2024-06-16T03_00_00_000Z')]);
+
+            const notices = await resolveSnapshotPair(dataDir, undefined, at('2024-06-17T01_30_00_000Z'));
+            assert.equal(notices.from.name, at('2024-06-16T01_30_00_000Z'));
+
+            await assert.rejects(resolveSnapshotPair(dataDir, undefined, at('2024-06-09T03_00_00_000Z')),
+                /^Error: Snapshot not found: no full snapshot older than nitjsr_enhanced_comprehensive_2024-06-09T03_00_00_000Z\.manifest\.json$/);
+        } finally {
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    });
+});
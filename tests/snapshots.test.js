@@ -0,0 +1,224 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+    writeSnapshot, loadSnapshot, loadSnapshotManifest, readSnapshotRecords, listSnapshots, findSnapshot, loadLatestSnapshot,
+    parseRetention, optionalRetention, selectSnapshotsToPrune, pruneSnapshots, migrateSnapshot
+} from '../lib/snapshots.js';
+import { NITJSRScraper } from '../scraper.js';
+import { createDataDir } from './helpers/fixtureSite.js';
+
+const page = (url, categories) => ({ url, title: url, category: categories[0], categories, content: `Content of ${url}` });
+
+function crawl() {
+    const pages = [
+        page('https://nitjsr.ac.in/Students/Placements', ['placements']),
+        page('https://nitjsr.ac.in/Departments/CSE/Placements', ['departments', 'placements']),
+        page('https://nitjsr.ac.in/About', ['general'])
+    ];
+    return {
+        metadata: { timestamp: '2024-06-15T01:30:00.000Z', scrapeType: 'enhanced_comprehensive' },
+        pages: pages,
+        documents: { pdfs: [{ url: 'https://nitjsr.ac.in/brochure.pdf', pages: 2 }], images: [], other: [] },
+        links: { internal: [{ url: pages[2].url, sourceUrl: pages[0].url }], external: [], pdf: [], attachment: [], image: [] },
+        categories: {
+            placements: [pages[0], pages[1]],
+            admissions: [],
+            departments: [pages[1]],
+            general: [pages[2]]
+        },
+        statistics: { totalPages: 3, totalLinks: 1 },
+        changes: null,
+        fetchLog: [{ url: pages[0].url, kind: 'page', ok: true, status: 200 }]
+    };
+}
+
+const NAME = 'nitjsr_enhanced_comprehensive_2024-06-15T01_30_00_000Z';
+
+describe('snapshot storage', () => {
+    let dataDir;
+
+    before(async () => {
+        dataDir = await createDataDir();
+    });
+
+    after(async () => {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('stores pages once and rebuilds the categories on load', async () => {
+        const written = await writeSnapshot(dataDir, NAME, crawl());
+        assert.equal(written.filename, `${NAME}.manifest.json`);
+
+        const manifest = JSON.parse(await fs.readFile(written.filepath, 'utf8'));
+        assert.equal(manifest.pages, undefined);
+        assert.deepEqual(manifest.categories, { placements: 2, admissions: 0, departments: 1, general: 1 });
+        assert.equal(manifest.counts.pages, 3);
+        assert.ok(manifest.recordsBytes > 0);
+
+        const records = [];
+        for await (const entry of readSnapshotRecords(written.filepath)) records.push(entry.section);
+        assert.equal(records.filter(section => section === 'pages').length, 3);
+
+        assert.deepEqual(await loadSnapshot(written.filepath), crawl());
+    });
+
+    it('still lists and loads legacy JSON snapshots and ignores other JSON files', async () => {
+        const legacyName = 'nitjsr_enhanced_comprehensive_2024-05-01T01_30_00_000Z';
+        await fs.writeFile(path.join(dataDir, `${legacyName}.json`), JSON.stringify(crawl(), null, 2));
+        await fs.writeFile(path.join(dataDir, 'notes.json'), '{}');
+        await fs.mkdir(path.join(dataDir, 'placements'), { recursive: true });
+        await fs.writeFile(path.join(dataDir, 'placements', `${legacyName}.json`), '{}');
+
+        const snapshots = await listSnapshots(dataDir);
+        assert.deepEqual(snapshots.map(s => [s.filename, s.format]), [
+            [`${NAME}.manifest.json`, 'ndjson'],
+            [`${legacyName}.json`, 'legacy']
+        ]);
+
+        const legacy = await findSnapshot(dataDir, legacyName);
+        assert.deepEqual(await loadSnapshot(legacy.filepath), crawl());
+        assert.equal((await loadSnapshotManifest(legacy)).counts.pages, 3);
+        assert.equal((await findSnapshot(dataDir, `${NAME}.json`)).format, 'ndjson');
+
+        const migrated = await migrateSnapshot(legacy);
+        assert.equal(migrated.filename, `${legacyName}.manifest.json`);
+        assert.deepEqual((await listSnapshots(dataDir)).map(s => s.format), ['ndjson', 'ndjson']);
+        assert.deepEqual(await loadSnapshot(migrated.filepath), crawl());
+    });
+
+    it('rejects reading a snapshot whose records file is missing or truncated', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const dir = await createDataDir();
+        try {
+            const written = await writeSnapshot(dir, NAME, crawl());
+            const recordsPath = path.join(dir, `${NAME}.ndjson.gz`);
+            const records = await fs.readFile(recordsPath);
+
+            await fs.writeFile(recordsPath, records.subarray(0, records.length - 20));
+            await assert.rejects(loadSnapshot(written.filepath), { code: 'Z_BUF_ERROR' });
+
+            await fs.rm(recordsPath);
+            await assert.rejects(loadSnapshot(written.filepath), { code: 'ENOENT' });
+            // The unreadable snapshot is skipped, not fatal
+            assert.equal(await loadLatestSnapshot(dir), null);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('parses a legacy snapshot once for its manifest and data', async () => {
+        const dir = await createDataDir();
+        const readFile = mock.method(fs, 'readFile');
+        try {
+            const legacyName = 'nitjsr_enhanced_comprehensive_2024-05-01T01_30_00_000Z';
+            const filepath = path.join(dir, `${legacyName}.json`);
+            await fs.writeFile(filepath, JSON.stringify(crawl()));
+            const reads = () => readFile.mock.calls.filter(call => call.arguments[0] === filepath).length;
+
+            const latest = await loadLatestSnapshot(dir, { profile: 'default' });
+            assert.deepEqual(latest.data, crawl());
+            assert.equal(reads(), 1);
+
+            const [legacy] = await listSnapshots(dir);
+            assert.equal((await loadSnapshotManifest(legacy)).counts.pages, 3);
+            assert.equal(await loadLatestSnapshot(dir, { profile: 'notices' }), null);
+            assert.equal(reads(), 1);
+        } finally {
+            readFile.mock.restore();
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('finds the latest snapshot of a profile, or the latest full crawl', async () => {
+        const dir = await createDataDir();
+        try {
+            const at = timestamp => `nitjsr_enhanced_comprehensive_${timestamp}`;
+            const notices = { ...crawl(), metadata: { ...crawl().metadata, profile: 'notices', partial: true } };
+            await writeSnapshot(dir, at('2024-06-16T01_30_00_000Z'), notices);
+            await writeSnapshot(dir, NAME, crawl());
+
+            assert.equal((await loadLatestSnapshot(dir)).name, at('2024-06-16T01_30_00_000Z'));
+            assert.equal((await loadLatestSnapshot(dir, { complete: true })).name, NAME);
+            // Snapshots from before crawl profiles belong to the default profile
+            assert.equal((await loadLatestSnapshot(dir, { profile: 'default' })).name, NAME);
+            assert.equal((await loadLatestSnapshot(dir, { profile: 'notices' })).data.metadata.partial, true);
+            assert.equal(await loadLatestSnapshot(dir, { profile: 'full' }), null);
+            assert.equal(await loadLatestSnapshot(dir, { complete: true, before: NAME }), null);
+            assert.equal((await loadLatestSnapshot(dir, { before: at('2024-06-16T01_30_00_000Z') })).name, NAME);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('snapshot retention', () => {
+    const snapshot = timestamp => ({ name: `nitjsr_enhanced_comprehensive_${timestamp.replace(/[:.]/g, '_')}` });
+    // Newest first, as listSnapshots() returns them
+    const snapshots = [
+        '2024-06-15T01:30:00.000Z', '2024-06-14T01:30:00.000Z', '2024-06-13T01:30:00.000Z',
+        '2024-05-31T01:30:00.000Z', '2024-05-30T01:30:00.000Z',
+        '2024-04-30T01:30:00.000Z', '2024-03-31T01:30:00.000Z'
+    ].map(snapshot);
+
+    it('keeps the newest snapshots and the newest one of each recent month', () => {
+        const pruned = selectSnapshotsToPrune(snapshots, { keepLast: 2, keepMonthly: 3 });
+        assert.deepEqual(pruned.map(s => s.name.slice(-24, -14)), ['2024-06-13', '2024-05-30', '2024-03-31']);
+    });
+
+    it('deletes a dropped snapshot with its records and derived datasets', async () => {
+        const dataDir = await createDataDir();
+        try {
+            const older = 'nitjsr_enhanced_comprehensive_2024-06-14T01_30_00_000Z';
+            await writeSnapshot(dataDir, NAME, crawl());
+            await writeSnapshot(dataDir, older, crawl());
+            await fs.mkdir(path.join(dataDir, 'notices'));
+            await fs.writeFile(path.join(dataDir, 'notices', `${older}.json`), '{}');
+
+            const policy = { keepLast: 1, keepMonthly: 0 };
+            assert.equal((await pruneSnapshots(dataDir, policy, { dryRun: true })).length, 1);
+            const pruned = await pruneSnapshots(dataDir, policy);
+            assert.deepEqual(pruned.map(s => s.name), [older]);
+            assert.deepEqual((await fs.readdir(dataDir)).sort(), [`${NAME}.manifest.json`, `${NAME}.ndjson.gz`, 'notices']);
+            assert.deepEqual(await fs.readdir(path.join(dataDir, 'notices')), []);
+        } finally {
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    it('counts the snapshots of each crawl profile separately', async () => {
+        const dataDir = await createDataDir();
+        try {
+            const at = timestamp => `nitjsr_enhanced_comprehensive_${timestamp}`;
+            const notices = { ...crawl(), metadata: { ...crawl().metadata, profile: 'notices' } };
+            await writeSnapshot(dataDir, at('2024-06-16T01_30_00_000Z'), notices);
+            await writeSnapshot(dataDir, at('2024-06-15T21_30_00_000Z'), notices);
+            await writeSnapshot(dataDir, NAME, crawl());
+            await writeSnapshot(dataDir, at('2024-06-14T01_30_00_000Z'), crawl());
+
+            const pruned = await pruneSnapshots(dataDir, { keepLast: 1, keepMonthly: 0 });
+            assert.deepEqual(pruned.map(s => [s.name, s.profile]), [
+                [at('2024-06-15T21_30_00_000Z'), 'notices'],
+                [at('2024-06-14T01_30_00_000Z'), 'default']
+            ]);
+            assert.deepEqual((await listSnapshots(dataDir)).map(s => s.name), [at('2024-06-16T01_30_00_000Z'), NAME]);
+        } finally {
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    it('only prunes after a crawl when a policy is set', () => {
+        assert.equal(optionalRetention({ keepLast: undefined, keepMonthly: '' }), null);
+        assert.deepEqual(optionalRetention({ keepMonthly: '6' }), { keepLast: 10, keepMonthly: 6 });
+
+        assert.equal(new NITJSRScraper({ fetchMode: 'static' }).retention, null);
+        assert.equal(new NITJSRScraper({ fetchMode: 'static', retention: { keepLast: undefined } }).retention, null);
+        assert.deepEqual(new NITJSRScraper({ fetchMode: 'static', retention: { keepLast: '3' } }).retention, { keepLast: 3, keepMonthly: 12 });
+    });
+
+    it('rejects a policy that would delete every snapshot', () => {
+        assert.deepEqual(parseRetention({ keepLast: '3' }), { keepLast: 3, keepMonthly: 12 });
+        assert.throws(() => parseRetention({ keepLast: 0 }), /Invalid retention: keepLast must be an integer >= 1, got "0"/);
+    });
+});
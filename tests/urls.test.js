@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NITJSRScraper } from '../scraper.js';
+import { loadCrawlProfile } from '../lib/crawlProfiles.js';
+import { CrawlFrontier } from '../lib/crawlFrontier.js';
+import { startFixtureSite, createFixtureScraper } from './helpers/fixtureSite.js';
+
+describe('categorizeUrl()', () => {
+    const scraper = new NITJSRScraper({ fetchMode: 'static' });
+
+    const cases = [
+        ['https://nitjsr.ac.in/Students/Placements', '', 'placements'],
+        ['https://nitjsr.ac.in/Students/Training-Placements', '', 'placements'],
+        ['https://nitjsr.ac.in/Admissions', '', 'admissions'],
+        ['https://nitjsr.ac.in/Academics/Syllabus', '', 'academics'],
+        ['https://nitjsr.ac.in/People/Faculty', '', 'faculty'],
+        ['https://nitjsr.ac.in/Students/Hostel', '', 'students'],
+        ['https://nitjsr.ac.in/Research/Publications', '', 'research'],
+        ['https://nitjsr.ac.in/Departments/CSE', '', 'departments'],
+        ['https://nitjsr.ac.in/Tenders', '', 'news'],
+        ['https://nitjsr.ac.in/Events/Workshop-2024', '', 'events'],
+        ['https://nitjsr.ac.in/Administration/Registrar', '', 'administration'],
+        ['https://nitjsr.ac.in/About', '', 'general']
+    ];
+
+    for (const [url, content, category] of cases) {
+        it(`puts ${new URL(url).pathname} in ${category}`, () => {
+            assert.equal(scraper.categorizeUrl(url, content), category);
+        });
+    }
+
+    it('does not label a page from body keywords alone', () => {
+        // The body scores at most weights.content, below minScore
+        assert.equal(scraper.categorizeUrl('https://nitjsr.ac.in/Page/42', 'Eligibility criteria for the entrance examination'), 'general');
+        assert.equal(scraper.categorizeUrl('https://nitjsr.ac.in/Page/43', 'Our corporate partners'), 'general');
+    });
+
+    it('ranks a URL match above a passing mention in the content', () => {
+        // "faculty" comes first in rule order, but "department" is in the URL
+        assert.equal(scraper.categorizeUrl('https://nitjsr.ac.in/Departments/CSE', 'Professor and Head'), 'departments');
+    });
+});
+
+describe('isValidUrl()', () => {
+    const scraper = new NITJSRScraper({ fetchMode: 'static' });
+
+    it('accepts pages on nitjsr.ac.in and its subdomains', () => {
+        assert.equal(scraper.isValidUrl('https://nitjsr.ac.in/Academics'), true);
+        assert.equal(scraper.isValidUrl('https://www.nitjsr.ac.in/Academics'), true);
+        assert.equal(scraper.isValidUrl('/Students/Placements'), true);
+    });
+
+    it('rejects other hosts, even when the URL mentions nitjsr.ac.in', () => {
+        assert.equal(scraper.isValidUrl('https://example.com/nitjsr.ac.in'), false);
+        assert.equal(scraper.isValidUrl('https://nitjsr.ac.in.example.com/'), false);
+        assert.equal(scraper.isValidUrl('https://www.facebook.com/nitjamshedpur'), false);
+    });
+
+    it('rejects static assets, fragments and non-http links', () => {
+        for (const url of [
+            'https://nitjsr.ac.in/assets/img/logo.PNG',
+            'https://nitjsr.ac.in/assets/css/style.css',
+            'https://nitjsr.ac.in/assets/js/app.js',
+            'https://nitjsr.ac.in/About#history',
+            'mailto:director@nitjsr.ac.in',
+            'javascript:void(0)'
+        ]) {
+            assert.equal(scraper.isValidUrl(url), false, url);
+        }
+    });
+
+    it('applies a profile\'s include patterns', async () => {
+        const placements = new NITJSRScraper({ fetchMode: 'static', profile: await loadCrawlProfile('placements') });
+        assert.equal(placements.isValidUrl('https://nitjsr.ac.in/Students/Training-Placements'), true);
+        assert.equal(placements.isValidUrl('https://nitjsr.ac.in/Academics'), false);
+    });
+
+    describe('with robots.txt', () => {
+        let site;
+        let fixtureScraper;
+
+        before(async () => {
+            site = await startFixtureSite();
+            fixtureScraper = createFixtureScraper(site.baseUrl);
+            await fixtureScraper.loadRobots();
+        });
+
+        after(() => site.close());
+
+        it('rejects paths the fixture site disallows', () => {
+            assert.equal(fixtureScraper.isValidUrl(`${site.baseUrl}/Admin/Internal`), false);
+            assert.equal(fixtureScraper.isValidUrl(`${site.baseUrl}/Students/Placements`), true);
+        });
+    });
+});
+
+describe('CrawlFrontier', () => {
+    it('queues each canonical URL once and hands out the URL as first linked', () => {
+        const frontier = new CrawlFrontier();
+        // An http-only host and a server that cares about parameter order must be fetched as linked
+        assert.equal(frontier.add('http://www.nitjsr.ac.in/Notice.aspx?type=pdf&id=7#top', 1), true);
+        assert.equal(frontier.add('https://nitjsr.ac.in/Notice.aspx?id=7&type=pdf', 1), false);
+        assert.equal(frontier.has('https://NITJSR.ac.in/Notice.aspx?id=7&type=pdf&utm_source=feed'), true);
+
+        assert.deepEqual(frontier.next(), {
+            url: 'http://www.nitjsr.ac.in/Notice.aspx?type=pdf&id=7',
+            key: 'https://nitjsr.ac.in/Notice.aspx?id=7&type=pdf',
+            depth: 1,
+            priority: 1
+        });
+        assert.equal(frontier.next(), null);
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { LocalVectorStore, matchesFilter, vectorStoreConfig, createVectorStore } from '../lib/vectorStore.js';
+import { NITJSRRAGSystem } from '../RagSystem.js';
+import { createDataDir } from './helpers/fixtureSite.js';
+
+const vectors = [
+    { id: 'placements-cse', values: [1, 0, 0], metadata: { text: 'CSE placements', category: ['placements', 'departments'], language: 'en', year: 2024 } },
+    { id: 'placements-hi', values: [0.9, 0.1, 0], metadata: { text: 'प्लेसमेंट', category: ['placements'], language: 'hi', year: 2023 } },
+    { id: 'admissions', values: [0, 1, 0], metadata: { text: 'Admissions', category: ['admissions'], language: 'en', year: 2024 } },
+    { id: 'hostel', values: [0, 0, 1], metadata: { text: 'Hostel', category: ['general'], language: 'en' } }
+];
+
+describe('local vector store', () => {
+    let dataDir;
+    let file;
+
+    before(async () => {
+        dataDir = await createDataDir();
+        file = path.join(dataDir, 'vector_store.json');
+    });
+
+    after(async () => {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('ranks by cosine similarity and applies metadata filters', async () => {
+        const store = new LocalVectorStore({ file });
+        await store.connect();
+        await store.upsert(vectors);
+        await store.flush();
+
+        const matches = await store.query({ vector: [1, 0.05, 0], topK: 2 });
+        assert.deepEqual(matches.map(match => match.id), ['placements-cse', 'placements-hi']);
+        assert.ok(matches[0].score > 0.99 && matches[0].score <= 1);
+        assert.equal(matches[0].metadata.text, 'CSE placements');
+
+        const filtered = await store.query({ vector: [1, 0, 0], topK: 5, filter: { category: { $in: ['departments', 'admissions'] } } });
+        assert.deepEqual(filtered.map(match => match.id), ['placements-cse', 'admissions']);
+
+        assert.deepEqual(await store.stats(), { totalVectors: 4, dimension: 3, indexFullness: 0 });
+    });
+
+    it('persists vectors to disk and reloads them', async () => {
+        const store = new LocalVectorStore({ file });
+        await store.connect();
+        assert.equal(store.vectors.size, 4);
+
+        const [match] = await store.query({ vector: [0, 0, 2], topK: 1 });
+        assert.equal(match.id, 'hostel');
+        assert.ok(Math.abs(match.score - 1) < 1e-6);
+
+        // Upserts are only written on flush()
+        await store.upsert([{ id: 'hostel', values: [0, 0.5, 0.5], metadata: { text: 'Hostel fees' } }]);
+        const unflushed = new LocalVectorStore({ file });
+        await unflushed.connect();
+        assert.equal(unflushed.vectors.get('hostel').metadata.text, 'Hostel');
+
+        await store.flush();
+        const reloaded = new LocalVectorStore({ file });
+        await reloaded.connect();
+        assert.equal(reloaded.vectors.size, 4);
+        assert.equal(reloaded.vectors.get('hostel').metadata.text, 'Hostel fees');
+
+        await reloaded.clear();
+        const cleared = new LocalVectorStore({ file });
+        await cleared.connect();
+        assert.deepEqual((await cleared.stats()).totalVectors, 0);
+    });
+
+    it('rejects vectors of a different dimension', async () => {
+        const store = new LocalVectorStore({ file: path.join(dataDir, 'dimension.json') });
+        await store.connect();
+        await store.upsert([vectors[0]]);
+
+        await assert.rejects(
+            store.upsert([{ id: 'short', values: [1, 0], metadata: {} }]),
+            /Vector short has dimension 2; the local vector store holds 3-dimensional vectors/
+        );
+        await assert.rejects(store.query({ vector: [1, 0], topK: 1 }), /Query vector has dimension 2/);
+    });
+
+    it('lists vectors by id prefix and deletes them on flush', async () => {
+        const store = new LocalVectorStore({ file: path.join(dataDir, 'delete.json') });
+        await store.connect();
+        await store.upsert(vectors);
+        await store.flush();
+
+        assert.deepEqual(await store.listIds('placements-'), ['placements-cse', 'placements-hi']);
+        await store.delete(['placements-hi', 'missing']);
+        assert.deepEqual(await store.listIds('placements-'), ['placements-cse']);
+
+        await store.flush();
+        const reloaded = new LocalVectorStore({ file: path.join(dataDir, 'delete.json') });
+        await reloaded.connect();
+        assert.deepEqual(Array.from(reloaded.vectors.keys()), ['placements-cse', 'admissions', 'hostel']);
+    });
+});
+
+describe('metadata filters', () => {
+    const metadata = vectors[0].metadata;
+
+    it('supports the Pinecone operators used for filtering', () => {
+        assert.equal(matchesFilter(metadata, { language: 'en' }), true);
+        assert.equal(matchesFilter(metadata, { category: 'departments' }), true);
+        assert.equal(matchesFilter(metadata, { category: { $nin: ['placements'] } }), false);
+        assert.equal(matchesFilter(metadata, { year: { $gte: 2024, $lt: 2025 } }), true);
+        assert.equal(matchesFilter(metadata, { pageNumber: { $exists: false } }), true);
+        assert.equal(matchesFilter(metadata, { $or: [{ language: 'hi' }, { year: { $gt: 2023 } }] }), true);
+        assert.equal(matchesFilter(metadata, { $and: [{ language: 'en' }, { language: { $ne: 'en' } }] }), false);
+        assert.throws(() => matchesFilter(metadata, { year: { $regex: '20' } }), /Unsupported metadata filter operator: \$regex/);
+    });
+});
+
+describe('vector store configuration', () => {
+    it('selects the store from VECTOR_STORE', () => {
+        assert.equal(vectorStoreConfig({}).type, 'pinecone');
+        assert.equal(createVectorStore(vectorStoreConfig({ VECTOR_STORE: 'local', LOCAL_VECTOR_STORE_FILE: 'vectors.json' })).file, 'vectors.json');
+        assert.deepEqual(
+            createVectorStore(vectorStoreConfig({ VECTOR_STORE: 'pinecone', PINECONE_INDEX_NAME: ' nitjsr ' })).describe(),
+            { type: 'pinecone', index: 'nitjsr', environment: undefined }
+        );
+        assert.throws(() => vectorStoreConfig({ VECTOR_STORE: 'chroma' }), /Invalid VECTOR_STORE "chroma": expected pinecone or local/);
+    });
+
+    it('lets the RAG system search a local store', async (t) => {
+        // Keep the RAG system's emoji logs out of the test runner's output stream (see providers.test.js)
+        t.mock.method(console, 'log', () => {});
+        const dataDir = await createDataDir();
+        try {
+            const store = new LocalVectorStore({ file: path.join(dataDir, 'vector_store.json') });
+            await store.connect();
+            await store.upsert(vectors);
+
+            // Every question is embedded as a placement question
+            const ragSystem = new NITJSRRAGSystem({ vectorStore: store, embeddingProvider: { embed: async () => [1, 0, 0] } });
+            ragSystem.isInitialized = true;
+
+            const english = await ragSystem.queryDocuments('Which companies came for placements?', 2);
+            assert.deepEqual(english.map(doc => doc.text), ['CSE placements', 'प्लेसमेंट']);
+
+            const admissions = await ragSystem.queryDocuments('placements', 1, { category: 'admissions' });
+            assert.deepEqual(admissions.map(doc => doc.metadata.category), [['admissions']]);
+
+            assert.equal((await ragSystem.getIndexStats()).totalVectors, 4);
+            await ragSystem.clearIndex();
+            assert.equal((await ragSystem.getIndexStats()).totalVectors, 0);
+        } finally {
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    });
+});